@@ -0,0 +1,9 @@
+/**
+ * Revision history settings, see services/revisionService
+ */
+module.exports = {
+    // Revisions kept per portfolio unless the portfolio sets its own limit
+    defaultLimit: parseInt(process.env.REVISION_LIMIT, 10) || 50,
+    // Highest limit a portfolio may set
+    maxLimit: parseInt(process.env.MAX_REVISION_LIMIT, 10) || 500
+};
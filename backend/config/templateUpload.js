@@ -0,0 +1,23 @@
+const multer = require('multer');
+const path = require('path');
+
+// Template packages are read from memory: they are validated and stored in the database
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        cb(null, true);
+    } else {
+        cb(new Error('Invalid file type. Template packages must be ZIP files.'), false);
+    }
+};
+
+const templateUpload = multer({
+    storage,
+    limits: {
+        fileSize: parseInt(process.env.MAX_TEMPLATE_SIZE) || 10 * 1024 * 1024 // 10MB default
+    },
+    fileFilter
+});
+
+module.exports = templateUpload;
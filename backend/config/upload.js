@@ -1,10 +1,16 @@
 const multer = require('multer');
 const path = require('path');
+const { resolveMimeType } = require('../parsers/textExtractor');
 
 // Allowed file types
 const ALLOWED_MIMES = {
     'application/pdf': 'pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/msword': 'doc',
+    'application/vnd.oasis.opendocument.text': 'odt',
+    'application/rtf': 'rtf',
+    'text/html': 'html',
+    'text/markdown': 'md',
     'text/plain': 'txt'
 };
 
@@ -22,11 +28,12 @@ const storage = multer.diskStorage({
 });
 
 // File filter to validate file type
+// The extension decides when the browser reports a generic type (e.g. Markdown as text/plain)
 const fileFilter = (req, file, cb) => {
-    if (ALLOWED_MIMES[file.mimetype]) {
+    if (ALLOWED_MIMES[resolveMimeType(file.mimetype, file.originalname)]) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF, DOCX, and TXT files are allowed.'), false);
+        cb(new Error('Invalid file type. Only PDF, DOCX, DOC, ODT, RTF, HTML, Markdown and TXT files are allowed.'), false);
     }
 };
 
@@ -0,0 +1,58 @@
+const { previewResume } = require('../services/parsingService');
+const { resolveMimeType } = require('../parsers/textExtractor');
+const fs = require('fs').promises;
+
+/**
+ * Shows how a resume parses without saving anything
+ * POST /api/parse/preview
+ */
+async function previewParse(req, res) {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No file uploaded. Please provide a resume file.'
+            });
+        }
+
+        const { path: filePath, originalname } = req.file;
+        const mimetype = resolveMimeType(req.file.mimetype, originalname);
+        const pdfLayout = req.body.pdfLayout === 'flat' ? 'flat' : 'positional';
+        const language = req.body.language || undefined;
+
+        console.log(`🔍 Previewing parse for: ${originalname}`);
+
+        const previewResult = await previewResume(filePath, mimetype, { pdfLayout, language });
+
+        // The upload is only needed for this request
+        await fs.unlink(filePath).catch(() => { });
+
+        if (!previewResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: previewResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: previewResult.data
+        });
+
+    } catch (error) {
+        console.error('❌ Parse preview error:', error);
+
+        if (req.file) {
+            await fs.unlink(req.file.path).catch(() => { });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'An error occurred while previewing your resume. Please try again.'
+        });
+    }
+}
+
+module.exports = {
+    previewParse
+};
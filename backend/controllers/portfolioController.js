@@ -1,7 +1,34 @@
 const Portfolio = require('../models/Portfolio');
+const Template = require('../models/Template');
 const archiver = require('archiver');
 const path = require('path');
 const fs = require('fs');
+const { toJSONResume } = require('../services/jsonResumeService');
+const {
+    generateHTML,
+    generateCSS,
+    generateAssets,
+    withCustomizations,
+    isCSSColor,
+    THEME_NAMES
+} = require('../services/themes');
+const { generateProject, SSG_TARGETS } = require('../services/ssg');
+const { generatePDF } = require('../services/pdfService');
+const { issueShareToken, SHARE_TOKEN_DAYS } = require('../services/tokenService');
+const { snapshot, recordRevision, revisionAuthor, deleteRevisions } = require('../services/revisionService');
+const { addPortfolioToSession, removePortfolioFromSession } = require('../services/sessionService');
+const { schemaErrorDetails } = require('../middleware/validatePortfolio');
+const { deployFiles, deployInstructions, normalizeDomain, customDomain, DEPLOY_PRESETS } = require('../services/deployService');
+
+// Formats accepted by GET /api/portfolio/:id/export?format=
+const EXPORT_FORMATS = ['zip', 'jsonresume', 'pdf'];
+
+// Targets of the ZIP export: the plain static site or a generator project
+const EXPORT_TARGETS = ['static', ...SSG_TARGETS];
+
+// Query parameters that change an unsaved preview
+const PREVIEW_COLORS = ['primary', 'secondary', 'accent'];
+const PREVIEW_PARAMS = ['theme', 'template', ...PREVIEW_COLORS];
 
 /**
  * Get portfolio by ID
@@ -36,23 +63,18 @@ async function getPortfolio(req, res) {
 
 /**
  * Update portfolio
- * PUT /api/portfolio/:id
+ * PUT /api/portfolio/:id, and PATCH /api/portfolio/:id after middleware/portfolioPatch
+ * The body is checked by middleware/validatePortfolio and holds only editable fields.
+ * Each update that changes something is recorded as a revision.
+ * A patched portfolio is only saved at the version the patch was applied to; a save in
+ * between answers 409.
  */
 async function updatePortfolio(req, res) {
     try {
         const { id } = req.params;
         const updates = req.body;
 
-        // Remove fields that shouldn't be updated directly
-        delete updates._id;
-        delete updates.sessionId;
-        delete updates.createdAt;
-
-        const portfolio = await Portfolio.findByIdAndUpdate(
-            id,
-            { $set: updates },
-            { new: true, runValidators: true }
-        );
+        const portfolio = req.portfolio || await Portfolio.findById(id);
 
         if (!portfolio) {
             return res.status(404).json({
@@ -61,15 +83,45 @@ async function updatePortfolio(req, res) {
             });
         }
 
-        console.log(`✅ Portfolio updated: ${id}`);
+        const before = snapshot(portfolio);
+        portfolio.set(updates);
+        // Makes the save match the version that was read
+        if (req.portfolio) portfolio.increment();
+        await portfolio.save();
+
+        const revision = await recordRevision(portfolio, {
+            before,
+            source: 'update',
+            author: revisionAuthor(req)
+        });
+
+        console.log(`✅ Portfolio updated: ${id}${revision ? ` (revision ${revision.number})` : ''}`);
 
         res.json({
             success: true,
-            data: portfolio
+            data: portfolio,
+            revision: revision ? revision.number : null
         });
 
     } catch (error) {
         console.error('❌ Update portfolio error:', error);
+
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                error: 'Portfolio has changed'
+            });
+        }
+
+        const details = schemaErrorDetails(error);
+        if (details) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid portfolio data',
+                details
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'Failed to update portfolio'
@@ -78,10 +130,50 @@ async function updatePortfolio(req, res) {
 }
 
 /**
- * Export portfolio as static site (ZIP)
- * GET /api/portfolio/:id/export
+ * Delete portfolio with its revisions
+ * DELETE /api/portfolio/:id
  */
-async function exportPortfolio(req, res) {
+async function deletePortfolio(req, res) {
+    try {
+        const { id } = req.params;
+
+        const portfolio = await Portfolio.findByIdAndDelete(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        await Promise.all([
+            removePortfolioFromSession(portfolio.sessionId, portfolio._id),
+            deleteRevisions(portfolio._id)
+        ]);
+
+        console.log(`🗑️  Portfolio deleted: ${id}`);
+
+        res.json({
+            success: true,
+            message: 'Portfolio deleted'
+        });
+
+    } catch (error) {
+        console.error('❌ Delete portfolio error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete portfolio'
+        });
+    }
+}
+
+/**
+ * Copy a portfolio into the same session, e.g. to tailor it to another role
+ * POST /api/portfolio/:id/duplicate
+ * Body (optional): fields to change in the copy, checked like an update, such as { headline }
+ * The copy starts with its own revision history and new entry ids.
+ */
+async function duplicatePortfolio(req, res) {
     try {
         const { id } = req.params;
 
@@ -94,36 +186,148 @@ async function exportPortfolio(req, res) {
             });
         }
 
-        console.log(`📦 Generating static site for portfolio: ${id}`);
+        const content = Object.fromEntries(Object.entries(snapshot(portfolio))
+            .filter(([, value]) => value !== null)
+            .map(([field, value]) => [field, Array.isArray(value) ? value.map(({ _id, ...entry }) => entry) : value]));
+
+        const copy = new Portfolio({
+            ...content,
+            ...req.body,
+            sessionId: portfolio.sessionId,
+            revisionLimit: portfolio.revisionLimit
+        });
 
-        // Generate HTML, CSS, and README
-        const html = generateHTML(portfolio);
-        const css = generateCSS(portfolio);
-        const readme = generateREADME();
+        await copy.save();
+        await addPortfolioToSession(copy.sessionId, copy._id);
 
-        // Set response headers for ZIP download
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename=portfolio-${portfolio.name.replace(/\s+/g, '-').toLowerCase()}.zip`);
+        console.log(`📄 Portfolio ${id} duplicated as ${copy._id}`);
 
-        // Create ZIP archive
-        const archive = archiver('zip', {
-            zlib: { level: 9 }
+        res.status(201).json({
+            success: true,
+            portfolioId: copy._id,
+            data: copy
         });
 
-        archive.on('error', (err) => {
-            throw err;
+    } catch (error) {
+        console.error('❌ Duplicate portfolio error:', error);
+
+        const details = schemaErrorDetails(error);
+        if (details) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid portfolio data',
+                details
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to duplicate portfolio'
         });
+    }
+}
+
+/**
+ * Export portfolio as static site (ZIP) or another format
+ * GET /api/portfolio/:id/export?format=zip|jsonresume|pdf&target=static|hugo|jekyll|astro
+ * The static site takes &deploy=netlify,vercel,github-pages and &domain= for deployment files
+ */
+async function exportPortfolio(req, res) {
+    try {
+        const { id } = req.params;
+        const format = req.query.format || 'zip';
+        const target = req.query.target || 'static';
+        const deploy = req.query.deploy ? [...new Set(String(req.query.deploy).split(','))] : [];
+        const domain = req.query.domain ? normalizeDomain(req.query.domain) : null;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
 
-        // Pipe archive to response
-        archive.pipe(res);
+        if (!EXPORT_TARGETS.includes(target)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported export target. Use one of: ${EXPORT_TARGETS.join(', ')}`
+            });
+        }
 
-        // Add files to archive
-        archive.append(html, { name: 'index.html' });
-        archive.append(css, { name: 'styles.css' });
-        archive.append(readme, { name: 'README.md' });
+        const invalidPresets = deploy.filter(preset => !DEPLOY_PRESETS.includes(preset));
+        if (invalidPresets.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported deploy preset: ${invalidPresets.join(', ')}. Use one or more of: ${DEPLOY_PRESETS.join(', ')}`
+            });
+        }
 
-        // Finalize archive
-        await archive.finalize();
+        if (deploy.length > 0 && target !== 'static') {
+            return res.status(400).json({
+                success: false,
+                error: 'Deploy presets are only available for the static site export'
+            });
+        }
+
+        if (req.query.domain && (!domain || deploy.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: domain
+                    ? 'A custom domain needs a deploy preset'
+                    : 'Invalid custom domain. Use a hostname such as www.example.com'
+            });
+        }
+
+        const portfolio = await Portfolio.findById(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        if (format === 'jsonresume') {
+            console.log(`📦 Exporting JSON Resume for portfolio: ${id}`);
+
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', 'attachment; filename=resume.json');
+            return res.send(JSON.stringify(toJSONResume(portfolio), null, 2));
+        }
+
+        if (format === 'pdf') {
+            console.log(`📄 Generating PDF resume for portfolio: ${id}`);
+
+            const pdf = await generatePDF(portfolio);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=${exportFilename(portfolio, 'resume')}.pdf`);
+            return res.send(pdf);
+        }
+
+        if (target !== 'static') {
+            console.log(`📦 Generating ${target} project for portfolio: ${id}`);
+
+            await sendZip(res, `${exportFilename(portfolio, 'portfolio')}-${target}`, generateProject(portfolio, target));
+
+            console.log(`✅ ${target} project exported successfully`);
+            return;
+        }
+
+        const template = await loadTemplate(portfolio.template, portfolio.sessionId);
+
+        const cname = deploy.length > 0 ? domain || customDomain(portfolio) : null;
+
+        console.log(`📦 Generating static site for portfolio: ${id} (${template ? `template: ${template.name}` : `theme: ${portfolio.theme}`}${deploy.length > 0 ? `, deploy: ${deploy.join(', ')}` : ''})`);
+
+        // Generate HTML, CSS, README, the fonts and images they reference and the deployment files
+        await sendZip(res, exportFilename(portfolio, 'portfolio'), [
+            { name: 'index.html', content: generateHTML(portfolio, template) },
+            { name: 'styles.css', content: generateCSS(portfolio, template) },
+            { name: 'README.md', content: generateREADME(deploy.length > 0 ? deployInstructions(deploy, cname) : '') },
+            ...generateAssets(portfolio, template),
+            ...(deploy.length > 0 ? deployFiles(portfolio, template, deploy, cname) : [])
+        ]);
 
         console.log(`✅ Static site exported successfully`);
 
@@ -137,382 +341,293 @@ async function exportPortfolio(req, res) {
 }
 
 /**
- * Generates HTML for the portfolio
+ * Streams files to the response as a ZIP download
+ * @param {Array<{name: string, path?: string, content?: Buffer|string}>} files - Read from path or given as content
  */
-function generateHTML(portfolio) {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${portfolio.name} - Portfolio</title>
-    <link rel="stylesheet" href="styles.css">
-</head>
-<body>
-    <div class="container">
-        <!-- Hero Section -->
-        <header class="hero">
-            <h1>${portfolio.name}</h1>
-            <p class="headline">${portfolio.headline}</p>
-            ${portfolio.links.email ? `<p class="contact">
-                <a href="mailto:${portfolio.links.email}">${portfolio.links.email}</a>
-                ${portfolio.links.phone ? ` | ${portfolio.links.phone}` : ''}
-            </p>` : ''}
-            <div class="social-links">
-                ${portfolio.links.github ? `<a href="${portfolio.links.github}" target="_blank">GitHub</a>` : ''}
-                ${portfolio.links.linkedin ? `<a href="${portfolio.links.linkedin}" target="_blank">LinkedIn</a>` : ''}
-                ${portfolio.links.website ? `<a href="${portfolio.links.website}" target="_blank">Website</a>` : ''}
-            </div>
-        </header>
-
-        <!-- About Section -->
-        ${portfolio.summary ? `<section class="about">
-            <h2>About Me</h2>
-            <p>${portfolio.summary}</p>
-        </section>` : ''}
-
-        <!-- Skills Section -->
-        ${portfolio.skills.length > 0 ? `<section class="skills">
-            <h2>Skills</h2>
-            <div class="skills-grid">
-                ${portfolio.skills.map(skillGroup => `
-                    <div class="skill-category">
-                        <h3>${skillGroup.category}</h3>
-                        <ul>
-                            ${skillGroup.items.map(skill => `<li>${skill}</li>`).join('')}
-                        </ul>
-                    </div>
-                `).join('')}
-            </div>
-        </section>` : ''}
-
-        <!-- Experience Section -->
-        ${portfolio.experience.length > 0 ? `<section class="experience">
-            <h2>Experience</h2>
-            <div class="timeline">
-                ${portfolio.experience.map(exp => `
-                    <div class="timeline-item">
-                        <h3>${exp.role}</h3>
-                        <p class="company">${exp.company} ${exp.duration ? `| ${exp.duration}` : ''}</p>
-                        ${exp.description ? `<p class="description">${exp.description}</p>` : ''}
-                        ${exp.highlights.length > 0 ? `
-                            <ul class="highlights">
-                                ${exp.highlights.map(h => `<li>${h}</li>`).join('')}
-                            </ul>
-                        ` : ''}
-                    </div>
-                `).join('')}
-            </div>
-        </section>` : ''}
-
-        <!-- Projects Section -->
-        ${portfolio.projects.length > 0 ? `<section class="projects">
-            <h2>Projects</h2>
-            <div class="projects-grid">
-                ${portfolio.projects.map(project => `
-                    <div class="project-card">
-                        <h3>${project.title}</h3>
-                        ${project.description ? `<p>${project.description}</p>` : ''}
-                        ${project.tech.length > 0 ? `
-                            <p class="tech-stack"><strong>Tech:</strong> ${project.tech.join(', ')}</p>
-                        ` : ''}
-                        ${project.link ? `<a href="${project.link}" target="_blank" class="project-link">View Project →</a>` : ''}
-                    </div>
-                `).join('')}
-            </div>
-        </section>` : ''}
-
-        <!-- Education Section -->
-        ${portfolio.education.length > 0 ? `<section class="education">
-            <h2>Education</h2>
-            <div class="education-list">
-                ${portfolio.education.map(edu => `
-                    <div class="education-item">
-                        <h3>${edu.degree}</h3>
-                        <p class="institution">${edu.institution} ${edu.year ? `| ${edu.year}` : ''}</p>
-                        ${edu.details ? `<p class="details">${edu.details}</p>` : ''}
-                    </div>
-                `).join('')}
-            </div>
-        </section>` : ''}
-
-        <!-- Footer -->
-        <footer>
-            <p>© ${new Date().getFullYear()} ${portfolio.name}. All rights reserved.</p>
-            <p class="generated">Generated with Portlify</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+async function sendZip(res, filename, files) {
+    // Set response headers for ZIP download
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.zip`);
+
+    // Create ZIP archive
+    const archive = archiver('zip', {
+        zlib: { level: 9 }
+    });
+
+    archive.on('error', (err) => {
+        throw err;
+    });
+
+    // Pipe archive to response
+    archive.pipe(res);
+
+    // Add files to archive
+    files.forEach(file => (file.path
+        ? archive.file(file.path, { name: file.name })
+        : archive.append(file.content, { name: file.name })));
+
+    // Finalize archive
+    await archive.finalize();
 }
 
 /**
- * Generates CSS for the portfolio
+ * Issue a read-only share token
+ * POST /api/portfolio/:id/share
+ * Body: { expiresInDays } (optional)
  */
-function generateCSS(portfolio) {
-    const colors = portfolio.customizations?.colors || {
-        primary: '#3B82F6',
-        secondary: '#1E40AF',
-        accent: '#60A5FA'
-    };
-
-    return `* {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
-}
+async function sharePortfolio(req, res) {
+    try {
+        const { id } = req.params;
+        const days = req.body && req.body.expiresInDays !== undefined
+            ? Number(req.body.expiresInDays)
+            : SHARE_TOKEN_DAYS.default;
 
-body {
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-    line-height: 1.6;
-    color: #1f2937;
-    background: #f9fafb;
-}
+        if (!Number.isInteger(days) || days < 1 || days > SHARE_TOKEN_DAYS.max) {
+            return res.status(400).json({
+                success: false,
+                error: `expiresInDays must be a whole number of days between 1 and ${SHARE_TOKEN_DAYS.max}`
+            });
+        }
 
-.container {
-    max-width: 1000px;
-    margin: 0 auto;
-    padding: 2rem;
-}
+        const { token, expiresAt } = issueShareToken(id, days);
 
-/* Hero Section */
-.hero {
-    text-align: center;
-    padding: 4rem 0;
-    background: white;
-    border-radius: 12px;
-    margin-bottom: 2rem;
-    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-}
+        console.log(`🔗 Share token issued for portfolio: ${id} (${days} days)`);
 
-.hero h1 {
-    font-size: 3rem;
-    font-weight: 700;
-    color: ${colors.primary};
-    margin-bottom: 0.5rem;
-}
+        res.json({
+            success: true,
+            shareToken: token,
+            expiresAt
+        });
 
-.hero .headline {
-    font-size: 1.5rem;
-    color: #6b7280;
-    margin-bottom: 1rem;
+    } catch (error) {
+        console.error('❌ Share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create share token'
+        });
+    }
 }
 
-.hero .contact {
-    font-size: 1.1rem;
-    color: #4b5563;
-    margin-bottom: 1rem;
-}
+/**
+ * Custom template selected for a portfolio, among its session's templates
+ * A template that no longer exists falls back to the portfolio's theme.
+ * @returns {Promise<Object|null>} Template document, or null for the built-in themes
+ */
+async function loadTemplate(name, sessionId) {
+    if (!name) return null;
 
-.social-links {
-    display: flex;
-    gap: 1rem;
-    justify-content: center;
-    margin-top: 1.5rem;
+    const template = await Template.findOne({ sessionId, name });
+    if (!template) {
+        console.warn(`⚠️  Template "${name}" not found, using the built-in theme`);
+    }
+    return template;
 }
 
-.social-links a {
-    padding: 0.5rem 1.5rem;
-    background: ${colors.primary};
-    color: white;
-    text-decoration: none;
-    border-radius: 8px;
-    transition: background 0.3s;
-}
+/**
+ * Preview of the exported site
+ * GET /api/portfolio/:id/preview?theme=&template=&primary=&secondary=&accent=
+ * Serves the same index.html as the ZIP export, so the editor can show it in an iframe
+ */
+async function previewPortfolio(req, res) {
+    // The page links styles.css, images/ and fonts/ relatively, which needs the trailing slash
+    if (!req.path.endsWith('/')) {
+        const [pathname, query] = req.originalUrl.split('?');
+        return res.redirect(`${pathname}/${query ? `?${query}` : ''}`);
+    }
 
-.social-links a:hover {
-    background: ${colors.secondary};
+    await sendPreview(req, res, req.query, (portfolio, template) => {
+        // Lets styles.css and the images see the overrides through the Referer header
+        res.setHeader('Referrer-Policy', 'same-origin');
+        res.type('html').send(generateHTML(portfolio, template));
+    });
 }
 
-/* Section Styles */
-section {
-    background: white;
-    padding: 3rem;
-    margin-bottom are: 2rem;
-    border-radius: 12px;
-    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+/**
+ * Stylesheet of the preview
+ * GET /api/portfolio/:id/preview/styles.css
+ */
+async function previewStyles(req, res) {
+    await sendPreview(req, res, previewQuery(req), (portfolio, template) => {
+        res.type('css').send(generateCSS(portfolio, template));
+    });
 }
 
-section h2 {
-    font-size: 2rem;
-    color: ${colors.primary};
-    margin-bottom: 2rem;
-    padding-bottom: 1rem;
-    border-bottom: 3px solid ${colors.accent};
-}
+/**
+ * Fonts, images and other files of the preview
+ * GET /api/portfolio/:id/preview/*asset
+ */
+async function previewAsset(req, res) {
+    const name = [].concat(req.params.asset).join('/');
 
-/* Skills Grid */
-.skills-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-    gap: 2rem;
-}
+    await sendPreview(req, res, previewQuery(req), (portfolio, template) => {
+        const asset = generateAssets(portfolio, template).find(file => file.name === name);
 
-.skill-category h3 {
-    color: ${colors.secondary};
-    margin-bottom: 1rem;
-    font-size: 1.25rem;
-}
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                error: 'File not found in preview'
+            });
+        }
 
-.skill-category ul {
-    list-style: none;
+        if (asset.path) return res.sendFile(asset.path);
+        res.type(path.extname(asset.name)).send(asset.content);
+    });
 }
 
-.skill-category li {
-    padding: 0.5rem 0;
-    padding-left: 1.5rem;
-    position: relative;
-}
+/**
+ * Overrides for a stylesheet or asset request
+ * The page passes its query string on to neither, so they fall back to the query of
+ * the preview page that requested them.
+ */
+function previewQuery(req) {
+    if (PREVIEW_PARAMS.some(param => req.query[param] !== undefined)) return req.query;
 
-.skill-category li::before {
-    content: "▹";
-    position: absolute;
-    left: 0;
-    color: ${colors.accent};
-    font-weight: bold;
-}
+    try {
+        const referer = new URL(req.get('Referer'));
+        if (referer.pathname === `${req.baseUrl}/${req.params.id}/preview/`) {
+            return Object.fromEntries(referer.searchParams);
+        }
+    } catch (error) {
+        // No usable Referer: preview the saved portfolio
+    }
 
-/* Timeline */
-.timeline-item {
-    margin-bottom: 2.5rem;
-    padding-left: 2rem;
-    border-left: 3px solid ${colors.accent};
+    return {};
 }
 
-.timeline-item h3 {
-    font-size: 1.5rem;
-    color: ${colors.secondary};
-    margin-bottom: 0.5rem;
-}
+/**
+ * Validates the preview overrides
+ * @returns {{overrides?: Object, error?: string}}
+ */
+function parsePreviewOverrides(query) {
+    const overrides = { colors: {} };
 
-.timeline-item .company {
-    color: #6b7280;
-    font-weight: 600;
-    margin-bottom: 1rem;
-}
+    if (query.theme !== undefined) {
+        if (!THEME_NAMES.includes(query.theme)) {
+            return { error: `Unknown theme. Use one of: ${THEME_NAMES.join(', ')}` };
+        }
+        overrides.theme = query.theme;
+    }
 
-.timeline-item .highlights {
-    list-style: none;
-    margin-top: 1rem;
-}
+    if (query.template !== undefined) {
+        if (typeof query.template !== 'string' || overrides.theme) {
+            return { error: 'Preview either a theme or a template' };
+        }
+        overrides.template = query.template;
+    }
 
-.timeline-item .highlights li {
-    padding: 0.5rem 0;
-    padding-left: 1.5rem;
-    position: relative;
-}
+    for (const key of PREVIEW_COLORS) {
+        if (query[key] === undefined) continue;
+        if (typeof query[key] !== 'string' || !isCSSColor(query[key])) {
+            return { error: `Invalid ${key} color: use a hex, rgb(), hsl() or named color` };
+        }
+        overrides.colors[key] = query[key].trim();
+    }
 
-.timeline-item .highlights li::before {
-    content: "•";
-    position: absolute;
-    left: 0;
-    color: ${colors.accent};
-    font-weight: bold;
+    return { overrides };
 }
 
-/* Projects Grid */
-.projects-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-    gap: 2rem;
-}
+/**
+ * Loads the portfolio and its template, applies the overrides and hands both to send
+ * A theme override previews the built-in theme even if the portfolio uses a template.
+ * Preview responses are framed by the editor and never cached.
+ */
+async function sendPreview(req, res, query, send) {
+    try {
+        const { id } = req.params;
+        const { overrides, error } = parsePreviewOverrides(query);
 
-.project-card {
-    border: 2px solid #e5e7eb;
-    border-radius: 8px;
-    padding: 2rem;
-    transition: all 0.3s;
-}
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
 
-.project-card:hover {
-    border-color: ${colors.accent};
-    box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-    transform: translateY(-4px);
-}
+        const portfolio = await Portfolio.findById(id);
 
-.project-card h3 {
-    color: ${colors.secondary};
-    margin-bottom: 1rem;
-}
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
 
-.project-card .tech-stack {
-    margin-top: 1rem;
-    color: #6b7280;
-    font-size: 0.9rem;
-}
+        const template = overrides.theme ? null : await loadTemplate(overrides.template || portfolio.template, portfolio.sessionId);
 
-.project-link {
-    display: inline-block;
-    margin-top: 1rem;
-    color: ${colors.primary};
-    text-decoration: none;
-    font-weight: 600;
-}
+        if (overrides.template && !template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
 
-.project-link:hover {
-    text-decoration: underline;
-}
+        const overridden = overrides.theme || Object.keys(overrides.colors).length > 0;
 
-/* Education */
-.education-item {
-    margin-bottom: 2rem;
-}
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Content-Security-Policy', previewCSP());
+        res.removeHeader('X-Frame-Options');
 
-.education-item h3 {
-    color: ${colors.secondary};
-    margin-bottom: 0.5rem;
-}
+        send(overridden ? withCustomizations(portfolio, overrides) : portfolio, template);
 
-.education-item .institution {
-    color: #6b7280;
-    font-weight: 600;
-    margin-bottom: 0.5rem;
+    } catch (error) {
+        console.error('❌ Preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to render preview'
+        });
+    }
 }
 
-/* Footer */
-footer {
-    text-align: center;
-    padding: 2rem 0;
-    color: #6b7280;
+/**
+ * Content Security Policy of the preview: the site's own files and remote images,
+ * no scripts, framed only by the allowed origins
+ */
+function previewCSP() {
+    const ancestors = process.env.ALLOWED_ORIGINS
+        ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).join(' ')
+        : '*';
+
+    return [
+        "default-src 'none'",
+        "style-src 'self'",
+        "font-src 'self'",
+        "img-src 'self' https: http:",
+        "base-uri 'none'",
+        "form-action 'none'",
+        `frame-ancestors ${ancestors}`
+    ].join('; ');
 }
 
-.generated {
-    font-size: 0.9rem;
-    margin-top: 0.5rem;
-    opacity: 0.7;
-}
+/**
+ * Download filename such as "portfolio-jane-doe"
+ * Restricted to ASCII letters and digits, which are always valid in a header
+ */
+function exportFilename(portfolio, prefix) {
+    const slug = (portfolio.name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
 
-/* Responsive */
-@media (max-width: 768px) {
-    .hero h1 {
-        font-size: 2rem;
-    }
-    
-    section {
-        padding: 2rem 1.5rem;
-    }
-    
-    .skills-grid,
-    .projects-grid {
-        grid-template-columns: 1fr;
-    }
-}`;
+    return slug ? `${prefix}-${slug}` : prefix;
 }
 
 /**
  * Generates deployment README
+ * @param {string} [deploySection] - Steps for the included deployment presets, from deployInstructions
  */
-function generateREADME() {
+function generateREADME(deploySection = '') {
     return `# Portfolio Website
 
 This is your personal portfolio website generated by Portlify.
 
-## Deployment Options
+${deploySection}## Deployment Options
 
 ### Option 1: GitHub Pages
 
 1. Create a new GitHub repository
-2. Upload all files (index.html, styles.css)
+2. Upload all files (index.html, styles.css, robots.txt, sitemap.xml and the fonts and images folders if present)
 3. Go to repository Settings > Pages
 4. Select "main" branch as source
 5. Your site will be live at \`https://yourusername.github.io/repository-name\`
@@ -540,7 +655,9 @@ To preview locally, simply open \`index.html\` in your web browser.
 
 - Edit \`index.html\` to change content
 - Edit \`styles.css\` to customize colors and styling
-- All colors use CSS variables for easy theming
+- Colors, fonts and page sizes are CSS variables in the \`:root\` block at the top of \`styles.css\`
+- Self-hosted fonts live in \`fonts/\` together with their licenses, images in \`images/\`
+- Search engine and link preview tags are in the \`<head>\` of \`index.html\`; if you deploy to a different address than the one set in the editor, update the canonical URL there and in \`sitemap.xml\`
 
 ---
 
@@ -551,5 +668,11 @@ Generated with ❤️ by [Portlify](https://portlify.com)
 module.exports = {
     getPortfolio,
     updatePortfolio,
-    exportPortfolio
+    deletePortfolio,
+    duplicatePortfolio,
+    exportPortfolio,
+    previewPortfolio,
+    previewStyles,
+    previewAsset,
+    sharePortfolio
 };
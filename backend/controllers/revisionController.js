@@ -0,0 +1,234 @@
+const Portfolio = require('../models/Portfolio');
+const {
+    snapshot,
+    diffSnapshots,
+    recordRevision,
+    pruneRevisions,
+    listRevisions,
+    findRevision,
+    applyRevision,
+    revisionLimit,
+    revisionAuthor,
+    MAX_REVISION_LIMIT
+} = require('../services/revisionService');
+
+/**
+ * Parses a revision number from the URL or query
+ * @returns {number|null} null when it is not a positive whole number
+ */
+function revisionNumber(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * List revisions, newest first
+ * GET /api/portfolio/:id/revisions
+ */
+async function getRevisions(req, res) {
+    try {
+        const { id } = req.params;
+
+        const portfolio = await Portfolio.findById(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        const revisions = await listRevisions(portfolio._id);
+
+        res.json({
+            success: true,
+            data: {
+                limit: revisionLimit(portfolio),
+                revisions: revisions.map(revision => ({
+                    number: revision.number,
+                    source: revision.source,
+                    restoredFrom: revision.restoredFrom,
+                    author: revision.author,
+                    changedFields: revision.changedFields,
+                    createdAt: revision.createdAt
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ List revisions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve revisions'
+        });
+    }
+}
+
+/**
+ * Field-level diff between two revisions
+ * GET /api/portfolio/:id/revisions/diff?from=&to=
+ * to defaults to the current portfolio
+ */
+async function diffRevisions(req, res) {
+    try {
+        const { id } = req.params;
+        const from = revisionNumber(req.query.from);
+        const to = req.query.to === undefined || req.query.to === 'current' ? 'current' : revisionNumber(req.query.to);
+
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be revision numbers (to may also be "current")'
+            });
+        }
+
+        const portfolio = await Portfolio.findById(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        const [fromRevision, toRevision] = await Promise.all([
+            findRevision(portfolio._id, from),
+            to === 'current' ? null : findRevision(portfolio._id, to)
+        ]);
+
+        if (!fromRevision || (to !== 'current' && !toRevision)) {
+            return res.status(404).json({
+                success: false,
+                error: `Revision ${fromRevision ? to : from} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                changes: diffSnapshots(fromRevision.snapshot, toRevision ? toRevision.snapshot : snapshot(portfolio))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Diff revisions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare revisions'
+        });
+    }
+}
+
+/**
+ * Restore an earlier revision
+ * POST /api/portfolio/:id/revisions/:number/restore
+ * The restored content is saved as a new revision, so the restore can be undone too
+ */
+async function restoreRevision(req, res) {
+    try {
+        const { id } = req.params;
+        const number = revisionNumber(req.params.number);
+
+        if (!number) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid revision number'
+            });
+        }
+
+        const portfolio = await Portfolio.findById(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        const revision = await findRevision(portfolio._id, number);
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: `Revision ${number} not found`
+            });
+        }
+
+        const before = snapshot(portfolio);
+        await applyRevision(portfolio, revision);
+        const restored = await recordRevision(portfolio, {
+            before,
+            source: 'restore',
+            restoredFrom: number,
+            author: revisionAuthor(req)
+        });
+
+        console.log(`⏪ Portfolio ${id} restored to revision ${number}`);
+
+        res.json({
+            success: true,
+            data: portfolio,
+            revision: restored ? restored.number : null
+        });
+
+    } catch (error) {
+        console.error('❌ Restore revision error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore revision'
+        });
+    }
+}
+
+/**
+ * Set how many revisions are kept
+ * PUT /api/portfolio/:id/revisions/settings
+ * Body: { limit } (null for the server default)
+ */
+async function updateRevisionSettings(req, res) {
+    try {
+        const { id } = req.params;
+        const limit = req.body ? req.body.limit : undefined;
+
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_REVISION_LIMIT)) {
+            return res.status(400).json({
+                success: false,
+                error: `limit must be a whole number between 1 and ${MAX_REVISION_LIMIT}, or null for the default`
+            });
+        }
+
+        const portfolio = await Portfolio.findById(id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        portfolio.revisionLimit = limit;
+        await portfolio.save();
+        await pruneRevisions(portfolio);
+
+        res.json({
+            success: true,
+            data: { limit: revisionLimit(portfolio) }
+        });
+
+    } catch (error) {
+        console.error('❌ Revision settings error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update revision settings'
+        });
+    }
+}
+
+module.exports = {
+    getRevisions,
+    diffRevisions,
+    restoreRevision,
+    updateRevisionSettings
+};
@@ -0,0 +1,58 @@
+const Portfolio = require('../models/Portfolio');
+const Session = require('../models/Session');
+
+// Fields of a portfolio listed in its session; the content is loaded per portfolio
+const SUMMARY_FIELDS = 'name headline theme template createdAt updatedAt';
+
+/**
+ * List the portfolios of a session, most recently updated first
+ * GET /api/session/:sessionId/portfolios
+ * Like every route, a token that is due for renewal gets its replacement in the
+ * X-Session-Token header (see middleware/auth).
+ */
+async function getSessionPortfolios(req, res) {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await Session.findOne({ sessionId });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        const portfolios = await Portfolio.find({ _id: { $in: session.portfolioIds }, sessionId })
+            .select(SUMMARY_FIELDS)
+            .sort({ updatedAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                sessionId,
+                expiresAt: session.expiresAt,
+                portfolios: portfolios.map(portfolio => ({
+                    id: portfolio._id,
+                    name: portfolio.name,
+                    headline: portfolio.headline || null,
+                    theme: portfolio.theme,
+                    template: portfolio.template,
+                    createdAt: portfolio.createdAt,
+                    updatedAt: portfolio.updatedAt
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ List session portfolios error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve portfolios'
+        });
+    }
+}
+
+module.exports = {
+    getSessionPortfolios
+};
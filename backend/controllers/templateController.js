@@ -0,0 +1,149 @@
+const Template = require('../models/Template');
+const { readTemplatePackage } = require('../services/templates');
+
+// Templates one session can register; each stores its assets in the database
+const MAX_TEMPLATES_PER_SESSION = 10;
+
+/**
+ * Registers a custom template for the request's session
+ * POST /api/templates
+ */
+async function uploadTemplate(req, res) {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No file uploaded. Please provide a template package (ZIP).'
+            });
+        }
+
+        if (await Template.countDocuments({ sessionId: req.sessionId }) >= MAX_TEMPLATES_PER_SESSION) {
+            return res.status(403).json({
+                success: false,
+                error: `A session can register at most ${MAX_TEMPLATES_PER_SESSION} templates`
+            });
+        }
+
+        console.log(`📤 Processing template package: ${req.file.originalname}`);
+
+        const { template, errors } = await readTemplatePackage(req.file.buffer);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid template package',
+                details: errors
+            });
+        }
+
+        if (await Template.exists({ sessionId: req.sessionId, name: template.name })) {
+            return res.status(409).json({
+                success: false,
+                error: `A template named "${template.name}" already exists. Upload new versions under a new name.`
+            });
+        }
+
+        const saved = await Template.create({ ...template, sessionId: req.sessionId });
+
+        console.log(`✅ Template registered: ${saved.name} (${saved.assets.length} assets)`);
+
+        res.status(201).json({
+            success: true,
+            data: summarize(saved)
+        });
+
+    } catch (error) {
+        console.error('❌ Template upload error:', error);
+
+        // Another upload registered the same name in the meantime
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'A template with this name already exists. Upload new versions under a new name.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register template'
+        });
+    }
+}
+
+/**
+ * Lists the templates of the request's session
+ * GET /api/templates
+ */
+async function listTemplates(req, res) {
+    try {
+        const templates = await Template.find({ sessionId: req.sessionId }, 'name label description defaults createdAt').sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: templates.map(summarize)
+        });
+
+    } catch (error) {
+        console.error('❌ List templates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list templates'
+        });
+    }
+}
+
+/**
+ * Get a template with its file list
+ * GET /api/templates/:name
+ */
+async function getTemplate(req, res) {
+    try {
+        const template = await Template.findOne({ sessionId: req.sessionId, name: req.params.name });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...summarize(template),
+                files: [
+                    'index.html',
+                    ...(template.css ? ['styles.css'] : []),
+                    ...template.assets.map(asset => asset.name)
+                ]
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve template'
+        });
+    }
+}
+
+/**
+ * Public fields of a template
+ */
+function summarize(template) {
+    return {
+        name: template.name,
+        label: template.label,
+        description: template.description,
+        fonts: template.defaults.fonts,
+        pageWidth: template.defaults.pageWidth,
+        createdAt: template.createdAt
+    };
+}
+
+module.exports = {
+    uploadTemplate,
+    listTemplates,
+    getTemplate
+};
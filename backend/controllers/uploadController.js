@@ -1,6 +1,9 @@
 const { parseResume } = require('../services/parsingService');
+const { resolveMimeType } = require('../parsers/textExtractor');
+const { fromJSONResume, validateJSONResume } = require('../services/jsonResumeService');
 const Portfolio = require('../models/Portfolio');
-const Session = require('../models/Session');
+const { issueSessionToken } = require('../services/tokenService');
+const { addPortfolioToSession } = require('../services/sessionService');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 
@@ -18,13 +21,27 @@ async function uploadResume(req, res) {
             });
         }
 
-        const { path: filePath, mimetype } = req.file;
+        const { path: filePath, originalname } = req.file;
+
+        // Only the session token can add to an existing session
+        if (req.body.sessionId && req.body.sessionId !== req.sessionId) {
+            await fs.unlink(filePath).catch(() => { });
+
+            return res.status(401).json({
+                success: false,
+                error: 'A session token is required to add to an existing session'
+            });
+        }
+
+        const mimetype = resolveMimeType(req.file.mimetype, originalname);
         const useAI = req.body.useAI === 'true';
+        const pdfLayout = req.body.pdfLayout === 'flat' ? 'flat' : 'positional';
+        const language = req.body.language || undefined;
 
         console.log(`📤 Processing resume upload: ${req.file.originalname}`);
 
         // Parse the resume
-        const parseResult = await parseResume(filePath, mimetype, { useAI });
+        const parseResult = await parseResume(filePath, mimetype, { useAI, pdfLayout, language });
 
         if (!parseResult.success) {
             // Clean up file
@@ -36,8 +53,8 @@ async function uploadResume(req, res) {
             });
         }
 
-        // Generate or retrieve session ID
-        let sessionId = req.body.sessionId || crypto.randomUUID();
+        // Session of the token, or a new one
+        const sessionId = req.sessionId || crypto.randomUUID();
 
         // Save to database
         const portfolio = new Portfolio({
@@ -48,16 +65,7 @@ async function uploadResume(req, res) {
         await portfolio.save();
 
         // Update or create session
-        let session = await Session.findOne({ sessionId });
-        if (!session) {
-            session = new Session({
-                sessionId,
-                portfolioIds: [portfolio._id]
-            });
-        } else {
-            session.portfolioIds.push(portfolio._id);
-        }
-        await session.save();
+        await addPortfolioToSession(sessionId, portfolio._id);
 
         // Clean up uploaded file
         await fs.unlink(filePath).catch(() => { });
@@ -68,6 +76,7 @@ async function uploadResume(req, res) {
             success: true,
             portfolioId: portfolio._id,
             sessionId,
+            sessionToken: issueSessionToken(sessionId).token,
             data: parseResult.data,
             metadata: parseResult.metadata
         });
@@ -87,6 +96,76 @@ async function uploadResume(req, res) {
     }
 }
 
+/**
+ * Imports a JSON Resume document without text parsing
+ * POST /api/upload/jsonresume
+ * Body: the resume.json object, or { resume }; send the session token (Authorization:
+ * Bearer) to add the portfolio to that session
+ */
+async function importJSONResume(req, res) {
+    try {
+        const wrapped = req.body && req.body.resume !== undefined;
+        const resume = wrapped ? req.body.resume : req.body;
+
+        const validationError = validateJSONResume(resume);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid JSON Resume: ${validationError}`
+            });
+        }
+
+        if (wrapped && req.body.sessionId && req.body.sessionId !== req.sessionId) {
+            return res.status(401).json({
+                success: false,
+                error: 'A session token is required to add to an existing session'
+            });
+        }
+
+        console.log('📥 Importing JSON Resume');
+
+        const portfolioData = fromJSONResume(resume);
+
+        // Session of the token, or a new one
+        const sessionId = req.sessionId || crypto.randomUUID();
+
+        const portfolio = new Portfolio({
+            sessionId,
+            ...portfolioData
+        });
+
+        await portfolio.save();
+        await addPortfolioToSession(sessionId, portfolio._id);
+
+        console.log(`✅ JSON Resume imported. Portfolio ID: ${portfolio._id}`);
+
+        res.json({
+            success: true,
+            portfolioId: portfolio._id,
+            sessionId,
+            sessionToken: issueSessionToken(sessionId).token,
+            data: portfolioData
+        });
+
+    } catch (error) {
+        console.error('❌ JSON Resume import error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid data provided',
+                details: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'An error occurred while importing your resume. Please try again.'
+        });
+    }
+}
+
 module.exports = {
-    uploadResume
+    uploadResume,
+    importJSONResume
 };
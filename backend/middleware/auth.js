@@ -0,0 +1,161 @@
+/**
+ * Access checks for portfolio and session routes
+ * Tokens come from the Authorization header ("Bearer <token>") or, for links and
+ * iframes that cannot send headers, a ?token= query parameter. Preview stylesheets,
+ * fonts and images fall back to the token in the preview page's Referer. Every request
+ * with a session token renews its session, and once the token is a day old the response
+ * carries its replacement in the X-Session-Token header (expiry in X-Session-Token-Expires-At).
+ */
+
+const Portfolio = require('../models/Portfolio');
+const { verifyToken, refreshSessionToken } = require('../services/tokenService');
+const { renewSession } = require('../services/sessionService');
+
+function requestToken(req) {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    if (typeof req.query.token === 'string') return req.query.token;
+
+    try {
+        const referer = new URL(req.get('Referer'));
+        if (referer.pathname === `${req.baseUrl}/${req.params.id}/preview/`) {
+            return referer.searchParams.get('token');
+        }
+    } catch (error) {
+        // No usable Referer
+    }
+
+    return null;
+}
+
+/**
+ * Renews the session of a valid session token and sends a fresh token when due
+ */
+async function renew(req, res, claims) {
+    req.sessionId = claims.sid;
+    await renewSession(claims.sid);
+
+    const refreshed = refreshSessionToken(claims);
+    if (refreshed) {
+        res.set('X-Session-Token', refreshed.token);
+        res.set('X-Session-Token-Expires-At', refreshed.expiresAt.toISOString());
+    }
+}
+
+/**
+ * Middleware factory for /api/portfolio/:id routes
+ * @param {'owner'|'viewer'} access - owner needs the session token of the portfolio's
+ *   session; viewer also accepts a share token for the portfolio
+ * With a session token, req.sessionId is set to its session.
+ */
+function requireAccess(access) {
+    return async function checkAccess(req, res, next) {
+        const token = requestToken(req);
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'A session token is required'
+            });
+        }
+
+        const claims = verifyToken(token);
+
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+
+        if (claims.type === 'share') {
+            if (access !== 'viewer') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Share tokens are read-only'
+                });
+            }
+
+            if (claims.pid !== req.params.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'This token does not grant access to this portfolio'
+                });
+            }
+
+            return next();
+        }
+
+        const portfolio = await Portfolio.findById(req.params.id).select('sessionId');
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                error: 'Portfolio not found'
+            });
+        }
+
+        if (claims.type !== 'session' || claims.sid !== portfolio.sessionId) {
+            return res.status(403).json({
+                success: false,
+                error: 'This token does not grant access to this portfolio'
+            });
+        }
+
+        await renew(req, res, claims);
+        next();
+    };
+}
+
+/**
+ * Requires a session token, and on /:sessionId routes the token of that session
+ * req.sessionId is set to the token's session.
+ */
+async function requireSession(req, res, next) {
+    const claims = verifyToken(requestToken(req));
+
+    if (!claims || claims.type !== 'session') {
+        return res.status(401).json({
+            success: false,
+            error: 'A valid session token is required'
+        });
+    }
+
+    if (req.params.sessionId !== undefined && claims.sid !== req.params.sessionId) {
+        return res.status(403).json({
+            success: false,
+            error: 'This token does not grant access to this session'
+        });
+    }
+
+    await renew(req, res, claims);
+    next();
+}
+
+/**
+ * Sets req.sessionId from an optional session token, for routes that create portfolios
+ * Without a token the request starts a new session; an invalid one is rejected.
+ */
+async function identifySession(req, res, next) {
+    const header = req.get('Authorization');
+    if (!header) return next();
+
+    const claims = verifyToken(header.replace(/^Bearer\s+/i, '').trim());
+
+    if (!claims || claims.type !== 'session') {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired session token'
+        });
+    }
+
+    await renew(req, res, claims);
+    next();
+}
+
+module.exports = {
+    requireOwner: requireAccess('owner'),
+    requireViewer: requireAccess('viewer'),
+    requireSession,
+    identifySession
+};
@@ -10,7 +10,9 @@ function errorHandler(err, req, res, next) {
     if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(400).json({
             success: false,
-            error: 'File size too large. Maximum size is 5MB.'
+            error: err.field === 'template'
+                ? 'Template package too large. Maximum size is 10MB.'
+                : 'File size too large. Maximum size is 5MB.'
         });
     }
 
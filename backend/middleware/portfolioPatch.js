@@ -0,0 +1,92 @@
+/**
+ * JSON Patch requests (PATCH /api/portfolio/:id)
+ * Applies the operations to the stored portfolio and hands the changed top-level
+ * fields on as a regular update body, so they go through the same validation, save
+ * and revision as PUT. Entries are addressed by index or by their stable id:
+ * /experience/@<_id>/highlights/0.
+ * The portfolio the patch was applied to is handed on too (req.portfolio), and only
+ * saved if nobody saved it in between: the whole fields sent on would otherwise undo
+ * a concurrent change to another part of them.
+ */
+
+const Portfolio = require('../models/Portfolio');
+const { applyPatch, parsePointer, OPERATIONS } = require('../utils/jsonPatch');
+const { snapshot, EDITABLE_FIELDS } = require('../services/revisionService');
+
+const MAX_OPERATIONS = 500;
+
+function patchError(res, status, error, details) {
+    return res.status(status).json({
+        success: false,
+        error,
+        details
+    });
+}
+
+/**
+ * Top-level fields an operation writes to, or null when one of its pointers is malformed
+ */
+function touchedFields(operation) {
+    const pointers = [operation.path, operation.op === 'move' ? operation.from : undefined]
+        .filter(pointer => pointer !== undefined)
+        .map(parsePointer);
+
+    if (pointers.some(segments => !segments || segments.length === 0)) return null;
+    return pointers.map(segments => segments[0]);
+}
+
+async function applyPortfolioPatch(req, res, next) {
+    const operations = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+        return patchError(res, 400, 'Invalid patch', [{
+            operation: null,
+            message: `Expected a JSON Patch: a list of 1 to ${MAX_OPERATIONS} operations`
+        }]);
+    }
+
+    const fields = new Set();
+
+    for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index];
+        // Unsupported and test operations write nothing; applyPatch reports the former
+        const writes = operation && typeof operation === 'object' && OPERATIONS.includes(operation.op) && operation.op !== 'test';
+        const touched = writes ? touchedFields(operation) : [];
+        const readOnly = (touched || []).find(field => !EDITABLE_FIELDS.includes(field));
+
+        if (readOnly !== undefined) {
+            return patchError(res, 400, 'Invalid patch', [{ operation: index, message: `${readOnly} cannot be changed` }]);
+        }
+
+        (touched || []).forEach(field => fields.add(field));
+    }
+
+    const portfolio = await Portfolio.findById(req.params.id);
+
+    if (!portfolio) {
+        return res.status(404).json({
+            success: false,
+            error: 'Portfolio not found'
+        });
+    }
+
+    const { document, error } = applyPatch(snapshot(portfolio), operations);
+
+    if (error) {
+        // A failed test means the portfolio changed since the client read it
+        const conflict = operations[error.index].op === 'test';
+        return patchError(res, conflict ? 409 : 400, conflict ? 'Portfolio has changed' : 'Invalid patch', [{
+            operation: error.index,
+            message: error.message
+        }]);
+    }
+
+    // A removed field is sent as null, which clears it or fails validation if it is required
+    req.body = Object.fromEntries([...fields].map(field => [field, document[field] === undefined ? null : document[field]]));
+    req.portfolio = portfolio;
+    next();
+}
+
+module.exports = {
+    applyPortfolioPatch
+};
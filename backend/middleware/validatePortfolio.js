@@ -0,0 +1,341 @@
+/**
+ * Validation of portfolio updates (PUT /api/portfolio/:id, and PATCH after the patch is applied)
+ * Only the fields below may be written, each with its type, format and length limits.
+ * Errors are returned per field, e.g. { field: 'experience[0].role', message }, so the
+ * editor can show them next to the input.
+ */
+
+const { body, checkExact, validationResult } = require('express-validator');
+const Template = require('../models/Template');
+const { THEME_NAMES } = require('../services/themes');
+const { LAYOUT_NAMES } = require('../services/themes/layouts');
+const { SAFE_FONT_NAME } = require('../services/themes/fonts');
+
+// Fields the server manages or other endpoints change; clients send them back with the
+// portfolio, so they are dropped
+const READ_ONLY_FIELDS = ['_id', 'sessionId', 'createdAt', 'updatedAt', '__v', 'revisionLimit'];
+
+const LIMITS = {
+    name: 100,
+    text: 200,
+    paragraph: 5000,
+    url: 2048,
+    // Base64 of the 5 MB images themes/images accepts
+    image: 7 * 1024 * 1024,
+    entries: 50,
+    tags: 100
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const PHONE = /^\+?[0-9 ().\-/]+$/;
+const IMAGE_DATA_URI = /^data:image\/(?:png|jpe?g|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const URL_OPTIONS = { protocols: ['http', 'https'] };
+
+const isFilled = value => value !== '';
+
+// Checks of objects and lists, as opposed to the fields inside them. They run after
+// checkExact, which would otherwise accept any field inside a checked object or list.
+const containers = new WeakSet();
+
+function container(chain) {
+    containers.add(chain);
+    return chain;
+}
+
+/**
+ * Optional text field; null and '' clear it
+ */
+function text(path, max = LIMITS.text) {
+    return body(path)
+        .optional({ values: 'null' })
+        .isString().withMessage('Must be text').bail()
+        .trim()
+        .isLength({ max }).withMessage(`Must be at most ${max} characters`);
+}
+
+function url(path) {
+    return text(path, LIMITS.url)
+        .if(isFilled)
+        .isURL(URL_OPTIONS).withMessage('Enter a valid web address, such as https://example.com');
+}
+
+/**
+ * http(s) URL or a base64 data URI of a PNG, JPEG, GIF or WebP image
+ */
+function image(path) {
+    return text(path, LIMITS.image)
+        .if(isFilled)
+        .custom(value => IMAGE_DATA_URI.test(value) || (value.length <= LIMITS.url && /^https?:\/\//i.test(value)))
+        .withMessage('Must be an http(s) image URL or a PNG, JPEG, GIF or WebP data URI');
+}
+
+function date(path) {
+    return body(path)
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Must be a date such as 2021-06-01');
+}
+
+function flag(path) {
+    return body(path)
+        .optional()
+        .custom(value => typeof value === 'boolean').withMessage('Must be true or false');
+}
+
+/**
+ * List of strings, such as highlights or tech
+ */
+function textList(path, maxItems, maxLength) {
+    return [
+        container(body(path).optional().isArray({ max: maxItems }).withMessage(`Must be a list of at most ${maxItems} items`)),
+        body(`${path}.*`)
+            .isString().withMessage('Must be text').bail()
+            .trim()
+            .isLength({ max: maxLength }).withMessage(`Must be at most ${maxLength} characters`)
+    ];
+}
+
+/**
+ * Whether no two entries share an _id; entries without one get a new id on save
+ */
+function uniqueIds(entries) {
+    const ids = entries.filter(entry => entry && entry._id !== undefined).map(entry => String(entry._id));
+    return new Set(ids).size === ids.length;
+}
+
+/**
+ * List of entries: each an object with the given fields and its own _id
+ * The _id stays the same across updates, reorders and restores, so entries can be
+ * addressed by it (see middleware/portfolioPatch).
+ * @param {Function} fields - Returns the chains of one entry's fields from its path prefix
+ */
+function entryList(path, fields) {
+    return [
+        container(body(path)
+            .optional()
+            .isArray({ max: LIMITS.entries }).withMessage(`Must be a list of at most ${LIMITS.entries} entries`).bail()
+            .custom(uniqueIds).withMessage('Entries must have different ids')),
+        container(body(`${path}.*`).isObject({ strict: true }).withMessage('Must be an object')),
+        body(`${path}.*._id`).optional().isMongoId().withMessage('Invalid entry id'),
+        ...fields(`${path}.*`)
+    ];
+}
+
+function object(path) {
+    return container(body(path).optional().isObject({ strict: true }).withMessage('Must be an object'));
+}
+
+const rules = [
+    body('name')
+        .optional()
+        .isString().withMessage('Must be text').bail()
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: LIMITS.name }).withMessage(`Must be at most ${LIMITS.name} characters`),
+    text('headline'),
+    text('summary', LIMITS.paragraph),
+    image('profilePicture'),
+
+    ...entryList('skills', item => [
+        text(`${item}.category`, LIMITS.text),
+        ...textList(`${item}.items`, LIMITS.tags, LIMITS.text)
+    ]),
+    ...entryList('experience', item => [
+        text(`${item}.role`),
+        text(`${item}.company`),
+        text(`${item}.duration`),
+        date(`${item}.startDate`),
+        date(`${item}.endDate`),
+        flag(`${item}.isCurrent`),
+        text(`${item}.description`, LIMITS.paragraph),
+        ...textList(`${item}.highlights`, LIMITS.entries, LIMITS.paragraph)
+    ]),
+    ...entryList('projects', item => [
+        text(`${item}.title`),
+        ...textList(`${item}.tech`, LIMITS.tags, LIMITS.text),
+        text(`${item}.duration`),
+        date(`${item}.startDate`),
+        date(`${item}.endDate`),
+        flag(`${item}.isCurrent`),
+        text(`${item}.description`, LIMITS.paragraph),
+        ...textList(`${item}.highlights`, LIMITS.entries, LIMITS.paragraph),
+        url(`${item}.link`),
+        image(`${item}.image`)
+    ]),
+    ...entryList('education', item => [
+        text(`${item}.degree`),
+        text(`${item}.institution`),
+        text(`${item}.year`),
+        date(`${item}.startDate`),
+        date(`${item}.endDate`),
+        flag(`${item}.isCurrent`),
+        text(`${item}.details`, LIMITS.paragraph)
+    ]),
+    ...entryList('certifications', item => [
+        text(`${item}.name`),
+        text(`${item}.issuer`),
+        text(`${item}.date`),
+        text(`${item}.credentialId`),
+        url(`${item}.link`)
+    ]),
+    ...entryList('awards', item => [
+        text(`${item}.title`),
+        text(`${item}.issuer`),
+        text(`${item}.date`),
+        text(`${item}.description`, LIMITS.paragraph)
+    ]),
+    ...entryList('publications', item => [
+        text(`${item}.title`),
+        text(`${item}.publisher`),
+        text(`${item}.date`),
+        url(`${item}.link`)
+    ]),
+    ...entryList('languages', item => [
+        text(`${item}.language`),
+        text(`${item}.proficiency`)
+    ]),
+    ...entryList('volunteer', item => [
+        text(`${item}.role`),
+        text(`${item}.organization`),
+        text(`${item}.duration`),
+        date(`${item}.startDate`),
+        date(`${item}.endDate`),
+        flag(`${item}.isCurrent`),
+        text(`${item}.description`, LIMITS.paragraph),
+        ...textList(`${item}.highlights`, LIMITS.entries, LIMITS.paragraph)
+    ]),
+
+    object('links'),
+    url('links.github'),
+    url('links.linkedin'),
+    url('links.website'),
+    text('links.email', LIMITS.text)
+        .if(isFilled)
+        .isEmail().withMessage('Enter a valid email address'),
+    text('links.phone', 30)
+        .if(isFilled)
+        .custom(value => PHONE.test(value) && /^\d{7,15}$/.test(value.replace(/\D/g, '')))
+        .withMessage('Enter a valid phone number, such as +1 555 010 0100'),
+    ...entryList('links.profiles', item => [
+        text(`${item}.network`),
+        text(`${item}.username`),
+        url(`${item}.url`)
+    ]),
+
+    object('location'),
+    text('location.address'),
+    text('location.postalCode', 20),
+    text('location.city'),
+    text('location.countryCode', 2),
+    text('location.region'),
+
+    body('theme')
+        .optional()
+        .isIn(THEME_NAMES).withMessage(`Must be one of: ${THEME_NAMES.join(', ')}`),
+    body('template')
+        .optional({ values: 'null' })
+        .isString().withMessage('Must be a template name').bail()
+        .custom(async (name, { req }) => {
+            if (!(await Template.exists({ sessionId: req.sessionId, name }))) throw new Error('Template not found');
+        }),
+
+    object('customizations'),
+    object('customizations.colors'),
+    ...['primary', 'secondary', 'accent'].map(key => body(`customizations.colors.${key}`)
+        .optional({ values: 'null' })
+        .matches(HEX_COLOR).withMessage('Must be a hex color such as #2563eb')),
+    object('customizations.fonts'),
+    ...['heading', 'body'].map(role => text(`customizations.fonts.${role}`, 40)
+        .if(isFilled)
+        .matches(SAFE_FONT_NAME).withMessage('Font names may contain letters, digits, spaces and dashes')),
+    // Portfolios parsed before layouts could be chosen store 'default': the theme's layout
+    body('customizations.layout')
+        .customSanitizer(layout => (layout === 'default' ? null : layout))
+        .optional({ values: 'null' })
+        .isIn(LAYOUT_NAMES).withMessage(`Must be one of: ${LAYOUT_NAMES.join(', ')}`),
+    url('customizations.siteUrl')
+];
+
+/**
+ * Requires a JSON object and drops the server-managed fields before validation
+ */
+function prepareBody(req, res, next) {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid portfolio data',
+            details: [{ field: '', message: 'Expected a JSON object' }]
+        });
+    }
+
+    READ_ONLY_FIELDS.forEach(field => delete req.body[field]);
+    next();
+}
+
+/**
+ * Treats a missing body as no changes, for requests where the fields are optional
+ */
+function optionalBody(req, res, next) {
+    if (req.body === undefined) req.body = {};
+    next();
+}
+
+/**
+ * Field path as the editor names it: experience[0].role
+ */
+function fieldName(path) {
+    return path.replace(/\.(\d+)(?=\.|$)/g, '[$1]');
+}
+
+/**
+ * Field errors of a Mongoose ValidationError or CastError raised by save()
+ * Values the rules above let through but the schema rejects end up here.
+ * @returns {Array<{field: string, message: string}>|null} null for other errors
+ */
+function schemaErrorDetails(error) {
+    // The keys of error.errors are full paths; an error's own path is relative to its subdocument
+    const detail = (path, err) => ({
+        field: fieldName(path),
+        message: err.name === 'CastError' ? `Must be a valid ${String(err.kind).toLowerCase()}` : err.message
+    });
+
+    if (error && error.name === 'ValidationError') {
+        return Object.entries(error.errors).map(([path, err]) => detail(path, err));
+    }
+    if (error && error.name === 'CastError') return [detail(error.path, error)];
+    return null;
+}
+
+/**
+ * Responds 400 with every field error, or continues with the validated body
+ */
+function handleValidationErrors(req, res, next) {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+
+    // Fields inside an entry that is not an object keep their wildcard; the entry's own error covers them
+    const details = result.array({ onlyFirstError: true })
+        .flatMap(error => (error.type === 'unknown_fields'
+            ? error.fields.map(field => ({ field: fieldName(field.path), message: 'Unknown field' }))
+            : [{ field: fieldName(error.path), message: error.msg }]))
+        .filter(detail => !detail.field.includes('*'));
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid portfolio data',
+        details
+    });
+}
+
+const validatePortfolioUpdate = [
+    prepareBody,
+    checkExact(rules.filter(chain => !containers.has(chain))),
+    ...rules.filter(chain => containers.has(chain)),
+    handleValidationErrors
+];
+
+module.exports = {
+    validatePortfolioUpdate,
+    schemaErrorDetails,
+    // Fields to change in a copy (POST /api/portfolio/:id/duplicate)
+    validatePortfolioChanges: [optionalBody, ...validatePortfolioUpdate]
+};
@@ -24,13 +24,27 @@ const portfolioSchema = new mongoose.Schema({
         role: String,
         company: String,
         duration: String,
+        startDate: Date,
+        endDate: Date,
+        isCurrent: {
+            type: Boolean,
+            default: false
+        },
         description: String,
         highlights: [String]
     }],
     projects: [{
         title: String,
         tech: [String],
+        duration: String,
+        startDate: Date,
+        endDate: Date,
+        isCurrent: {
+            type: Boolean,
+            default: false
+        },
         description: String,
+        highlights: [String],
         link: String,
         image: String
     }],
@@ -38,20 +52,79 @@ const portfolioSchema = new mongoose.Schema({
         degree: String,
         institution: String,
         year: String,
+        startDate: Date,
+        endDate: Date,
+        isCurrent: {
+            type: Boolean,
+            default: false
+        },
         details: String
     }],
+    certifications: [{
+        name: String,
+        issuer: String,
+        date: String,
+        credentialId: String,
+        link: String
+    }],
+    awards: [{
+        title: String,
+        issuer: String,
+        date: String,
+        description: String
+    }],
+    publications: [{
+        title: String,
+        publisher: String,
+        date: String,
+        link: String
+    }],
+    languages: [{
+        language: String,
+        proficiency: String
+    }],
+    volunteer: [{
+        role: String,
+        organization: String,
+        duration: String,
+        startDate: Date,
+        endDate: Date,
+        isCurrent: {
+            type: Boolean,
+            default: false
+        },
+        description: String,
+        highlights: [String]
+    }],
     links: {
         github: String,
         linkedin: String,
         email: String,
         phone: String,
-        website: String
+        website: String,
+        // Social profiles as JSON Resume lists them, GitHub and LinkedIn included
+        profiles: [{
+            network: String,
+            username: String,
+            url: String
+        }]
+    },
+    location: {
+        address: String,
+        postalCode: String,
+        city: String,
+        countryCode: String,
+        region: String
     },
     theme: {
         type: String,
         default: 'modern',
         enum: ['modern', 'professional', 'creative', 'minimal']
     },
+    template: {
+        type: String,
+        default: null  // Name of a custom template, used instead of the theme
+    },
     customizations: {
         colors: {
             primary: String,
@@ -62,7 +135,12 @@ const portfolioSchema = new mongoose.Schema({
             heading: String,
             body: String
         },
-        layout: String
+        layout: String,
+        siteUrl: String  // Address the exported site is deployed to, for canonical and sitemap URLs
+    },
+    revisionLimit: {
+        type: Number,
+        default: null  // Revisions kept by services/revisionService; null uses REVISION_LIMIT
     }
 }, {
     timestamps: true
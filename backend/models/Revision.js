@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Saved state of a portfolio, see services/revisionService
+const revisionSchema = new mongoose.Schema({
+    portfolioId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Portfolio',
+        required: true
+    },
+    number: {
+        type: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        required: true,
+        enum: ['original', 'update', 'restore']  // original: the content before the first update
+    },
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+    author: {
+        sessionId: String,
+        userAgent: String
+    },
+    changedFields: [String],
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    blobs: [String]  // Hashes of the RevisionBlobs the snapshot refers to
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+revisionSchema.index({ portfolioId: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Large value of revision snapshots, such as a base64 profile picture, stored once per
+// portfolio however many revisions hold it; see services/revisionService
+const revisionBlobSchema = new mongoose.Schema({
+    portfolioId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Portfolio',
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true  // SHA-256 of the value
+    },
+    value: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionBlobSchema.index({ portfolioId: 1, hash: 1 }, { unique: true });
+
+module.exports = mongoose.model('RevisionBlob', revisionBlobSchema);
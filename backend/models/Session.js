@@ -13,7 +13,7 @@ const sessionSchema = new mongoose.Schema({
     }],
     expiresAt: {
         type: Date,
-        default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+        default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days, renewed on use (services/sessionService)
         index: true
     }
 }, {
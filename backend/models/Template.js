@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Custom site template uploaded as a package, see services/templates
+// Templates belong to the session that uploaded them; names are unique per session.
+const templateSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    label: {
+        type: String,
+        required: true
+    },
+    description: String,
+    html: {
+        type: String,
+        required: true
+    },
+    css: {
+        type: String,
+        default: ''
+    },
+    defaults: {
+        fonts: {
+            heading: {
+                type: String,
+                default: 'system-ui'
+            },
+            body: {
+                type: String,
+                default: 'system-ui'
+            }
+        },
+        pageWidth: {
+            type: String,
+            default: '1000px'
+        }
+    },
+    assets: [{
+        _id: false,
+        name: String,
+        contentType: String,
+        content: Buffer
+    }]
+}, {
+    timestamps: true
+});
+
+templateSchema.index({ sessionId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Template', templateSchema);
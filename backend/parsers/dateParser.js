@@ -0,0 +1,258 @@
+/**
+ * Parses resume date expressions into structured ranges
+ * Handles "Jan 2020 – Present", "03/2019 - 06/2021", "2018–20", "Summer 2022" and plain years,
+ * plus the month names and "present" words of the locale packs ("enero 2020 - Actualidad", "seit 03.2019")
+ */
+
+const { getDateVocabulary, escapeRegExp } = require('./locales');
+
+const vocabulary = getDateVocabulary();
+
+// English month names plus those of every locale pack
+const MONTHS = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5,
+    june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+    october: 10, oct: 10, november: 11, nov: 11, december: 12, dec: 12,
+    ...vocabulary.months
+};
+
+// First and last month covered by each season
+const SEASONS = {
+    spring: [3, 5],
+    summer: [6, 8],
+    fall: [9, 11],
+    autumn: [9, 11],
+    winter: [12, 2]
+};
+
+/**
+ * Builds a case-insensitive alternation of whole words
+ * Longest words come first so "january" is preferred over "jan"; letter-based
+ * boundaries are used because \b does not treat accented letters as word characters
+ */
+function wordsPattern(words) {
+    const alternatives = [...words].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    return `(?<![\\p{L}])(?:${alternatives})(?![\\p{L}])`;
+}
+
+const MONTH_NAME = `${wordsPattern(Object.keys(MONTHS))}\\.?`;
+const SEASON_NAME = '\\b(?:spring|summer|fall|autumn|winter)';
+const YEAR = '(?:19|20)\\d{2}';
+const PRESENT = wordsPattern(['present', 'current', 'now', 'today', 'ongoing', 'to date', ...vocabulary.present]);
+const RANGE_WORDS = `(?<=\\s)(?:${vocabulary.rangeWords.map(escapeRegExp).join('|')})(?=\\s)`;
+const SINCE = wordsPattern(['since', ...vocabulary.since]);
+
+// A single date: "Jan 2020", "enero de 2020", "Jun'19", "Summer 2022", "03/2019", "03.2019" or "2018"
+const DATE_PART = `(?:${MONTH_NAME}(?:\\s+de)?,?\\s*${YEAR}|${MONTH_NAME}\\s*['’]\\d{2}|${SEASON_NAME},?\\s+${YEAR}|\\b\\d{1,2}[\\/.]${YEAR}|\\b${YEAR})\\b`;
+
+// A range, or a start date directly followed by a present word ("2019 till date")
+const RANGE_PATTERN = new RegExp(
+    `(${DATE_PART})\\s*(?:(?:-|–|—|\\bto\\b|\\buntil\\b|\\btill\\b|~|${RANGE_WORDS})\\s*(${DATE_PART}|\\d{2}\\b|${PRESENT})|(${PRESENT}))`,
+    'iu'
+);
+const SINCE_PATTERN = new RegExp(`${SINCE}\\s+(${DATE_PART})`, 'iu');
+const SINGLE_PATTERN = new RegExp(`(${DATE_PART})`, 'iu');
+const PRESENT_PATTERN = new RegExp(`^${PRESENT}$`, 'iu');
+
+/**
+ * Creates a UTC date for the first day of a month
+ */
+function monthDate(year, month) {
+    return new Date(Date.UTC(year, month - 1, 1));
+}
+
+/**
+ * Parses a single date into the period it covers
+ * @param {string} text - One date expression matched by DATE_PART
+ * @returns {{startYear: number, startMonth: number, endYear: number, endMonth: number}|null}
+ */
+function parseDatePart(text) {
+    const trimmed = text.trim().toLowerCase();
+    const yearMatch = trimmed.match(new RegExp(YEAR));
+    const shortYear = trimmed.match(/['’](\d{2})$/);
+    if (!yearMatch && !shortYear) return null;
+
+    // "Jun'19": two-digit years below 50 are in this century
+    const year = yearMatch
+        ? parseInt(yearMatch[0], 10)
+        : (parseInt(shortYear[1], 10) < 50 ? 2000 : 1900) + parseInt(shortYear[1], 10);
+
+    const numericMonth = trimmed.match(/^(\d{1,2})[/.]/);
+    if (numericMonth) {
+        const month = parseInt(numericMonth[1], 10);
+        if (month < 1 || month > 12) return null;
+        return { startYear: year, startMonth: month, endYear: year, endMonth: month };
+    }
+
+    const season = Object.keys(SEASONS).find(name => trimmed.startsWith(name));
+    if (season) {
+        const [first, last] = SEASONS[season];
+        // Winter runs into the next year
+        return { startYear: year, startMonth: first, endYear: last < first ? year + 1 : year, endMonth: last };
+    }
+
+    const word = trimmed.match(/^\p{L}+/u);
+    if (word && MONTHS[word[0]]) {
+        const month = MONTHS[word[0]];
+        return { startYear: year, startMonth: month, endYear: year, endMonth: month };
+    }
+
+    // A bare year covers the whole year
+    return { startYear: year, startMonth: 1, endYear: year, endMonth: 12 };
+}
+
+/**
+ * Finds the first date range or single date in a line of text
+ * Dates are the first day of the start and end month; endDate is null for current positions
+ * @param {string} text - Line that may contain a date
+ * @returns {{raw: string, startDate: Date, endDate: Date|null, isCurrent: boolean, isRange: boolean}|null}
+ * isRange is false when only a single date ("Summer 2022") was found
+ */
+function findDateRange(text) {
+    if (!text) return null;
+
+    const rangeMatch = text.match(RANGE_PATTERN);
+    if (rangeMatch) {
+        const start = parseDatePart(rangeMatch[1]);
+        const endText = (rangeMatch[2] || rangeMatch[3]).trim();
+
+        if (start && PRESENT_PATTERN.test(endText)) {
+            return {
+                raw: rangeMatch[0].trim(),
+                startDate: monthDate(start.startYear, start.startMonth),
+                endDate: null,
+                isCurrent: true,
+                isRange: true
+            };
+        }
+
+        let end = null;
+        if (start && /^\d{2}$/.test(endText)) {
+            // "2018–20": the end year shares the start year's century
+            const endYear = Math.floor(start.startYear / 100) * 100 + parseInt(endText, 10);
+            if (endYear >= start.startYear) {
+                end = { endYear, endMonth: 12 };
+            }
+        } else if (start) {
+            end = parseDatePart(endText);
+        }
+
+        if (start && end) {
+            return {
+                raw: rangeMatch[0].trim(),
+                startDate: monthDate(start.startYear, start.startMonth),
+                endDate: monthDate(end.endYear, end.endMonth),
+                isCurrent: false,
+                isRange: true
+            };
+        }
+    }
+
+    // "seit 03.2019", "desde 2020": an open range that is still current
+    const sinceMatch = text.match(SINCE_PATTERN);
+    if (sinceMatch) {
+        const start = parseDatePart(sinceMatch[1]);
+        if (start) {
+            return {
+                raw: sinceMatch[0].trim(),
+                startDate: monthDate(start.startYear, start.startMonth),
+                endDate: null,
+                isCurrent: true,
+                isRange: true
+            };
+        }
+    }
+
+    const singleMatch = text.match(SINGLE_PATTERN);
+    if (singleMatch) {
+        const period = parseDatePart(singleMatch[1]);
+        if (period) {
+            return {
+                raw: singleMatch[0].trim(),
+                startDate: monthDate(period.startYear, period.startMonth),
+                endDate: monthDate(period.endYear, period.endMonth),
+                isCurrent: false,
+                isRange: false
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Converts a date to a month index for interval arithmetic
+ */
+function toMonthIndex(date) {
+    const d = new Date(date);
+    return d.getUTCFullYear() * 12 + d.getUTCMonth();
+}
+
+/**
+ * Returns the indices of entries in reverse chronological order
+ * Current entries come first, then by end date and start date, newest first.
+ * Entries without dates keep their relative order after all dated entries.
+ * @param {Array<{startDate, endDate, isCurrent}>} entries - Experience, education or volunteer entries
+ * @param {Date} now - Reference date for current entries
+ * @returns {number[]} Entry indices in display order
+ */
+function chronologicalOrder(entries, now = new Date()) {
+    const key = entry => {
+        if (!entry.startDate && !entry.endDate) return null;
+        const end = entry.isCurrent || !entry.endDate ? toMonthIndex(now) : toMonthIndex(entry.endDate);
+        const start = entry.startDate ? toMonthIndex(entry.startDate) : end;
+        return { current: entry.isCurrent ? 1 : 0, end, start };
+    };
+
+    return entries
+        .map((entry, index) => ({ index, key: key(entry) }))
+        .sort((a, b) => {
+            if (!a.key || !b.key) return (a.key ? 0 : 1) - (b.key ? 0 : 1) || a.index - b.index;
+            return b.key.current - a.key.current ||
+                b.key.end - a.key.end ||
+                b.key.start - a.key.start ||
+                a.index - b.index;
+        })
+        .map(item => item.index);
+}
+
+/**
+ * Computes total years of experience from date ranges
+ * Overlapping positions are only counted once; current positions run until now.
+ * Both the start and end month count as worked.
+ * @param {Array<{startDate, endDate, isCurrent}>} entries - Experience entries
+ * @param {Date} now - Reference date for current positions
+ * @returns {number} Years, rounded to one decimal
+ */
+function computeTotalYears(entries, now = new Date()) {
+    const intervals = entries
+        .filter(entry => entry.startDate)
+        .map(entry => [
+            toMonthIndex(entry.startDate),
+            entry.isCurrent || !entry.endDate ? toMonthIndex(now) : toMonthIndex(entry.endDate)
+        ])
+        .filter(([start, end]) => end >= start)
+        .sort((a, b) => a[0] - b[0]);
+
+    let months = 0;
+    let current = null;
+
+    for (const [start, end] of intervals) {
+        if (current && start <= current[1] + 1) {
+            current[1] = Math.max(current[1], end);
+        } else {
+            if (current) months += current[1] - current[0] + 1;
+            current = [start, end];
+        }
+    }
+    if (current) months += current[1] - current[0] + 1;
+
+    return Math.round((months / 12) * 10) / 10;
+}
+
+module.exports = {
+    findDateRange,
+    parseDatePart,
+    chronologicalOrder,
+    computeTotalYears
+};
@@ -0,0 +1,301 @@
+/**
+ * Converts markup formats (HTML, Markdown, RTF, ODT XML) to plain text
+ * Headings declared by the document are returned separately as { text, level }
+ * so that findSections can use them as strong section boundaries
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+    ndash: '–', mdash: '—', bull: '•', middot: '·', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™'
+};
+
+/**
+ * Decodes HTML/XML character references
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+/**
+ * Strips tags from an inline fragment and collapses whitespace
+ */
+function inlineText(fragment) {
+    return decodeEntities(fragment.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Converts HTML to text, one block element per line
+ * Link targets are kept next to their text so contact links can still be detected
+ * @param {string} html - HTML document or fragment
+ * @returns {{text: string, headings: Array<{text: string, level: number}>}} Plain text and h1-h6 headings
+ */
+function htmlToText(html) {
+    const headings = [];
+
+    let body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '');
+
+    body = body.replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => {
+        const heading = inlineText(inner);
+        if (heading) headings.push({ text: heading, level: parseInt(level, 10) });
+        return `\n${heading}\n`;
+    });
+
+    body = body.replace(/<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, inner) => {
+        const label = inlineText(inner);
+        const url = decodeEntities(href);
+        if (!/^(https?:|mailto:)/i.test(url) || label.includes(url.replace(/^mailto:/i, ''))) {
+            return label;
+        }
+        return `${label} (${url.replace(/^mailto:/i, '')})`;
+    });
+
+    body = body
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n• ')
+        .replace(/<\/(td|th)>/gi, ' | ')
+        .replace(/<\/(p|div|li|tr|ul|ol|table|section|article|header|footer|blockquote|dt|dd|pre)>/gi, '\n')
+        .replace(/<(p|div|tr|ul|ol|table|section|article|header|footer|blockquote|dt|dd|pre|hr)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    const text = decodeEntities(body)
+        .split('\n')
+        .map(line => line.replace(/[ \t ]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+        .join('\n');
+
+    return { text, headings };
+}
+
+/**
+ * Converts Markdown to text
+ * ATX ("## Experience") and setext (underlined) headings are reported as headings;
+ * emphasis, code and image syntax is removed and links keep their target.
+ * @param {string} markdown - Markdown source
+ * @returns {{text: string, headings: Array<{text: string, level: number}>}} Plain text and headings
+ */
+function markdownToText(markdown) {
+    const headings = [];
+    const sourceLines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const lines = [];
+
+    for (let i = 0; i < sourceLines.length; i++) {
+        let line = sourceLines[i];
+        const next = sourceLines[i + 1] || '';
+
+        // Setext heading: text underlined with === or ---
+        if (line.trim() && /^\s*(=+|-+)\s*$/.test(next) && !/^\s*[-*+]\s/.test(line)) {
+            const heading = stripInlineMarkdown(line.trim());
+            headings.push({ text: heading, level: next.trim()[0] === '=' ? 1 : 2 });
+            lines.push(heading);
+            i++;
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (atx) {
+            const heading = stripInlineMarkdown(atx[2]);
+            headings.push({ text: heading, level: atx[1].length });
+            lines.push(heading);
+            continue;
+        }
+
+        // Horizontal rules and table separator rows carry no text
+        if (/^\s*([-*_]\s*){3,}$/.test(line) || /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) {
+            continue;
+        }
+
+        line = line
+            .replace(/^\s*>\s?/, '')
+            .replace(/^\s*\|(.*)\|\s*$/, '$1');
+
+        lines.push(stripInlineMarkdown(line));
+    }
+
+    return { text: lines.join('\n'), headings };
+}
+
+/**
+ * Removes inline Markdown syntax, keeping list markers at line start
+ */
+function stripInlineMarkdown(text) {
+    return decodeEntities(text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (
+            label.includes(url.replace(/^mailto:/i, '')) ? label : `${label} (${url.replace(/^mailto:/i, '')})`
+        ))
+        .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// RTF destinations whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+    'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'fldinst', 'themedata',
+    'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'mmathPr', 'filetbl', 'revtbl', 'xmlopen', 'bkmkstart', 'bkmkend'
+]);
+
+// \'hh escapes are bytes in the document's ANSI code page, almost always Windows-1252,
+// which differs from Latin-1 only in the 0x80-0x9F range
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+function decodeWindows1252(code) {
+    return code >= 0x80 && code <= 0x9f ? WINDOWS_1252_HIGH[code - 0x80] : String.fromCharCode(code);
+}
+
+const RTF_SYMBOLS = {
+    par: '\n', line: '\n', sect: '\n', page: '\n', row: '\n', tab: '\t', cell: ' | ',
+    emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+/**
+ * Converts RTF to text
+ * Handles groups, ignorable destinations, \'hh escapes (Windows-1252) and \uN unicode
+ * @param {string} rtf - RTF source
+ * @returns {{text: string, headings: Array}} Plain text; RTF has no reliable headings
+ */
+function rtfToText(rtf) {
+    const stack = [];
+    let skip = false;
+    let unicodeSkip = 1;
+    let pendingSkip = 0;
+    let out = '';
+
+    for (let i = 0; i < rtf.length; i++) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push({ skip, unicodeSkip });
+            continue;
+        }
+
+        if (ch === '}') {
+            const state = stack.pop();
+            if (state) ({ skip, unicodeSkip } = state);
+            pendingSkip = 0;
+            continue;
+        }
+
+        if (ch === '\\') {
+            const next = rtf[i + 1];
+
+            if (next === '\\' || next === '{' || next === '}') {
+                if (!skip) out += next;
+                i++;
+                continue;
+            }
+
+            if (next === '\'') {
+                const code = parseInt(rtf.substr(i + 2, 2), 16);
+                i += 3;
+                if (pendingSkip > 0) {
+                    pendingSkip--;
+                } else if (!skip && !Number.isNaN(code)) {
+                    out += decodeWindows1252(code);
+                }
+                continue;
+            }
+
+            if (next === '*') {
+                skip = true;
+                i++;
+                continue;
+            }
+
+            const word = rtf.slice(i + 1).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+            if (!word) {
+                // Control symbols: \~ non-breaking space, \- optional hyphen, \_ hyphen
+                if (!skip) out += next === '~' ? ' ' : next === '_' ? '-' : '';
+                i++;
+                continue;
+            }
+
+            i += word[0].length;
+            const [, name, param] = word;
+
+            if (RTF_SKIPPED_DESTINATIONS.has(name)) {
+                skip = true;
+            } else if (name === 'uc') {
+                unicodeSkip = parseInt(param, 10) || 0;
+            } else if (name === 'u') {
+                const code = parseInt(param, 10);
+                if (!skip) out += String.fromCharCode(code < 0 ? code + 65536 : code);
+                pendingSkip = unicodeSkip;
+            } else if (RTF_SYMBOLS[name] && !skip) {
+                out += RTF_SYMBOLS[name];
+            }
+            continue;
+        }
+
+        if (ch === '\r' || ch === '\n') continue;
+
+        if (pendingSkip > 0) {
+            pendingSkip--;
+            continue;
+        }
+
+        if (!skip) out += ch;
+    }
+
+    return { text: out, headings: [] };
+}
+
+/**
+ * Converts OpenDocument content.xml to text
+ * text:h elements are the document's headings
+ * @param {string} xml - content.xml of an .odt package
+ * @returns {{text: string, headings: Array<{text: string, level: number}>}} Plain text and headings
+ */
+function odtXmlToText(xml) {
+    const headings = [];
+
+    let body = xml
+        .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+        .replace(/<text:s\s+text:c="(\d+)"\s*\/>/g, (match, count) => ' '.repeat(parseInt(count, 10)))
+        .replace(/<text:s\s*\/>/g, ' ')
+        .replace(/<text:tab\s*\/>/g, '\t')
+        .replace(/<text:line-break\s*\/>/g, '\n');
+
+    body = body.replace(/<text:h\b([^>]*)>([\s\S]*?)<\/text:h>/g, (match, attributes, inner) => {
+        const heading = inlineText(inner);
+        const level = attributes.match(/text:outline-level="(\d+)"/);
+        if (heading) headings.push({ text: heading, level: level ? parseInt(level[1], 10) : 1 });
+        return `\n${heading}\n`;
+    });
+
+    body = body
+        .replace(/<text:list-item\b[^>]*>/g, '• ')
+        .replace(/<\/table:table-cell>/g, ' | ')
+        .replace(/<\/(text:p|table:table-row)>/g, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    const text = decodeEntities(body)
+        .split('\n')
+        .map(line => line.replace(/\s*\|\s*$/, '').trim())
+        .join('\n');
+
+    return { text, headings };
+}
+
+module.exports = {
+    htmlToText,
+    markdownToText,
+    rtfToText,
+    odtXmlToText,
+    decodeEntities
+};
@@ -0,0 +1,54 @@
+/**
+ * German locale pack
+ */
+module.exports = {
+    code: 'de',
+    name: 'German',
+    // Frequent words that rarely occur in the other supported languages
+    stopwords: [
+        'der', 'die', 'das', 'und', 'mit', 'für', 'von', 'im', 'bei', 'zur', 'zum', 'eine', 'ist',
+        'auf', 'sowie', 'entwicklung', 'kenntnisse'
+    ],
+    // Complete header lines for each section; 'other' headers end the previous section
+    sections: {
+        summary: ['profil', 'kurzprofil', 'zusammenfassung', 'über mich', 'berufsziel', 'persönliches profil'],
+        skills: ['kenntnisse', 'fähigkeiten', 'kompetenzen', 'fachkenntnisse', 'it-kenntnisse', 'edv-kenntnisse', 'technische kenntnisse', 'fachliche kompetenzen', 'technologien'],
+        experience: ['berufserfahrung', 'berufliche erfahrung', 'beruflicher werdegang', 'berufspraxis', 'praxiserfahrung', 'erfahrung', 'werdegang'],
+        projects: ['projekte', 'projekterfahrung', 'ausgewählte projekte'],
+        education: ['ausbildung', 'bildung', 'bildungsweg', 'schulbildung', 'studium', 'akademischer werdegang', 'schulische ausbildung'],
+        certifications: ['zertifikate', 'zertifizierungen', 'weiterbildung', 'weiterbildungen', 'fortbildungen'],
+        awards: ['auszeichnungen', 'preise', 'erfolge'],
+        publications: ['publikationen', 'veröffentlichungen'],
+        languages: ['sprachen', 'sprachkenntnisse', 'fremdsprachen'],
+        volunteer: ['ehrenamt', 'ehrenamtliches engagement', 'ehrenamtliche tätigkeit', 'soziales engagement'],
+        other: ['hobbys', 'hobbies', 'interessen', 'referenzen', 'persönliche daten', 'persönliche angaben']
+    },
+    // Words that identify a section inside a longer heading such as "Berufserfahrung & Praktika"
+    headerKeywords: {
+        volunteer: ['ehrenamt\\w*', 'engagement'],
+        certifications: ['zertifikate', 'zertifizierungen', 'weiterbildung\\w*'],
+        publications: ['publikationen', 'veröffentlichungen'],
+        awards: ['auszeichnungen', 'preise'],
+        skills: ['kenntnisse', 'fähigkeiten', 'kompetenzen', '\\w+kenntnisse'],
+        languages: ['sprachen', 'sprachkenntnisse'],
+        experience: ['berufserfahrung', 'erfahrung', 'werdegang', 'praktika'],
+        projects: ['projekte'],
+        education: ['ausbildung', 'bildung\\w*', 'studium'],
+        summary: ['profil', 'zusammenfassung']
+    },
+    degrees: [
+        'bachelor', 'master', 'diplom', 'promotion', 'dr\\.', 'magister', 'staatsexamen', 'abitur',
+        'ausbildung zum', 'ausbildung zur', 'fachinformatiker\\w*', 'b\\.\\s?sc\\.?', 'm\\.\\s?sc\\.?'
+    ],
+    institutions: ['universität', 'hochschule', 'fachhochschule', 'schule', 'akademie', 'gymnasium'],
+    // Words joining role and employer, like "at" in English
+    employerWords: ['bei'],
+    months: {
+        januar: 1, jänner: 1, jan: 1, februar: 2, feb: 2, märz: 3, maerz: 3, mär: 3, april: 4, apr: 4,
+        mai: 5, juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+        oktober: 10, okt: 10, november: 11, nov: 11, dezember: 12, dez: 12
+    },
+    present: ['heute', 'aktuell', 'derzeit', 'jetzt', 'laufend', 'dato'],
+    rangeWords: ['bis'],
+    since: ['seit']
+};
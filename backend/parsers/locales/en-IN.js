@@ -0,0 +1,48 @@
+/**
+ * Indian English locale pack
+ * Adds the section names, degrees and date conventions common on Indian resumes
+ * on top of the built-in English patterns
+ */
+module.exports = {
+    code: 'en-IN',
+    name: 'English (India)',
+    // Indian resumes are in English, so they are told apart by these markers instead of stopwords
+    indicators: [
+        '\\+91[\\s-]?\\d', 'b\\.?\\s?tech', 'm\\.?\\s?tech', 'b\\.e\\.', 'cgpa', 'lakhs?', 'lpa',
+        'ssc', 'hsc', 'cbse', 'icse', 'declaration', 'father\'?s name', 'date of birth', 'languages known',
+        'iit', 'nit', 'vtu', 'anna university', 'till date'
+    ],
+    stopwords: [],
+    // Complete header lines for each section; 'other' headers end the previous section
+    sections: {
+        summary: ['career objective', 'career summary', 'profile summary', 'professional profile'],
+        skills: ['technical proficiency', 'it skills', 'key skills', 'software proficiency', 'areas of expertise', 'technical expertise', 'skill set'],
+        experience: ['internships', 'internship', 'internship experience', 'industrial training', 'work exposure', 'professional experience'],
+        projects: ['academic projects', 'projects undertaken', 'major project', 'mini project', 'project details'],
+        education: ['academic qualifications', 'educational qualifications', 'educational qualification', 'academic details', 'academic profile', 'educational background', 'scholastic profile'],
+        certifications: ['trainings', 'trainings & certifications', 'trainings and certifications', 'courses and certifications', 'certifications and trainings'],
+        awards: ['accomplishments', 'scholastic achievements', 'academic achievements'],
+        languages: ['languages known'],
+        other: [
+            'declaration', 'personal details', 'personal information', 'personal profile', 'hobbies',
+            'extra-curricular activities', 'extracurricular activities', 'co-curricular activities', 'strengths', 'interests', 'references'
+        ]
+    },
+    headerKeywords: {
+        certifications: ['trainings?'],
+        experience: ['internships?', 'training'],
+        education: ['qualifications?']
+    },
+    degrees: [
+        'b\\.?\\s?tech', 'm\\.?\\s?tech', 'b\\.e\\.?', 'm\\.e\\.', 'b\\.?\\s?sc', 'm\\.?\\s?sc', 'bca', 'mca',
+        'b\\.?\\s?com', 'm\\.?\\s?com', 'mba', 'pgdm', 'diploma', 'ph\\.?\\s?d', 'hsc', 'ssc',
+        'class (?:x|xii|10th|12th)', '(?:10|12)th', 'intermediate', 'matriculation', '(?:higher|senior) secondary'
+    ],
+    institutions: ['iit', 'nit', 'iiit', 'vidyalaya', 'vishwavidyalaya', 'engineering college'],
+    // Words joining role and employer, like "at" in English
+    employerWords: [],
+    months: {},
+    present: ['till date', 'till now', 'pursuing', 'continuing'],
+    rangeWords: ['till'],
+    since: []
+};
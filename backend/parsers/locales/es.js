@@ -0,0 +1,54 @@
+/**
+ * Spanish locale pack
+ */
+module.exports = {
+    code: 'es',
+    name: 'Spanish',
+    // Frequent words that rarely occur in the other supported languages
+    stopwords: [
+        'el', 'los', 'las', 'del', 'y', 'con', 'para', 'por', 'una', 'como', 'años',
+        'desarrollo', 'gestión', 'equipo', 'empresa', 'responsable', 'proyectos'
+    ],
+    // Complete header lines for each section; 'other' headers end the previous section
+    sections: {
+        summary: ['resumen', 'resumen profesional', 'perfil', 'perfil profesional', 'sobre mí', 'acerca de mí', 'objetivo', 'objetivo profesional', 'extracto'],
+        skills: ['habilidades', 'habilidades técnicas', 'competencias', 'competencias técnicas', 'aptitudes', 'conocimientos', 'conocimientos técnicos', 'tecnologías', 'herramientas'],
+        experience: ['experiencia', 'experiencia profesional', 'experiencia laboral', 'trayectoria profesional', 'historial laboral'],
+        projects: ['proyectos', 'proyectos personales', 'proyectos destacados'],
+        education: ['formación', 'formación académica', 'educación', 'estudios', 'titulación', 'titulaciones'],
+        certifications: ['certificaciones', 'certificados', 'licencias y certificaciones', 'formación complementaria', 'cursos'],
+        awards: ['premios', 'reconocimientos', 'logros', 'premios y reconocimientos'],
+        publications: ['publicaciones'],
+        languages: ['idiomas', 'lenguas'],
+        volunteer: ['voluntariado', 'experiencia de voluntariado', 'labor social'],
+        other: ['intereses', 'aficiones', 'referencias', 'datos personales', 'otros datos']
+    },
+    // Words that identify a section inside a longer heading such as "Experiencia en desarrollo web"
+    headerKeywords: {
+        volunteer: ['voluntariado'],
+        certifications: ['certificaciones', 'certificados'],
+        publications: ['publicaciones'],
+        awards: ['premios', 'reconocimientos', 'logros'],
+        skills: ['habilidades', 'competencias', 'aptitudes', 'conocimientos', 'tecnologías'],
+        languages: ['idiomas'],
+        experience: ['experiencia', 'trayectoria'],
+        projects: ['proyectos'],
+        education: ['formación', 'educación', 'estudios'],
+        summary: ['resumen', 'perfil', 'objetivo']
+    },
+    degrees: [
+        'grado en', 'graduad[oa] en', 'licenciatura', 'licenciad[oa]', 'máster', 'master', 'doctorado',
+        'doctor en', 'ingenier[oa]', 'ingeniería', 'diplomatura', 'técnico superior', 'bachillerato', 'ciclo formativo'
+    ],
+    institutions: ['universidad', 'escuela', 'instituto', 'colegio'],
+    // Words joining role and employer, like "at" in English
+    employerWords: ['en', 'para'],
+    months: {
+        enero: 1, ene: 1, febrero: 2, feb: 2, marzo: 3, mar: 3, abril: 4, abr: 4, mayo: 5, may: 5,
+        junio: 6, jun: 6, julio: 7, jul: 7, agosto: 8, ago: 8, septiembre: 9, setiembre: 9, sept: 9, sep: 9,
+        octubre: 10, oct: 10, noviembre: 11, nov: 11, diciembre: 12, dic: 12
+    },
+    present: ['actualidad', 'presente', 'actual', 'hoy', 'hasta la fecha', 'la fecha', 'en curso'],
+    rangeWords: ['a', 'al', 'hasta'],
+    since: ['desde']
+};
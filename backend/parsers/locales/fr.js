@@ -0,0 +1,54 @@
+/**
+ * French locale pack
+ */
+module.exports = {
+    code: 'fr',
+    name: 'French',
+    // Frequent words that rarely occur in the other supported languages
+    stopwords: [
+        'le', 'les', 'des', 'du', 'et', 'avec', 'pour', 'une', 'dans', 'sur', 'au', 'aux', 'été',
+        'équipe', 'développement', 'gestion', 'projets', 'entreprise'
+    ],
+    // Complete header lines for each section; 'other' headers end the previous section
+    sections: {
+        summary: ['résumé', 'profil', 'profil professionnel', 'à propos', 'à propos de moi', 'objectif', 'objectif professionnel', 'synthèse'],
+        skills: ['compétences', 'compétences techniques', 'compétences clés', 'savoir-faire', 'connaissances', 'technologies', 'outils'],
+        experience: ['expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel'],
+        projects: ['projets', 'projets personnels', 'réalisations'],
+        education: ['formation', 'formations', 'formation académique', 'études', 'diplômes', 'cursus', 'éducation'],
+        certifications: ['certifications', 'certificats', 'habilitations'],
+        awards: ['prix', 'distinctions', 'récompenses', 'prix et distinctions'],
+        publications: ['publications'],
+        languages: ['langues', 'langues étrangères', 'compétences linguistiques'],
+        volunteer: ['bénévolat', 'engagement associatif', 'vie associative'],
+        other: ['centres d\'intérêt', 'centres d’intérêt', 'loisirs', 'intérêts', 'références', 'informations personnelles']
+    },
+    // Words that identify a section inside a longer heading such as "Expériences en entreprise"
+    headerKeywords: {
+        volunteer: ['bénévolat', 'associatif', 'associative'],
+        certifications: ['certifications', 'certificats'],
+        publications: ['publications'],
+        awards: ['distinctions', 'récompenses'],
+        skills: ['compétences', 'connaissances'],
+        languages: ['langues'],
+        experience: ['expérience', 'expériences', 'parcours'],
+        projects: ['projets', 'réalisations'],
+        education: ['formation', 'formations', 'études', 'diplômes', 'cursus'],
+        summary: ['profil', 'objectif', 'synthèse']
+    },
+    degrees: [
+        'licence', 'master', 'mastère', 'doctorat', 'diplôme', 'ingénieur', 'baccalauréat',
+        'bac\\s?\\+\\s?\\d', 'bts', 'dut', 'deug', 'but', 'mba'
+    ],
+    institutions: ['université', 'école', 'institut', 'lycée', 'iut'],
+    // Words joining role and employer, like "at" in English
+    employerWords: ['chez'],
+    months: {
+        janvier: 1, janv: 1, février: 2, fevrier: 2, févr: 2, fevr: 2, mars: 3, avril: 4, avr: 4, mai: 5,
+        juin: 6, juillet: 7, juil: 7, août: 8, aout: 8, septembre: 9, sept: 9, octobre: 10, oct: 10,
+        novembre: 11, nov: 11, décembre: 12, decembre: 12, déc: 12
+    },
+    present: ['aujourd\'hui', 'aujourd’hui', 'présent', 'à ce jour', 'actuellement', 'en cours', 'maintenant'],
+    rangeWords: ['à', 'au', 'a'],
+    since: ['depuis']
+};
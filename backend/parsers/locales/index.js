@@ -0,0 +1,153 @@
+/**
+ * Locale packs for non-English resumes
+ * English patterns are built into sectionDetector and dateParser; a locale pack adds
+ * the section headers, degree names and date words of one language or region.
+ * The language of a resume is detected from its text, see detectLanguage.
+ */
+
+const es = require('./es');
+const fr = require('./fr');
+const de = require('./de');
+const enIN = require('./en-IN');
+
+const PACKS = [es, fr, de, enIN];
+
+// Frequent English words, compared against the stopwords of each pack
+const ENGLISH_STOPWORDS = ['the', 'and', 'of', 'to', 'with', 'for', 'on', 'at', 'by', 'from', 'as', 'using', 'developed'];
+
+// Each line matching a pack's section header counts as this many stopword hits
+const HEADER_WEIGHT = 5;
+
+// Minimum score before a non-English language is reported
+const MIN_LANGUAGE_SCORE = 3;
+
+// Distinct Indian markers needed to report en-IN instead of en
+const MIN_INDICATORS = 2;
+
+const SUPPORTED_LANGUAGES = ['en', ...PACKS.map(pack => pack.code)];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matches any of the given regex sources as whole words
+ * Letter-based boundaries are used because \b does not treat accented letters as word characters
+ */
+function wordPattern(sources) {
+    if (!sources || sources.length === 0) return null;
+    return new RegExp(`(?<![\\p{L}\\d])(?:${sources.join('|')})(?![\\p{L}])`, 'iu');
+}
+
+/**
+ * Matches a line consisting only of one of the given headers
+ */
+function headerPattern(headers) {
+    return new RegExp(`^(?:${headers.map(escapeRegExp).join('|')})\\s*:?$`, 'iu');
+}
+
+/**
+ * Compiles a pack's word lists into the patterns used by sectionDetector
+ */
+function compileLocale(pack) {
+    return {
+        code: pack.code,
+        name: pack.name,
+        sectionPatterns: Object.entries(pack.sections).map(([section, headers]) => [section, headerPattern(headers)]),
+        headerKeywords: Object.fromEntries(
+            Object.entries(pack.headerKeywords || {}).map(([section, keywords]) => [section, wordPattern(keywords)])
+        ),
+        degreePattern: wordPattern(pack.degrees),
+        institutionPattern: wordPattern(pack.institutions),
+        employerPattern: pack.employerWords && pack.employerWords.length > 0
+            ? new RegExp(`\\s(?:${pack.employerWords.join('|')})\\s`, 'giu')
+            : null,
+        indicatorPatterns: (pack.indicators || []).map(indicator => wordPattern([indicator]))
+    };
+}
+
+const COMPILED = new Map(PACKS.map(pack => [pack.code, compileLocale(pack)]));
+
+/**
+ * Returns the compiled locale pack for a language code
+ * @param {string} code - Language code, e.g. 'es' or 'en-IN'
+ * @returns {Object|null} Compiled pack, or null for English and unknown codes
+ */
+function getLocale(code) {
+    return COMPILED.get(code) || null;
+}
+
+/**
+ * Detects the language of resume text
+ * Counts each language's stopwords and section headers; English wins ties and
+ * short texts. English resumes with enough Indian markers are reported as en-IN.
+ * Headers spelled the same in English and a pack ("Certifications", "Publications")
+ * count for English only.
+ * @param {string} text - Normalized resume text
+ * @param {RegExp[]} [englishHeaders] - English section header patterns (sectionDetector's SECTION_PATTERNS)
+ * @returns {{language: string, confidence: number}} Language code and share of the winning score
+ */
+function detectLanguage(text, englishHeaders = []) {
+    const words = (text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    const countStopwords = stopwords => {
+        const set = new Set(stopwords);
+        return words.filter(word => set.has(word)).length;
+    };
+
+    const isEnglishHeader = line => englishHeaders.some(pattern => pattern.test(line));
+    const englishHeaderLines = lines.filter(isEnglishHeader).length;
+
+    const scores = { en: countStopwords(ENGLISH_STOPWORDS) + englishHeaderLines * HEADER_WEIGHT };
+
+    PACKS.filter(pack => pack.stopwords.length > 0).forEach(pack => {
+        const { sectionPatterns } = COMPILED.get(pack.code);
+        const headerLines = lines.filter(line => !isEnglishHeader(line) && sectionPatterns.some(([section, pattern]) => (
+            section !== 'other' && pattern.test(line)
+        ))).length;
+        scores[pack.code] = countStopwords(pack.stopwords) + headerLines * HEADER_WEIGHT;
+    });
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    let [language, best] = Object.entries(scores).reduce((top, entry) => (entry[1] > top[1] ? entry : top), ['en', scores.en]);
+
+    if (language !== 'en' && best < MIN_LANGUAGE_SCORE) {
+        [language, best] = ['en', scores.en];
+    }
+
+    if (language === 'en') {
+        const { indicatorPatterns } = COMPILED.get(enIN.code);
+        if (indicatorPatterns.filter(pattern => pattern.test(text || '')).length >= MIN_INDICATORS) {
+            language = enIN.code;
+        }
+    }
+
+    return {
+        language,
+        confidence: total > 0 ? Math.round((best / total) * 100) / 100 : 0
+    };
+}
+
+/**
+ * Collects the date words of all packs
+ * Month names do not collide between the supported languages, so dates are
+ * recognized in every language regardless of the detected one.
+ * @returns {{months: Object, present: string[], rangeWords: string[], since: string[]}}
+ */
+function getDateVocabulary() {
+    return {
+        months: Object.assign({}, ...PACKS.map(pack => pack.months)),
+        present: PACKS.flatMap(pack => pack.present),
+        rangeWords: [...new Set(PACKS.flatMap(pack => pack.rangeWords))],
+        since: PACKS.flatMap(pack => pack.since)
+    };
+}
+
+module.exports = {
+    detectLanguage,
+    getLocale,
+    getDateVocabulary,
+    escapeRegExp,
+    SUPPORTED_LANGUAGES
+};
@@ -3,6 +3,9 @@
  * Ensures data consistency and structure
  */
 
+const { chronologicalOrder } = require('./dateParser');
+const { categorizeSkills } = require('./skillsTaxonomy');
+
 /**
  * Normalizes name
  */
@@ -23,60 +26,15 @@ function generateHeadline(name, experience) {
 
 /**
  * Normalizes skills into categorized array
- * Groups skills by common categories
+ * Aliases ("JS", "ReactJS") are merged into one canonical skill and grouped by
+ * the categories of the skills taxonomy
  */
 function normalizeSkills(rawSkills) {
     if (!rawSkills || rawSkills.length === 0) {
         return [];
     }
 
-    // Common skill categories and their keywords
-    const categories = {
-        'Languages': ['javascript', 'python', 'java', 'c++', 'c#', 'ruby', 'go', 'rust', 'typescript', 'php', 'swift', 'kotlin'],
-        'Frontend': ['react', 'vue', 'angular', 'html', 'css', 'tailwind', 'bootstrap', 'sass', 'less'],
-        'Backend': ['node', 'express', 'django', 'flask', 'spring', 'laravel', '.net', 'fastapi', 'nestjs'],
-        'Database': ['mongodb', 'postgresql', 'mysql', 'redis', 'dynamodb', 'sql', 'nosql', 'firebase'],
-        'DevOps': ['docker', 'kubernetes', 'aws', 'azure', 'gcp', 'ci/cd', 'jenkins', 'github actions'],
-        'Tools': ['git', 'github', 'gitlab', 'jira', 'figma', 'postman', 'vscode']
-    };
-
-    const categorized = {
-        'Languages': [],
-        'Frontend': [],
-        'Backend': [],
-        'Database': [],
-        'DevOps': [],
-        'Tools': [],
-        'Other': []
-    };
-
-    // Categorize each skill
-    rawSkills.forEach(skill => {
-        let categorized_flag = false;
-        const skillLower = skill.toLowerCase();
-
-        for (const [category, keywords] of Object.entries(categories)) {
-            if (keywords.some(keyword => skillLower.includes(keyword))) {
-                categorized[category].push(skill);
-                categorized_flag = true;
-                break;
-            }
-        }
-
-        if (!categorized_flag) {
-            categorized['Other'].push(skill);
-        }
-    });
-
-    // Convert to array format, filtering empty categories
-    const result = [];
-    for (const [category, items] of Object.entries(categorized)) {
-        if (items.length > 0) {
-            result.push({ category, items });
-        }
-    }
-
-    return result;
+    return categorizeSkills(rawSkills);
 }
 
 /**
@@ -89,6 +47,9 @@ function normalizeExperience(rawExperience) {
         role: exp.role || 'Position',
         company: exp.company || '',
         duration: exp.duration || '',
+        startDate: exp.startDate || null,
+        endDate: exp.endDate || null,
+        isCurrent: !!exp.isCurrent,
         description: exp.description || '',
         highlights: exp.highlights || []
     }));
@@ -103,7 +64,12 @@ function normalizeProjects(rawProjects) {
     return rawProjects.map(project => ({
         title: project.title || 'Untitled Project',
         tech: project.tech || [],
+        duration: project.duration || '',
+        startDate: project.startDate || null,
+        endDate: project.endDate || null,
+        isCurrent: !!project.isCurrent,
         description: project.description || '',
+        highlights: project.highlights || [],
         link: project.link || null,
         image: null // Can be added later by user
     }));
@@ -119,10 +85,96 @@ function normalizeEducation(rawEducation) {
         degree: edu.degree || '',
         institution: edu.institution || '',
         year: edu.year || '',
+        startDate: edu.startDate || null,
+        endDate: edu.endDate || null,
+        isCurrent: !!edu.isCurrent,
         details: edu.details || ''
     }));
 }
 
+/**
+ * Normalizes certification entries
+ */
+function normalizeCertifications(rawCertifications) {
+    if (!rawCertifications || rawCertifications.length === 0) return [];
+
+    return rawCertifications.map(cert => ({
+        name: cert.name || 'Certification',
+        issuer: cert.issuer || '',
+        date: cert.date || '',
+        credentialId: cert.credentialId || '',
+        link: cert.link || null
+    }));
+}
+
+/**
+ * Normalizes award entries
+ */
+function normalizeAwards(rawAwards) {
+    if (!rawAwards || rawAwards.length === 0) return [];
+
+    return rawAwards.map(award => ({
+        title: award.title || 'Award',
+        issuer: award.issuer || '',
+        date: award.date || '',
+        description: award.description || ''
+    }));
+}
+
+/**
+ * Normalizes publication entries
+ */
+function normalizePublications(rawPublications) {
+    if (!rawPublications || rawPublications.length === 0) return [];
+
+    return rawPublications.map(pub => ({
+        title: pub.title || 'Untitled Publication',
+        publisher: pub.publisher || '',
+        date: pub.date || '',
+        link: pub.link || null
+    }));
+}
+
+/**
+ * Normalizes spoken language entries
+ * Drops duplicates of the same language
+ */
+function normalizeLanguages(rawLanguages) {
+    if (!rawLanguages || rawLanguages.length === 0) return [];
+
+    const seen = new Set();
+
+    return rawLanguages
+        .filter(lang => {
+            const key = (lang.language || '').toLowerCase();
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(lang => ({
+            language: lang.language,
+            proficiency: lang.proficiency || ''
+        }));
+}
+
+/**
+ * Normalizes volunteer entries
+ */
+function normalizeVolunteer(rawVolunteer) {
+    if (!rawVolunteer || rawVolunteer.length === 0) return [];
+
+    return rawVolunteer.map(vol => ({
+        role: vol.role || 'Volunteer',
+        organization: vol.organization || '',
+        duration: vol.duration || '',
+        startDate: vol.startDate || null,
+        endDate: vol.endDate || null,
+        isCurrent: !!vol.isCurrent,
+        description: vol.description || '',
+        highlights: vol.highlights || []
+    }));
+}
+
 /**
  * Normalizes links object
  */
@@ -136,6 +188,43 @@ function normalizeLinks(contact, links) {
     };
 }
 
+/**
+ * Normalizes per-field confidence scores
+ * Keeps entries aligned with the normalized experience and education arrays
+ */
+function normalizeConfidence(rawConfidence) {
+    const empty = { value: null, confidence: 0, lines: null };
+    if (!rawConfidence) {
+        return { name: empty, email: empty, experience: [], education: [] };
+    }
+
+    return {
+        name: rawConfidence.name || empty,
+        email: rawConfidence.email || empty,
+        experience: (rawConfidence.experience || []).map(exp => ({
+            role: exp.role || empty,
+            company: exp.company || empty,
+            duration: exp.duration || empty
+        })),
+        education: (rawConfidence.education || []).map(edu => ({
+            degree: edu.degree || empty,
+            institution: edu.institution || empty
+        }))
+    };
+}
+
+/**
+ * Reorders entries newest first, applying the same order to their confidence scores
+ */
+function sortChronologically(entries, confidence = []) {
+    const order = chronologicalOrder(entries);
+
+    return {
+        entries: order.map(i => entries[i]),
+        confidence: confidence.length === entries.length ? order.map(i => confidence[i]) : confidence
+    };
+}
+
 /**
  * Creates complete portfolio schema from detected sections
  * This is the final output of the parsing pipeline
@@ -143,9 +232,25 @@ function normalizeLinks(contact, links) {
 function createPortfolioSchema(detectedSections) {
     const name = normalizeName(detectedSections.name);
     const skills = normalizeSkills(detectedSections.skills);
-    const experience = normalizeExperience(detectedSections.experience);
+    const fieldConfidence = normalizeConfidence(detectedSections.confidence);
+    const sortedExperience = sortChronologically(
+        normalizeExperience(detectedSections.experience),
+        fieldConfidence.experience
+    );
+    const experience = sortedExperience.entries;
+    fieldConfidence.experience = sortedExperience.confidence;
     const projects = normalizeProjects(detectedSections.projects);
-    const education = normalizeEducation(detectedSections.education);
+    const sortedEducation = sortChronologically(
+        normalizeEducation(detectedSections.education),
+        fieldConfidence.education
+    );
+    const education = sortedEducation.entries;
+    fieldConfidence.education = sortedEducation.confidence;
+    const certifications = normalizeCertifications(detectedSections.certifications);
+    const awards = normalizeAwards(detectedSections.awards);
+    const publications = normalizePublications(detectedSections.publications);
+    const languages = normalizeLanguages(detectedSections.languages);
+    const volunteer = sortChronologically(normalizeVolunteer(detectedSections.volunteer)).entries;
     const links = normalizeLinks(detectedSections.contact, detectedSections.links);
 
     return {
@@ -156,7 +261,13 @@ function createPortfolioSchema(detectedSections) {
         experience,
         projects,
         education,
+        certifications,
+        awards,
+        publications,
+        languages,
+        volunteer,
         links,
+        fieldConfidence,
         theme: 'modern',
         customizations: {
             colors: {
@@ -168,7 +279,7 @@ function createPortfolioSchema(detectedSections) {
                 heading: 'Inter',
                 body: 'Inter'
             },
-            layout: 'default'
+            layout: null  // The theme's default layout
         }
     };
 }
@@ -180,6 +291,12 @@ module.exports = {
     normalizeExperience,
     normalizeProjects,
     normalizeEducation,
+    normalizeCertifications,
+    normalizeAwards,
+    normalizePublications,
+    normalizeLanguages,
+    normalizeVolunteer,
     normalizeLinks,
+    normalizeConfidence,
     generateHeadline
 };
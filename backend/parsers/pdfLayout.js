@@ -0,0 +1,351 @@
+/**
+ * Layout-aware text reconstruction for PDF pages
+ * Uses text item coordinates to rebuild reading order for multi-column,
+ * sidebar and table resumes, and flags bold or large lines as header hints
+ */
+
+// Horizontal gap (in multiples of the font size) that separates two cells on one line
+const CELL_GAP_RATIO = 1.5;
+
+// Minimum width in PDF points of an empty vertical band to count as a column gutter
+const MIN_GUTTER_WIDTH = 12;
+
+// Share of cells allowed to cross a gutter (full-width headings, name banners)
+const GUTTER_CROSSING_RATIO = 0.05;
+
+// A column narrower than this share of the page is treated as a sidebar
+const SIDEBAR_MAX_RATIO = 0.35;
+
+// Lines whose font is this much larger than the body font are header candidates
+const HEADER_SIZE_RATIO = 1.15;
+
+// Header candidates longer than this are regular text set in bold
+const MAX_HEADER_LENGTH = 50;
+
+// How long to wait for pdf.js to deliver a font object before ignoring its weight
+const FONT_RESOLVE_TIMEOUT = 250;
+
+const BOLD_FONT_PATTERN = /(bold|black|heavy|semibold|demi)/i;
+
+/**
+ * Converts pdf.js text content into positioned items
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @param {Function} isBoldFont - Resolves a pdf.js font name to whether it is bold
+ * @returns {Array<Object>} Items with text, position, width and font size
+ */
+function toTextItems(textContent, isBoldFont) {
+    return textContent.items
+        .filter(item => item.str && item.str.trim().length > 0)
+        .map(item => {
+            const [scaleX, , , scaleY, x, y] = item.transform;
+            const size = Math.abs(scaleY) || Math.abs(scaleX) || 1;
+
+            return {
+                str: item.str,
+                x,
+                y,
+                width: item.width || item.str.length * size * 0.5,
+                size,
+                bold: isBoldFont(item.fontName)
+            };
+        });
+}
+
+/**
+ * Groups items into visual lines by their baseline, top to bottom
+ */
+function groupIntoLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - item.y) <= Math.min(line.size, item.size) * 0.5) {
+            line.items.push(item);
+            line.size = Math.max(line.size, item.size);
+        } else {
+            lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+    }
+
+    lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+
+    return lines;
+}
+
+/**
+ * Splits a line into cells wherever the horizontal gap between items is large
+ * Cells are table columns or the parts of a line that belong to different page columns
+ */
+function splitIntoCells(line, lineIndex) {
+    const cells = [];
+    let cell = null;
+
+    for (const item of line.items) {
+        const gap = cell ? item.x - cell.x1 : 0;
+
+        if (!cell || gap > cell.size * CELL_GAP_RATIO) {
+            cell = { text: '', x0: item.x, x1: item.x, y: line.y, line: lineIndex, size: 0, bold: true };
+            cells.push(cell);
+        } else if (gap > item.size * 0.15 && !/\s$/.test(cell.text) && !/^\s/.test(item.str)) {
+            // Items are often split mid-line without the space character
+            cell.text += ' ';
+        }
+
+        cell.text += item.str;
+        cell.x1 = Math.max(cell.x1, item.x + item.width);
+        cell.size = Math.max(cell.size, item.size);
+        cell.bold = cell.bold && item.bold;
+    }
+
+    cells.forEach(c => { c.text = c.text.replace(/\s+/g, ' ').trim(); });
+
+    return cells.filter(c => c.text.length > 0);
+}
+
+/**
+ * Finds the widest vertical band in the middle of the page that almost no cell crosses
+ * @returns {number|null} X coordinate of the gutter center, or null for single-column pages
+ */
+function findGutter(cells, pageWidth) {
+    if (cells.length < 6 || pageWidth <= 0) return null;
+
+    const binCount = Math.ceil(pageWidth);
+    const coverage = new Array(binCount).fill(0);
+
+    cells.forEach(cell => {
+        const from = Math.max(0, Math.floor(cell.x0));
+        const to = Math.min(binCount - 1, Math.ceil(cell.x1));
+        for (let bin = from; bin <= to; bin++) coverage[bin]++;
+    });
+
+    const allowed = Math.floor(cells.length * GUTTER_CROSSING_RATIO);
+    const from = Math.floor(pageWidth * 0.2);
+    const to = Math.ceil(pageWidth * 0.8);
+
+    let best = null;
+    let runStart = null;
+
+    for (let bin = from; bin <= to; bin++) {
+        const open = bin < binCount && coverage[bin] <= allowed;
+
+        if (open && runStart === null) {
+            runStart = bin;
+        } else if (!open && runStart !== null) {
+            if (!best || bin - runStart > best.width) {
+                best = { start: runStart, width: bin - runStart };
+            }
+            runStart = null;
+        }
+    }
+
+    if (runStart !== null && (!best || to - runStart > best.width)) {
+        best = { start: runStart, width: to - runStart };
+    }
+
+    if (!best || best.width < MIN_GUTTER_WIDTH) return null;
+
+    const gutter = best.start + best.width / 2;
+
+    // Both sides need real content, otherwise this is ragged single-column text
+    const left = cells.filter(c => c.x1 <= gutter).length;
+    const right = cells.filter(c => c.x0 >= gutter).length;
+    if (left < 3 || right < 3) return null;
+
+    return gutter;
+}
+
+/**
+ * Joins cells that share a line into text lines, keeping table cells apart with " | "
+ */
+function cellsToLines(cells) {
+    const byLine = new Map();
+
+    cells.forEach(cell => {
+        if (!byLine.has(cell.line)) byLine.set(cell.line, []);
+        byLine.get(cell.line).push(cell);
+    });
+
+    return [...byLine.keys()]
+        .sort((a, b) => a - b)
+        .map(key => {
+            const lineCells = byLine.get(key).sort((a, b) => a.x0 - b.x0);
+            return {
+                text: lineCells.map(c => c.text).join(' | '),
+                size: Math.max(...lineCells.map(c => c.size)),
+                bold: lineCells.every(c => c.bold)
+            };
+        });
+}
+
+/**
+ * Finds the most common font size, weighted by number of characters
+ */
+function findBodySize(items) {
+    const counts = new Map();
+
+    items.forEach(item => {
+        const size = Math.round(item.size * 2) / 2;
+        counts.set(size, (counts.get(size) || 0) + item.str.length);
+    });
+
+    let bodySize = 0;
+    let bestCount = -1;
+    for (const [size, count] of counts) {
+        if (count > bestCount) {
+            bodySize = size;
+            bestCount = count;
+        }
+    }
+
+    return bodySize;
+}
+
+/**
+ * Rebuilds the reading order of one page
+ * Content above the columns comes first, then the left column, then the right column.
+ * Lines that share a baseline within a column (table rows) are joined with " | ".
+ * @param {Array<Object>} items - Positioned items from toTextItems
+ * @param {number} pageWidth - Page width in PDF points
+ * @returns {{text: string, headerHints: string[], layout: string}} Page text, header lines and
+ * detected layout ('single', 'two-column', 'sidebar-left' or 'sidebar-right')
+ */
+function reconstructPage(items, pageWidth) {
+    if (items.length === 0) {
+        return { text: '', headerHints: [], layout: 'empty' };
+    }
+
+    const cells = groupIntoLines(items).flatMap((line, index) => splitIntoCells(line, index));
+    const width = pageWidth || Math.max(...cells.map(c => c.x1));
+    const gutter = findGutter(cells, width);
+
+    let groups;
+    let layout = 'single';
+
+    if (gutter === null) {
+        groups = [cells];
+    } else {
+        const left = cells.filter(c => c.x1 <= gutter);
+        const right = cells.filter(c => c.x0 >= gutter);
+        const crossing = cells.filter(c => c.x0 < gutter && c.x1 > gutter);
+
+        // Everything above the point where both columns have started is a banner (name, contact)
+        const columnsTop = Math.max(
+            Math.min(...left.map(c => c.line)),
+            Math.min(...right.map(c => c.line))
+        );
+        const banner = cells.filter(c => c.line < columnsTop);
+        const inBanner = c => c.line < columnsTop;
+
+        // Cells crossing the gutter below the banner join the side they mostly cover
+        const leftColumn = left.filter(c => !inBanner(c));
+        const rightColumn = right.filter(c => !inBanner(c));
+        crossing.filter(c => !inBanner(c)).forEach(c => {
+            (gutter - c.x0 >= c.x1 - gutter ? leftColumn : rightColumn).push(c);
+        });
+
+        const spanOf = column => (column.length > 0
+            ? (Math.max(...column.map(c => c.x1)) - Math.min(...column.map(c => c.x0))) / width
+            : 0);
+
+        if (spanOf(leftColumn) < SIDEBAR_MAX_RATIO) {
+            layout = 'sidebar-left';
+        } else if (spanOf(rightColumn) < SIDEBAR_MAX_RATIO) {
+            layout = 'sidebar-right';
+        } else {
+            layout = 'two-column';
+        }
+
+        // Columns are read left to right; each stays one contiguous block so its
+        // section headers keep their content together
+        groups = [banner, leftColumn, rightColumn];
+    }
+
+    const bodySize = findBodySize(items);
+    const lines = groups.flatMap(cellsToLines);
+    const headerHints = lines
+        .filter(line => line.text.length <= MAX_HEADER_LENGTH &&
+            (line.bold || line.size >= bodySize * HEADER_SIZE_RATIO))
+        .map(line => line.text);
+
+    return {
+        text: lines.map(line => line.text).join('\n'),
+        headerHints,
+        layout
+    };
+}
+
+/**
+ * Finds which of the given pdf.js font names refer to bold fonts
+ * Font objects only exist once the operator list is built and arrive asynchronously,
+ * so each lookup waits for its font up to FONT_RESOLVE_TIMEOUT
+ * @returns {Promise<Set<string>>} Names of bold fonts
+ */
+async function findBoldFonts(pageData, fontNames) {
+    const boldFonts = new Set();
+
+    try {
+        // pdf-parse's pdf.js build installs itself as a global; without a DOM it must not
+        // try to attach loaded fonts to the page
+        if (global.PDFJS) {
+            global.PDFJS.disableFontFace = true;
+        }
+
+        await pageData.getOperatorList();
+
+        const resolveFont = fontName => new Promise(resolve => {
+            const timer = setTimeout(() => resolve(null), FONT_RESOLVE_TIMEOUT);
+            pageData.commonObjs.get(fontName, font => {
+                clearTimeout(timer);
+                resolve(font);
+            });
+        });
+
+        const fonts = await Promise.all(fontNames.map(resolveFont));
+
+        fonts.forEach((font, index) => {
+            if (font && (font.bold || font.black || BOLD_FONT_PATTERN.test(font.name || ''))) {
+                boldFonts.add(fontNames[index]);
+            }
+        });
+    } catch (error) {
+        // Weight information is optional; font size still marks headers
+    }
+
+    return boldFonts;
+}
+
+/**
+ * Creates a pdf-parse page renderer that uses positional reconstruction
+ * Header hints and the detected layout of every rendered page are collected in the given result
+ * @param {{headerHints: string[], layouts: string[]}} collected - Filled while pages render
+ * @returns {Function} pagerender callback for pdf-parse
+ */
+function createLayoutRenderer(collected) {
+    return async function renderPage(pageData) {
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: true,
+            disableCombineTextItems: false
+        });
+        const fontNames = [...new Set(textContent.items.map(item => item.fontName))];
+        const boldFonts = await findBoldFonts(pageData, fontNames);
+
+        const isBoldFont = fontName => boldFonts.has(fontName) || BOLD_FONT_PATTERN.test(fontName || '');
+        const pageWidth = pageData.view ? pageData.view[2] - pageData.view[0] : 0;
+        const page = reconstructPage(toTextItems(textContent, isBoldFont), pageWidth);
+
+        collected.headerHints.push(...page.headerHints);
+        collected.layouts.push(page.layout);
+
+        return page.text;
+    };
+}
+
+module.exports = {
+    createLayoutRenderer,
+    reconstructPage,
+    toTextItems,
+    groupIntoLines,
+    splitIntoCells,
+    findGutter
+};
@@ -3,15 +3,49 @@
  * This is the core parsing logic - deterministic and reliable
  */
 
+const { findDateRange } = require('./dateParser');
+const { detectLanguage, getLocale, SUPPORTED_LANGUAGES } = require('./locales');
+
 // Common section header patterns
 const SECTION_PATTERNS = {
     summary: /^(summary|objective|profile|about|about me|professional summary)/i,
     skills: /^(skills|technical skills|core competencies|expertise|technologies)/i,
     experience: /^(experience|work experience|employment|professional experience|work history)/i,
     projects: /^(projects|personal projects|key projects|portfolio)/i,
-    education: /^(education|academic|qualifications|academic background)/i
+    education: /^(education|academic|qualifications|academic background)/i,
+    // The sections below are anchored at the end so that content lines such as
+    // "Languages: JavaScript, Python" inside a skills section are not mistaken for headers
+    certifications: /^(certifications?|certificates?|licenses?( (&|and) certifications)?|professional certifications)\s*:?$/i,
+    awards: /^(awards|honors|honours|achievements|awards (&|and) (honors|honours|achievements)|honors (&|and) awards)\s*:?$/i,
+    publications: /^(publications|selected publications|papers|research publications)\s*:?$/i,
+    languages: /^(languages|language skills|language proficiency|spoken languages)\s*:?$/i,
+    volunteer: /^(volunteer|volunteering|volunteer experience|volunteer work|community service|community involvement)\s*:?$/i
 };
 
+// Every section findSections can return
+const SECTION_NAMES = Object.keys(SECTION_PATTERNS);
+
+// Keywords that identify a section inside a line the document marked as a heading
+// (bold/large PDF text). Checked in order, so "Volunteer Experience" is volunteer, not experience
+const HEADER_HINT_KEYWORDS = [
+    ['volunteer', /\b(volunteer\w*|community (service|involvement))\b/i],
+    ['certifications', /\b(certifications?|certificates?|licenses?)\b/i],
+    ['publications', /\b(publications|papers)\b/i],
+    ['awards', /\b(awards|hono(u)?rs|achievements)\b/i],
+    ['skills', /\b(skills|competencies|expertise|technologies|tech stack)\b/i],
+    ['languages', /\blanguages\b/i],
+    ['experience', /\b(experience|employment|work(ed)?|career)\b/i],
+    ['projects', /\b(projects|portfolio)\b/i],
+    ['education', /\b(education|academic\w*|qualifications)\b/i],
+    ['summary', /\b(summary|objective|profile|about( me)?)\b/i]
+];
+
+// Hinted lines longer than this are emphasized content rather than headings
+const MAX_HINTED_HEADER_LENGTH = 40;
+
+// Year or "Month Year" anywhere in a line
+const YEAR_PATTERN = /(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+)?(?:19|20)\d{2}/i;
+
 // Email and phone patterns
 const EMAIL_PATTERN = /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9_-]+)/gi;
 const PHONE_PATTERN = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
@@ -24,10 +58,11 @@ const URL_PATTERNS = {
 };
 
 /**
- * Detects name from the first few lines
+ * Locates the name in the first few lines
  * Usually the name is in the first 1-3 lines, often near email
+ * @returns {{name: string, line: number, confidence: number}} Name with its line index and confidence
  */
-function detectName(lines) {
+function locateName(lines) {
     // Check first 5 lines for name
     for (let i = 0; i < Math.min(5, lines.length); i++) {
         const line = lines[i].trim();
@@ -50,13 +85,25 @@ function detectName(lines) {
             // Check if words start with capital letters (name pattern)
             const allCapitalized = words.every(w => /^[A-Z]/.test(w));
             if (allCapitalized) {
-                return line;
+                // The further down the page, the less likely it is the name
+                return { name: line, line: i, confidence: 0.9 - i * 0.1 };
             }
         }
     }
 
     // Fallback: return first non-empty line
-    return lines[0] || 'Unknown';
+    if (lines.length > 0) {
+        return { name: lines[0], line: 0, confidence: 0.2 };
+    }
+
+    return { name: 'Unknown', line: null, confidence: 0 };
+}
+
+/**
+ * Detects name from the first few lines
+ */
+function detectName(lines) {
+    return locateName(lines).name;
 }
 
 /**
@@ -106,27 +153,74 @@ function detectLinks(text) {
     return links;
 }
 
+/**
+ * Matches a line the source document marked as a heading against section keywords
+ * Used for layout hints, where headers like "WORK EXPERIENCE & INTERNSHIPS" do not
+ * match the strict line-start patterns
+ * @param {string} line - Hinted heading line
+ * @param {Object} locale - Compiled locale pack whose keywords are checked as well
+ */
+function matchHintedHeader(line, locale = null) {
+    if (line.length > MAX_HINTED_HEADER_LENGTH) return null;
+
+    const match = HEADER_HINT_KEYWORDS.find(([section, pattern]) => (
+        pattern.test(line) ||
+        !!(locale && locale.headerKeywords[section] && locale.headerKeywords[section].test(line))
+    ));
+    return match ? match[0] : null;
+}
+
+/**
+ * Matches a line against the complete section headers of a locale pack
+ * @returns {string|null} Section name, 'other' for headers that only end a section, or null
+ */
+function matchLocaleHeader(line, locale) {
+    if (!locale) return null;
+
+    const match = locale.sectionPatterns.find(([, pattern]) => pattern.test(line));
+    return match ? match[0] : null;
+}
+
+/**
+ * Maps heading text to its outline level, keeping the highest level of repeated headings
+ */
+function indexHeadings(headings) {
+    const levels = new Map();
+    headings.forEach(({ text, level }) => {
+        const key = text.trim().toLowerCase();
+        if (!levels.has(key) || level < levels.get(key)) levels.set(key, level);
+    });
+    return levels;
+}
+
 /**
  * Finds section boundaries in the text
- * Returns an object mapping section names to their content
+ * Returns an object mapping section names to the header line index, the
+ * content range (start inclusive, end exclusive) in the given lines and what
+ * recognized the header: 'pattern', 'locale', 'heading' or 'layoutHint'
+ *
+ * Headings declared by markup (HTML, Markdown, ODT) are strong hints: a heading that
+ * names a section starts it, and a heading that names no section ("Interests") ends
+ * the current section unless it is nested below the section's own heading.
+ * Locale pack headers ("Berufserfahrung") are checked after the English patterns.
+ * @param {string[]} lines - Non-empty lines of the normalized text
+ * @param {string[]} headerHints - Lines the source layout marked as headings (bold, large font)
+ * @param {Array<{text: string, level: number}>} headings - Headings declared by the document markup
+ * @param {Object} locale - Compiled locale pack from getLocale, null for English
  */
-function findSections(lines) {
-    const sections = {
-        summary: [],
-        skills: [],
-        experience: [],
-        projects: [],
-        education: []
-    };
+function findSectionBoundaries(lines, headerHints = [], headings = [], locale = null) {
+    const boundaries = {};
+    const hinted = new Set(headerHints.map(hint => hint.trim().toLowerCase()));
+    const headingLevels = indexHeadings(headings);
 
-    let currentSection = null;
-    let sectionStartIndex = -1;
+    let current = null;
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i].trim();
 
         // Check if this line is a section header
         let foundSection = null;
+        let trigger = 'pattern';
         for (const [sectionName, pattern] of Object.entries(SECTION_PATTERNS)) {
             if (pattern.test(line)) {
                 foundSection = sectionName;
@@ -134,20 +228,66 @@ function findSections(lines) {
             }
         }
 
-        if (foundSection) {
-            // Save previous section
-            if (currentSection && sectionStartIndex >= 0) {
-                sections[currentSection] = lines.slice(sectionStartIndex, i);
+        if (!foundSection) {
+            foundSection = matchLocaleHeader(line, locale);
+            trigger = 'locale';
+        }
+
+        const headingLevel = headingLevels.get(line.toLowerCase());
+
+        if (!foundSection && (headingLevel !== undefined || hinted.has(line.toLowerCase()))) {
+            foundSection = matchHintedHeader(line, locale);
+            trigger = headingLevel !== undefined ? 'heading' : 'layoutHint';
+        }
+
+        if (foundSection === 'other') {
+            // Headers such as "Declaration" or "Hobbys" end the section without starting one
+            if (current) {
+                current.end = i;
+                boundaries[current.section] = current;
+                current = null;
+            }
+        } else if (foundSection) {
+            // Close previous section
+            if (current) {
+                current.end = i;
+                boundaries[current.section] = current;
             }
 
-            currentSection = foundSection;
-            sectionStartIndex = i + 1; // Content starts after header
+            // Content starts after header
+            current = { section: foundSection, headerLine: i, start: i + 1, end: lines.length, trigger, level: headingLevel };
+        } else if (current && headingLevel !== undefined &&
+            (current.level === undefined || headingLevel <= current.level)) {
+            // An unrelated heading at the same or a higher level ends the section
+            current.end = i;
+            boundaries[current.section] = current;
+            current = null;
         }
     }
 
-    // Save last section
-    if (currentSection && sectionStartIndex >= 0) {
-        sections[currentSection] = lines.slice(sectionStartIndex);
+    // Close last section
+    if (current) {
+        boundaries[current.section] = current;
+    }
+
+    Object.values(boundaries).forEach(boundary => { delete boundary.level; });
+
+    return boundaries;
+}
+
+/**
+ * Finds section boundaries in the text
+ * Returns an object mapping section names to their content
+ * @param {string[]} lines - Non-empty lines of the normalized text
+ * @param {string[]} headerHints - Lines the source layout marked as headings
+ * @param {Array<{text: string, level: number}>} headings - Headings declared by the document markup
+ * @param {Object} locale - Compiled locale pack from getLocale, null for English
+ */
+function findSections(lines, headerHints = [], headings = [], locale = null) {
+    const sections = Object.fromEntries(SECTION_NAMES.map(section => [section, []]));
+
+    for (const { section, start, end } of Object.values(findSectionBoundaries(lines, headerHints, headings, locale))) {
+        sections[section] = lines.slice(start, end);
     }
 
     return sections;
@@ -197,11 +337,40 @@ function detectSkills(sectionLines) {
     return skills;
 }
 
+/**
+ * Splits "Role at Company" into its parts
+ * Locale packs add their own words ("Entwickler bei SAP", "Développeur chez Orange");
+ * for those the last occurrence is used, since the word can also appear inside a role
+ * @returns {{role: string, company: string}|null}
+ */
+function splitEmployer(text, locale = null) {
+    if (text.toLowerCase().includes(' at ')) {
+        const [role, company] = text.split(/ at /i).map(s => s.trim());
+        return { role, company };
+    }
+
+    if (locale && locale.employerPattern) {
+        const matches = [...text.matchAll(locale.employerPattern)];
+        const last = matches[matches.length - 1];
+        if (last && last.index > 0) {
+            return {
+                role: text.slice(0, last.index).trim(),
+                company: text.slice(last.index + last[0].length).trim()
+            };
+        }
+    }
+
+    return null;
+}
+
 /**
  * Detects work experience entries
  * Format: Role at Company (Date)
+ * @param {string[]} sectionLines - Lines of the experience section
+ * @param {number} offset - Index of the first section line in the full text, used for source spans
+ * @param {Object} locale - Compiled locale pack from getLocale, null for English
  */
-function detectExperience(sectionLines) {
+function detectExperience(sectionLines, offset = 0, locale = null) {
     if (!sectionLines || sectionLines.length === 0) return [];
 
     const experiences = [];
@@ -210,12 +379,12 @@ function detectExperience(sectionLines) {
     // Date patterns to identify experience headers
     const datePattern = /(\d{4}|\w+\s+\d{4}|present|current)/i;
 
-    for (const line of sectionLines) {
-        const trimmed = line.trim();
+    for (let i = 0; i < sectionLines.length; i++) {
+        const trimmed = sectionLines[i].trim();
         if (!trimmed) continue;
 
         // Check if this line contains a date (likely a role/company line)
-        if (datePattern.test(trimmed)) {
+        if (datePattern.test(trimmed) || findDateRange(trimmed)) {
             // Save previous experience
             if (currentExp) {
                 experiences.push(currentExp);
@@ -226,8 +395,13 @@ function detectExperience(sectionLines) {
                 role: '',
                 company: '',
                 duration: '',
+                startDate: null,
+                endDate: null,
+                isCurrent: false,
                 description: '',
-                highlights: []
+                highlights: [],
+                lineRange: { start: offset + i, end: offset + i },
+                confidence: { role: 0, company: 0, duration: 0 }
             };
 
             // Try to extract role, company, and date
@@ -240,19 +414,29 @@ function detectExperience(sectionLines) {
             if (parts.length > 0) {
                 // First part is usually role
                 const firstPart = parts[0];
-                if (firstPart.toLowerCase().includes(' at ')) {
-                    const [role, company] = firstPart.split(' at ').map(s => s.trim());
+                const employer = splitEmployer(firstPart, locale);
+                if (employer) {
+                    const { role, company } = employer;
                     currentExp.role = role;
                     currentExp.company = company;
+                    currentExp.confidence.role = 0.85;
+                    currentExp.confidence.company = company ? 0.8 : 0;
                 } else {
                     currentExp.role = firstPart;
+                    // A role that is itself mostly a date means the line had no real title
+                    currentExp.confidence.role = datePattern.test(firstPart) ? 0.2 : 0.6;
                 }
             }
 
             // Try to extract duration from the line
-            const durMatch = trimmed.match(/(\w+\s+\d{4}\s*[-–]\s*\w+\s+\d{4}|\w+\s+\d{4}\s*[-–]\s*present|\d{4}\s*[-–]\s*\d{4})/i);
-            if (durMatch) {
-                currentExp.duration = durMatch[0];
+            const range = findDateRange(trimmed);
+            if (range) {
+                currentExp.duration = range.raw;
+                currentExp.startDate = range.startDate;
+                currentExp.endDate = range.endDate;
+                currentExp.isCurrent = range.isCurrent;
+                // A lone date ("Summer 2022") is less certain to be the full tenure
+                currentExp.confidence.duration = range.isRange ? 0.9 : 0.7;
             }
 
         } else if (currentExp) {
@@ -260,6 +444,7 @@ function detectExperience(sectionLines) {
             const cleaned = trimmed.replace(/^[•\-\*]\s*/, '');
             if (cleaned.length > 0) {
                 currentExp.highlights.push(cleaned);
+                currentExp.lineRange.end = offset + i;
             }
         }
     }
@@ -337,24 +522,47 @@ function detectProjects(sectionLines) {
     return projects;
 }
 
+/**
+ * Sets an education entry's dates from the first line that has any
+ * The year shown is the graduation year, or the start year while still enrolled
+ */
+function applyEducationDates(edu, line) {
+    if (edu.startDate) return;
+
+    const range = findDateRange(line);
+    if (!range) return;
+
+    edu.startDate = range.startDate;
+    edu.endDate = range.endDate;
+    edu.isCurrent = range.isCurrent;
+    edu.year = String((range.endDate || range.startDate).getUTCFullYear());
+}
+
 /**
  * Detects education entries
+ * @param {string[]} sectionLines - Lines of the education section
+ * @param {number} offset - Index of the first section line in the full text, used for source spans
  */
-function detectEducation(sectionLines) {
+function detectEducation(sectionLines, offset = 0, locale = null) {
     if (!sectionLines || sectionLines.length === 0) return [];
 
     const education = [];
     let currentEdu = null;
 
-    // Degree keywords
+    // Degree keywords, extended by the locale pack ("Licenciatura", "Diplom", "B.E.")
     const degreePattern = /(bachelor|master|phd|doctorate|b\.s\.|m\.s\.|b\.a\.|m\.a\.|b\.tech|m\.tech)/i;
-
-    for (const line of sectionLines) {
-        const trimmed = line.trim();
+    const institutionPattern = /(university|college|institute|school|academy|polytechnic)/i;
+    const isDegree = line => degreePattern.test(line) ||
+        !!(locale && locale.degreePattern && locale.degreePattern.test(line));
+    const isInstitution = line => institutionPattern.test(line) ||
+        !!(locale && locale.institutionPattern && locale.institutionPattern.test(line));
+
+    for (let i = 0; i < sectionLines.length; i++) {
+        const trimmed = sectionLines[i].trim();
         if (!trimmed) continue;
 
         // Check if this line contains a degree
-        if (degreePattern.test(trimmed)) {
+        if (isDegree(trimmed)) {
             if (currentEdu) {
                 education.push(currentEdu);
             }
@@ -363,20 +571,28 @@ function detectEducation(sectionLines) {
                 degree: trimmed,
                 institution: '',
                 year: '',
-                details: ''
+                startDate: null,
+                endDate: null,
+                isCurrent: false,
+                details: '',
+                lineRange: { start: offset + i, end: offset + i },
+                institutionLine: null,
+                confidence: { degree: 0.9, institution: 0 }
             };
 
-            // Try to extract year
-            const yearMatch = trimmed.match(/\d{4}/);
-            if (yearMatch) {
-                currentEdu.year = yearMatch[0];
-            }
+            applyEducationDates(currentEdu, trimmed);
         } else if (currentEdu && !currentEdu.institution && trimmed.length > 5) {
             // Next line is likely the institution
             currentEdu.institution = trimmed;
+            applyEducationDates(currentEdu, trimmed);
+            currentEdu.institutionLine = offset + i;
+            currentEdu.confidence.institution = isInstitution(trimmed) ? 0.9 : 0.5;
+            currentEdu.lineRange.end = offset + i;
         } else if (currentEdu) {
             // Additional details
             currentEdu.details += (currentEdu.details ? ' ' : '') + trimmed;
+            applyEducationDates(currentEdu, trimmed);
+            currentEdu.lineRange.end = offset + i;
         }
     }
 
@@ -388,27 +604,288 @@ function detectEducation(sectionLines) {
     return education;
 }
 
+/**
+ * Splits a single-line entry into its title, secondary part and date
+ * Handles "Title - Issuer (2021)", "Title | Issuer | 2021" and "Title, Issuer, Jan 2021"
+ */
+function splitEntryLine(line) {
+    let rest = line.replace(/^[•\-\*]\s*/, '').trim();
+    let date = '';
+
+    const dateMatch = rest.match(YEAR_PATTERN);
+    if (dateMatch) {
+        date = dateMatch[0];
+        rest = rest.replace(dateMatch[0], '')
+            .replace(/\(\s*\)/g, '')
+            .replace(/[\s,|\-–]+$/, '')
+            .trim();
+    }
+
+    const parts = rest.split(/\s+[-–—|]\s+|\s*\|\s*|,\s+/).map(p => p.trim()).filter(p => p.length > 0);
+
+    return {
+        title: parts[0] || rest,
+        secondary: parts.slice(1).join(', '),
+        date
+    };
+}
+
+/**
+ * Detects certification entries
+ * Each non-bullet line is a certification; bullets below it are treated as details
+ */
+function detectCertifications(sectionLines) {
+    if (!sectionLines || sectionLines.length === 0) return [];
+
+    const certifications = [];
+
+    for (const line of sectionLines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        const { title, secondary, date } = splitEntryLine(trimmed);
+
+        // Credential IDs belong to the previous certification
+        if (/^(credential|license)\s*(id|#|number)/i.test(trimmed) && certifications.length > 0) {
+            certifications[certifications.length - 1].credentialId = trimmed.split(/[:#]/).pop().trim();
+            continue;
+        }
+
+        const linkMatch = trimmed.match(/(https?:\/\/[^\s]+)/);
+
+        certifications.push({
+            name: title,
+            issuer: linkMatch ? secondary.replace(linkMatch[0], '').trim() : secondary,
+            date,
+            credentialId: '',
+            link: linkMatch ? linkMatch[0] : null
+        });
+    }
+
+    return certifications;
+}
+
+/**
+ * Detects awards and honors
+ * Bullet lines following an award are appended to its description
+ */
+function detectAwards(sectionLines) {
+    if (!sectionLines || sectionLines.length === 0) return [];
+
+    const awards = [];
+    let currentAward = null;
+
+    for (const line of sectionLines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        const isBullet = /^[•\-\*]/.test(trimmed);
+
+        if (isBullet && currentAward && !YEAR_PATTERN.test(trimmed)) {
+            const cleaned = trimmed.replace(/^[•\-\*]\s*/, '');
+            currentAward.description += (currentAward.description ? ' ' : '') + cleaned;
+            continue;
+        }
+
+        if (currentAward) {
+            awards.push(currentAward);
+        }
+
+        const { title, secondary, date } = splitEntryLine(trimmed);
+        currentAward = {
+            title,
+            issuer: secondary,
+            date,
+            description: ''
+        };
+    }
+
+    if (currentAward) {
+        awards.push(currentAward);
+    }
+
+    return awards;
+}
+
+/**
+ * Detects publications
+ * Format: Title, Publisher/Venue, Year (optionally followed by a URL or DOI)
+ */
+function detectPublications(sectionLines) {
+    if (!sectionLines || sectionLines.length === 0) return [];
+
+    const publications = [];
+
+    for (const line of sectionLines) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        const linkMatch = trimmed.match(/(https?:\/\/[^\s]+)|(doi:\s*[^\s]+)/i);
+
+        // A line that is only a link belongs to the previous publication
+        if (linkMatch && linkMatch[0] === trimmed.replace(/^[•\-\*]\s*/, '') && publications.length > 0) {
+            publications[publications.length - 1].link = linkMatch[0];
+            continue;
+        }
+
+        const withoutLink = linkMatch ? trimmed.replace(linkMatch[0], '').trim() : trimmed;
+        const { title, secondary, date } = splitEntryLine(withoutLink);
+
+        publications.push({
+            title: title.replace(/^["“]|["”]$/g, ''),
+            publisher: secondary,
+            date,
+            link: linkMatch ? linkMatch[0] : null
+        });
+    }
+
+    return publications;
+}
+
+/**
+ * Detects spoken languages and their proficiency
+ * Handles "English (Native), Spanish (Fluent)" and "French - Intermediate" per line
+ */
+function detectLanguages(sectionLines) {
+    if (!sectionLines || sectionLines.length === 0) return [];
+
+    const languages = [];
+    const entries = [];
+
+    sectionLines.forEach(line => {
+        const cleaned = line.trim().replace(/^[•\-\*]\s*/, '');
+        entries.push(...cleaned.split(/,|;|•/).map(e => e.trim()).filter(e => e.length > 0));
+    });
+
+    for (const entry of entries) {
+        const match = entry.match(/^([^(:\-–]+?)\s*(?:\(([^)]+)\)|[:\-–]\s*(.+))?$/);
+        if (!match) continue;
+
+        languages.push({
+            language: match[1].trim(),
+            proficiency: (match[2] || match[3] || '').trim()
+        });
+    }
+
+    return languages;
+}
+
+/**
+ * Detects volunteer entries
+ * Uses the same layout rules as work experience
+ */
+function detectVolunteer(sectionLines, locale = null) {
+    if (!sectionLines || sectionLines.length === 0) return [];
+
+    let entries = detectExperience(sectionLines, 0, locale);
+
+    // Volunteer roles are often listed without dates; keep them as a single entry
+    if (entries.length === 0) {
+        const [first, ...rest] = sectionLines.map(l => l.trim().replace(/^[•\-\*]\s*/, '')).filter(l => l.length > 0);
+        const [role, company] = (first || '').split(/\s+at\s+|,\s+|\s+[-–|]\s+/).map(s => s.trim());
+        entries = [{
+            role: role || '',
+            company: company || '',
+            duration: '',
+            description: rest.join(' '),
+            highlights: rest
+        }];
+    }
+
+    return entries.map(entry => ({
+        role: entry.role,
+        organization: entry.company,
+        duration: entry.duration,
+        startDate: entry.startDate || null,
+        endDate: entry.endDate || null,
+        isCurrent: !!entry.isCurrent,
+        description: entry.description,
+        highlights: entry.highlights
+    }));
+}
+
+/**
+ * Builds a field confidence entry
+ * Line numbers are 0-based indices into the normalized text, end inclusive
+ */
+function scoreField(value, confidence, startLine, endLine = startLine) {
+    const found = value !== null && value !== undefined && value !== '' && startLine !== null;
+
+    return {
+        value: found ? value : null,
+        confidence: found ? Math.round(confidence * 100) / 100 : 0,
+        lines: found ? { start: startLine, end: endLine } : null
+    };
+}
+
+/**
+ * Scores every extracted field with a confidence and its source line range
+ */
+function scoreFields(lines, nameInfo, contact, experience, education) {
+    const emailLine = contact.email ? lines.findIndex(line => line.includes(contact.email)) : -1;
+    const distinctEmails = new Set((lines.join('\n').match(EMAIL_PATTERN) || []).map(e => e.toLowerCase()));
+
+    return {
+        name: scoreField(nameInfo.name, nameInfo.confidence, nameInfo.line),
+        // Several addresses on one resume make it unclear which one is primary
+        email: scoreField(contact.email, distinctEmails.size > 1 ? 0.7 : 0.95, emailLine >= 0 ? emailLine : null),
+        experience: experience.map(exp => {
+            const headerLine = exp.lineRange ? exp.lineRange.start : null;
+            return {
+                role: scoreField(exp.role, exp.confidence.role, headerLine),
+                company: scoreField(exp.company, exp.confidence.company, headerLine),
+                duration: scoreField(exp.duration, exp.confidence.duration, headerLine)
+            };
+        }),
+        education: education.map(edu => ({
+            degree: scoreField(edu.degree, edu.confidence.degree, edu.lineRange.start),
+            institution: scoreField(edu.institution, edu.confidence.institution, edu.institutionLine)
+        }))
+    };
+}
+
 /**
  * Main section detection function
  * Orchestrates all detection functions
+ * @param {string} text - Normalized resume text
+ * @param {Object} options - Detection options
+ * @param {string[]} options.headerHints - Heading lines reported by the text extractor
+ * @param {Array<{text: string, level: number}>} options.headings - Headings declared by the document markup
+ * @param {string} options.language - Language code to use instead of detecting it, e.g. 'de'
  */
-function detectSections(text) {
+function detectSections(text, options = {}) {
+    const headerHints = options.headerHints || [];
+    const headings = options.headings || [];
     const lines = text.split('\n').filter(line => line.trim().length > 0);
 
+    // Pick the locale pack from the requested or detected language
+    const detectedLanguage = SUPPORTED_LANGUAGES.includes(options.language)
+        ? { language: options.language, confidence: 1 }
+        : detectLanguage(text, Object.values(SECTION_PATTERNS));
+    const locale = getLocale(detectedLanguage.language);
+
     // Detect name and contact
-    const name = detectName(lines);
+    const nameInfo = locateName(lines);
+    const name = nameInfo.name;
     const contact = detectContact(text);
     const links = detectLinks(text);
 
     // Find all sections
-    const sections = findSections(lines);
+    const boundaries = findSectionBoundaries(lines, headerHints, headings, locale);
+    const sections = findSections(lines, headerHints, headings, locale);
+    const offsetOf = section => (boundaries[section] ? boundaries[section].start : 0);
 
     // Parse each section
     const summary = detectSummary(sections.summary);
     const skills = detectSkills(sections.skills);
-    const experience = detectExperience(sections.experience);
+    const experience = detectExperience(sections.experience, offsetOf('experience'), locale);
     const projects = detectProjects(sections.projects);
-    const education = detectEducation(sections.education);
+    const education = detectEducation(sections.education, offsetOf('education'), locale);
+    const certifications = detectCertifications(sections.certifications);
+    const awards = detectAwards(sections.awards);
+    const publications = detectPublications(sections.publications);
+    const languages = detectLanguages(sections.languages);
+    const volunteer = detectVolunteer(sections.volunteer, locale);
 
     return {
         name,
@@ -418,12 +895,23 @@ function detectSections(text) {
         skills,
         experience,
         projects,
-        education
+        education,
+        certifications,
+        awards,
+        publications,
+        languages,
+        volunteer,
+        detectedLanguage,
+        boundaries,
+        confidence: scoreFields(lines, nameInfo, contact, experience, education)
     };
 }
 
 module.exports = {
     detectSections,
+    findSections,
+    findSectionBoundaries,
+    SECTION_NAMES,
     detectName,
     detectContact,
     detectLinks,
@@ -431,5 +919,10 @@ module.exports = {
     detectSkills,
     detectExperience,
     detectProjects,
-    detectEducation
+    detectEducation,
+    detectCertifications,
+    detectAwards,
+    detectPublications,
+    detectLanguages,
+    detectVolunteer
 };
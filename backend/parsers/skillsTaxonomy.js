@@ -0,0 +1,211 @@
+/**
+ * Skills taxonomy: canonical skill names, aliases and categories
+ * The bundled taxonomy lives in config/skillsTaxonomy.json. A deployment can extend
+ * or override it without code changes by pointing SKILLS_TAXONOMY_PATH at a JSON file
+ * of the same shape, see mergeTaxonomies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '..', 'config', 'skillsTaxonomy.json');
+const OTHER_CATEGORY = 'Other';
+
+// Aliases shorter than this are only matched when they are the whole skill ("C", "Go",
+// "ML"): as part of longer text they are mostly ordinary words ("Go-to-market strategy")
+const MIN_CONTAINED_ALIAS_LENGTH = 3;
+
+let cachedTaxonomy = null;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lowercases and collapses whitespace so "React JS" and "react  js" share a key
+ */
+function normalizeKey(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads and parses a taxonomy JSON file
+ */
+function readTaxonomyFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to load skills taxonomy ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Merges a deployment's taxonomy over the bundled one
+ * - skills whose name or alias is already known replace that skill's category
+ *   (when given) and add their aliases; other skills are appended
+ * - categoryMap moves every skill of a category to another one ({ "DevOps": "Cloud" })
+ * - categories, when given, sets the display order; categories that are only used
+ *   by skills are shown after the listed ones, and Other always comes last
+ * @param {Object} base - Bundled taxonomy
+ * @param {Object} extension - Deployment taxonomy
+ * @returns {Object} Merged taxonomy
+ */
+function mergeTaxonomies(base, extension) {
+    const skills = base.skills.map(skill => ({ ...skill, aliases: [...(skill.aliases || [])] }));
+    const byKey = new Map();
+    const index = skill => [skill.name, ...skill.aliases].forEach(key => byKey.set(normalizeKey(key), skill));
+    skills.forEach(index);
+
+    (extension.skills || []).forEach(entry => {
+        const existing = [entry.name, ...(entry.aliases || [])]
+            .map(key => byKey.get(normalizeKey(key)))
+            .find(Boolean);
+
+        if (existing) {
+            if (entry.category) existing.category = entry.category;
+            existing.aliases.push(...(entry.aliases || []), ...(entry.name !== existing.name ? [entry.name] : []));
+            index(existing);
+        } else {
+            const skill = { name: entry.name, category: entry.category || OTHER_CATEGORY, aliases: [...(entry.aliases || [])] };
+            skills.push(skill);
+            index(skill);
+        }
+    });
+
+    const categoryMap = extension.categoryMap || {};
+    skills.forEach(skill => {
+        if (categoryMap[skill.category]) skill.category = categoryMap[skill.category];
+    });
+
+    return {
+        categories: extension.categories || base.categories,
+        skills
+    };
+}
+
+/**
+ * Builds lookup structures for a taxonomy
+ * @returns {{categories: string[], lookup: Map, matchers: Array}} Compiled taxonomy
+ */
+function compileTaxonomy(taxonomy) {
+    const lookup = new Map();
+    const matchers = [];
+
+    taxonomy.skills.forEach(skill => {
+        const canonical = { name: skill.name, category: skill.category || OTHER_CATEGORY };
+        [skill.name, ...(skill.aliases || [])].forEach(alias => {
+            const key = normalizeKey(alias);
+            if (!key || lookup.has(key)) return;
+
+            lookup.set(key, canonical);
+            if (key.length >= MIN_CONTAINED_ALIAS_LENGTH) {
+                // Whole-word match: "Go" must not match "Google", "Java" must not match "JavaScript"
+                matchers.push({
+                    key,
+                    pattern: new RegExp(`(?<![\\p{L}\\d+#])${escapeRegExp(key)}(?![\\p{L}\\d+#])`, 'iu'),
+                    skill: canonical
+                });
+            }
+        });
+    });
+
+    // Longest aliases first so "Google Analytics" wins over shorter aliases it contains
+    matchers.sort((a, b) => b.key.length - a.key.length);
+
+    const categories = (taxonomy.categories || []).filter(category => category !== OTHER_CATEGORY);
+    taxonomy.skills.forEach(skill => {
+        const category = skill.category || OTHER_CATEGORY;
+        if (category !== OTHER_CATEGORY && !categories.includes(category)) categories.push(category);
+    });
+    categories.push(OTHER_CATEGORY);
+
+    return { categories, lookup, matchers };
+}
+
+/**
+ * Loads the bundled taxonomy, merged with the deployment's taxonomy file if configured
+ * A missing or invalid deployment file is reported and the bundled taxonomy is used.
+ * @param {string} extensionPath - Path of the deployment taxonomy, defaults to SKILLS_TAXONOMY_PATH
+ * @returns {Object} Compiled taxonomy
+ */
+function loadTaxonomy(extensionPath = process.env.SKILLS_TAXONOMY_PATH) {
+    let taxonomy = readTaxonomyFile(DEFAULT_TAXONOMY_PATH);
+
+    if (extensionPath) {
+        try {
+            taxonomy = mergeTaxonomies(taxonomy, readTaxonomyFile(path.resolve(extensionPath)));
+            console.log(`🏷️  Skills taxonomy extended from ${extensionPath}`);
+        } catch (error) {
+            console.warn(`⚠️  ${error.message}. Using the bundled skills taxonomy.`);
+        }
+    }
+
+    return compileTaxonomy(taxonomy);
+}
+
+/**
+ * Returns the taxonomy, loading it on first use
+ */
+function getTaxonomy() {
+    if (!cachedTaxonomy) {
+        cachedTaxonomy = loadTaxonomy();
+    }
+    return cachedTaxonomy;
+}
+
+/**
+ * Resolves a raw skill to its canonical name and category
+ * An exact alias match ("ReactJS") yields the canonical skill ("React"). Otherwise a
+ * skill that contains a known alias as a whole word ("AWS Lambda") keeps its own
+ * name and takes that skill's category.
+ * @returns {{name: string, category: string, canonical: boolean}}
+ */
+function resolveSkill(rawSkill, taxonomy = getTaxonomy()) {
+    const name = String(rawSkill).replace(/\s+/g, ' ').trim();
+    const exact = taxonomy.lookup.get(normalizeKey(name));
+    if (exact) {
+        return { ...exact, canonical: true };
+    }
+
+    const contained = taxonomy.matchers.find(matcher => matcher.pattern.test(name));
+    return {
+        name,
+        category: contained ? contained.skill.category : OTHER_CATEGORY,
+        canonical: false
+    };
+}
+
+/**
+ * Groups raw skills by category, merging aliases of the same skill
+ * @param {string[]} rawSkills - Skills as written in the resume
+ * @param {Object} taxonomy - Compiled taxonomy, defaults to the loaded one
+ * @returns {Array<{category: string, items: string[]}>} Non-empty categories in display order
+ */
+function categorizeSkills(rawSkills, taxonomy = getTaxonomy()) {
+    const grouped = new Map(taxonomy.categories.map(category => [category, []]));
+    const seen = new Set();
+
+    rawSkills.forEach(rawSkill => {
+        if (!rawSkill || !String(rawSkill).trim()) return;
+
+        const { name, category } = resolveSkill(rawSkill, taxonomy);
+        const key = normalizeKey(name);
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        if (!grouped.has(category)) grouped.set(category, []);
+        grouped.get(category).push(name);
+    });
+
+    return [...grouped.entries()]
+        .filter(([, items]) => items.length > 0)
+        .map(([category, items]) => ({ category, items }));
+}
+
+module.exports = {
+    categorizeSkills,
+    resolveSkill,
+    loadTaxonomy,
+    getTaxonomy,
+    mergeTaxonomies
+};
@@ -1,17 +1,98 @@
 const pdf = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
 const fs = require('fs').promises;
+const path = require('path');
+const { createLayoutRenderer } = require('./pdfLayout');
+const { htmlToText, markdownToText, rtfToText, odtXmlToText } = require('./formatConverters');
+
+const MIME_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    doc: 'application/msword',
+    odt: 'application/vnd.oasis.opendocument.text',
+    rtf: 'application/rtf',
+    html: 'text/html',
+    markdown: 'text/markdown',
+    txt: 'text/plain'
+};
+
+// Aliases browsers and operating systems report for the same formats
+const MIME_ALIASES = {
+    'text/rtf': MIME_TYPES.rtf,
+    'application/x-rtf': MIME_TYPES.rtf,
+    'text/richtext': MIME_TYPES.rtf,
+    'text/x-markdown': MIME_TYPES.markdown,
+    'application/xhtml+xml': MIME_TYPES.html
+};
+
+const EXTENSION_TYPES = {
+    '.pdf': MIME_TYPES.pdf,
+    '.docx': MIME_TYPES.docx,
+    '.doc': MIME_TYPES.doc,
+    '.odt': MIME_TYPES.odt,
+    '.rtf': MIME_TYPES.rtf,
+    '.html': MIME_TYPES.html,
+    '.htm': MIME_TYPES.html,
+    '.md': MIME_TYPES.markdown,
+    '.markdown': MIME_TYPES.markdown,
+    '.txt': MIME_TYPES.txt
+};
+
+// Reported types too generic to trust over the file extension
+const GENERIC_TYPES = ['', 'application/octet-stream', 'text/plain'];
+
+/**
+ * Resolves the MIME type used to pick an extractor
+ * Browsers report Markdown as text/plain or application/octet-stream and some
+ * report RTF or legacy DOC inconsistently, so the extension decides in those cases.
+ * @param {string} mimetype - MIME type reported by the client
+ * @param {string} filename - Original file name
+ * @returns {string|null} Supported MIME type, or null when the file is not supported
+ */
+function resolveMimeType(mimetype, filename = '') {
+    const reported = MIME_ALIASES[mimetype] || mimetype || '';
+    const byExtension = EXTENSION_TYPES[path.extname(filename).toLowerCase()];
+
+    if (GENERIC_TYPES.includes(reported) && byExtension) {
+        return byExtension;
+    }
+
+    return Object.values(MIME_TYPES).includes(reported) ? reported : null;
+}
 
 /**
  * Extracts plain text from PDF files
+ * In positional mode, text item coordinates are used to restore the reading order
+ * of multi-column layouts and bold/large lines are returned as header hints.
+ * Falls back to pdf-parse's flat text if positional extraction yields nothing.
  * @param {string} filePath - Path to PDF file
- * @returns {Promise<string>} Extracted text
+ * @param {Object} options - Extraction options
+ * @param {string} options.layout - 'positional' (default) or 'flat'
+ * @returns {Promise<{text: string, headerHints: string[], layouts: string[]}>} Extracted text,
+ * header hints and the detected layout of each page
  */
-async function extractFromPDF(filePath) {
+async function extractFromPDF(filePath, options = {}) {
     try {
-        const dataBuffer = await fs.readFile(filePath);
+        // pdf.js misreads xref offsets when handed a Node Buffer, so give it a plain Uint8Array
+        const dataBuffer = new Uint8Array(await fs.readFile(filePath));
+
+        if (options.layout !== 'flat') {
+            const collected = { headerHints: [], layouts: [] };
+            const data = await pdf(dataBuffer, { pagerender: createLayoutRenderer(collected) })
+                .catch(error => {
+                    console.warn(`⚠️  Positional PDF extraction failed, using flat text: ${error.message}`);
+                    return null;
+                });
+
+            if (data && data.text.trim().length > 0) {
+                return { text: data.text, headerHints: collected.headerHints, layouts: collected.layouts };
+            }
+        }
+
         const data = await pdf(dataBuffer);
-        return data.text;
+        return { text: data.text, headerHints: [], layouts: [] };
     } catch (error) {
         throw new Error(`Failed to extract text from PDF: ${error.message}`);
     }
@@ -44,6 +125,78 @@ async function extractFromTXT(filePath) {
     }
 }
 
+/**
+ * Extracts text from RTF files
+ * @param {string} filePath - Path to RTF file
+ * @returns {Promise<{text: string, headings: Array}>} Extracted text
+ */
+async function extractFromRTF(filePath) {
+    try {
+        // RTF is 7-bit ASCII with escapes; latin1 keeps any stray 8-bit bytes intact
+        return rtfToText(await fs.readFile(filePath, 'latin1'));
+    } catch (error) {
+        throw new Error(`Failed to extract text from RTF: ${error.message}`);
+    }
+}
+
+/**
+ * Extracts text and headings from OpenDocument text files
+ * @param {string} filePath - Path to ODT file
+ * @returns {Promise<{text: string, headings: Array<{text: string, level: number}>}>} Extracted text and headings
+ */
+async function extractFromODT(filePath) {
+    try {
+        const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+        const content = zip.file('content.xml');
+        if (!content) {
+            throw new Error('content.xml not found');
+        }
+        return odtXmlToText(await content.async('string'));
+    } catch (error) {
+        throw new Error(`Failed to extract text from ODT: ${error.message}`);
+    }
+}
+
+/**
+ * Extracts text and headings from HTML files
+ * @param {string} filePath - Path to HTML file
+ * @returns {Promise<{text: string, headings: Array<{text: string, level: number}>}>} Extracted text and headings
+ */
+async function extractFromHTML(filePath) {
+    try {
+        return htmlToText(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to extract text from HTML: ${error.message}`);
+    }
+}
+
+/**
+ * Extracts text and headings from Markdown files
+ * @param {string} filePath - Path to Markdown file
+ * @returns {Promise<{text: string, headings: Array<{text: string, level: number}>}>} Extracted text and headings
+ */
+async function extractFromMarkdown(filePath) {
+    try {
+        return markdownToText(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to extract text from Markdown: ${error.message}`);
+    }
+}
+
+/**
+ * Extracts text from legacy Word (.doc) files
+ * @param {string} filePath - Path to DOC file
+ * @returns {Promise<string>} Extracted text
+ */
+async function extractFromDOC(filePath) {
+    try {
+        const document = await new WordExtractor().extract(filePath);
+        return document.getBody();
+    } catch (error) {
+        throw new Error(`Failed to extract text from DOC: ${error.message}`);
+    }
+}
+
 /**
  * Normalizes extracted text
  * - Removes excessive whitespace
@@ -62,21 +215,46 @@ function normalizeText(rawText) {
 }
 
 /**
- * Main extraction function - automatically detects file type
+ * Extracts text and layout hints - automatically detects file type
  * @param {string} filePath - Path to resume file
  * @param {string} mimetype - MIME type of the file
- * @returns {Promise<string>} Normalized extracted text
+ * @param {Object} options - Extraction options
+ * @param {string} options.pdfLayout - PDF extraction mode, 'positional' (default) or 'flat'
+ * @returns {Promise<{text: string, headerHints: string[], headings: Array<{text: string, level: number}>, layouts: string[]}>}
+ * Normalized text, header hints for findSections (PDF only), headings declared by
+ * the document markup (HTML, Markdown, ODT) and the detected page layouts (PDF only)
  */
-async function extractText(filePath, mimetype) {
+async function extractDocument(filePath, mimetype, options = {}) {
     let rawText;
+    let headerHints = [];
+    let headings = [];
+    let layouts = [];
 
     switch (mimetype) {
         case 'application/pdf':
-            rawText = await extractFromPDF(filePath);
+            ({ text: rawText, headerHints, layouts } = await extractFromPDF(filePath, { layout: options.pdfLayout }));
             break;
         case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
             rawText = await extractFromDOCX(filePath);
             break;
+        case 'application/msword':
+            rawText = await extractFromDOC(filePath);
+            break;
+        case 'application/vnd.oasis.opendocument.text':
+            ({ text: rawText, headings } = await extractFromODT(filePath));
+            break;
+        case 'application/rtf':
+        case 'text/rtf':
+        case 'application/x-rtf':
+            ({ text: rawText } = await extractFromRTF(filePath));
+            break;
+        case 'text/html':
+            ({ text: rawText, headings } = await extractFromHTML(filePath));
+            break;
+        case 'text/markdown':
+        case 'text/x-markdown':
+            ({ text: rawText, headings } = await extractFromMarkdown(filePath));
+            break;
         case 'text/plain':
             rawText = await extractFromTXT(filePath);
             break;
@@ -84,13 +262,38 @@ async function extractText(filePath, mimetype) {
             throw new Error(`Unsupported file type: ${mimetype}`);
     }
 
-    return normalizeText(rawText);
+    return {
+        text: normalizeText(rawText),
+        headerHints: [...new Set(headerHints.map(hint => hint.trim()).filter(hint => hint.length > 0))],
+        headings: headings.filter(heading => heading.text.trim().length > 0),
+        layouts
+    };
+}
+
+/**
+ * Main extraction function - automatically detects file type
+ * @param {string} filePath - Path to resume file
+ * @param {string} mimetype - MIME type of the file
+ * @param {Object} options - Extraction options, see extractDocument
+ * @returns {Promise<string>} Normalized extracted text
+ */
+async function extractText(filePath, mimetype, options = {}) {
+    const { text } = await extractDocument(filePath, mimetype, options);
+    return text;
 }
 
 module.exports = {
     extractText,
+    extractDocument,
     extractFromPDF,
     extractFromDOCX,
     extractFromTXT,
-    normalizeText
+    extractFromRTF,
+    extractFromODT,
+    extractFromHTML,
+    extractFromMarkdown,
+    extractFromDOC,
+    resolveMimeType,
+    normalizeText,
+    MIME_TYPES
 };
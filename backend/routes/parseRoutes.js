@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const upload = require('../config/upload');
+const { previewParse } = require('../controllers/parseController');
+
+/**
+ * POST /api/parse/preview
+ * Parses a resume and returns the normalized text, detected section boundaries
+ * and resulting schema without creating a portfolio or session
+ * Expects: multipart/form-data with 'resume' file field
+ */
+router.post('/preview', upload.single('resume'), previewParse);
+
+module.exports = router;
@@ -3,25 +3,113 @@ const router = express.Router();
 const {
     getPortfolio,
     updatePortfolio,
-    exportPortfolio
+    deletePortfolio,
+    duplicatePortfolio,
+    exportPortfolio,
+    previewPortfolio,
+    previewStyles,
+    previewAsset,
+    sharePortfolio
 } = require('../controllers/portfolioController');
+const {
+    getRevisions,
+    diffRevisions,
+    restoreRevision,
+    updateRevisionSettings
+} = require('../controllers/revisionController');
+const { requireOwner, requireViewer } = require('../middleware/auth');
+const { validatePortfolioUpdate, validatePortfolioChanges } = require('../middleware/validatePortfolio');
+const { applyPortfolioPatch } = require('../middleware/portfolioPatch');
+
+// Every route needs the session token of the portfolio's session (Authorization:
+// Bearer or ?token=); read-only routes also accept a share token
 
 /**
  * GET /api/portfolio/:id
  * Retrieve portfolio by ID
  */
-router.get('/:id', getPortfolio);
+router.get('/:id', requireViewer, getPortfolio);
 
 /**
  * PUT /api/portfolio/:id
- * Update portfolio content
+ * Update portfolio content; unknown fields and invalid values are rejected per field
+ */
+router.put('/:id', requireOwner, validatePortfolioUpdate, updatePortfolio);
+
+/**
+ * PATCH /api/portfolio/:id
+ * Update part of a portfolio with a JSON Patch (add, remove, replace, move, test);
+ * entries are addressed by index or by id, e.g. /experience/@<_id>/highlights/0
+ */
+router.patch('/:id', requireOwner, applyPortfolioPatch, validatePortfolioUpdate, updatePortfolio);
+
+/**
+ * DELETE /api/portfolio/:id
+ * Delete a portfolio with its revisions and remove it from its session
+ */
+router.delete('/:id', requireOwner, deletePortfolio);
+
+/**
+ * POST /api/portfolio/:id/duplicate
+ * Copy a portfolio into the same session; the body may change fields of the copy, e.g. { headline }
  */
-router.put('/:id', updatePortfolio);
+router.post('/:id/duplicate', requireOwner, validatePortfolioChanges, duplicatePortfolio);
 
 /**
  * GET /api/portfolio/:id/export
- * Export portfolio as static site (ZIP)
+ * Export portfolio as static site (ZIP), JSON Resume (?format=jsonresume) or PDF resume (?format=pdf)
+ * ?target=hugo|jekyll|astro exports a static site generator project instead of the plain site
+ * ?deploy=netlify,vercel,github-pages adds deployment files, ?domain= a CNAME
+ */
+router.get('/:id/export', requireViewer, exportPortfolio);
+
+/**
+ * POST /api/portfolio/:id/share
+ * Issue a read-only share token; body { expiresInDays } (default 7, at most 30)
+ */
+router.post('/:id/share', requireOwner, sharePortfolio);
+
+/**
+ * GET /api/portfolio/:id/revisions
+ * List saved revisions, newest first, with what changed in each
+ */
+router.get('/:id/revisions', requireOwner, getRevisions);
+
+/**
+ * GET /api/portfolio/:id/revisions/diff?from=&to=
+ * Field-level differences between two revisions, or a revision and the current portfolio
+ */
+router.get('/:id/revisions/diff', requireOwner, diffRevisions);
+
+/**
+ * PUT /api/portfolio/:id/revisions/settings
+ * Set how many revisions are kept; body { limit }
+ */
+router.put('/:id/revisions/settings', requireOwner, updateRevisionSettings);
+
+/**
+ * POST /api/portfolio/:id/revisions/:number/restore
+ * Restore an earlier revision, recorded as a new revision
+ */
+router.post('/:id/revisions/:number/restore', requireOwner, restoreRevision);
+
+/**
+ * GET /api/portfolio/:id/preview
+ * Preview the exported site in the browser; ?theme=, ?template=, ?primary=, ?secondary=
+ * and ?accent= try other settings without saving them
+ */
+router.get('/:id/preview', requireViewer, previewPortfolio);
+
+/**
+ * GET /api/portfolio/:id/preview/styles.css
+ * Stylesheet of the preview
+ */
+router.get('/:id/preview/styles.css', requireViewer, previewStyles);
+
+/**
+ * GET /api/portfolio/:id/preview/*
+ * Fonts, images, favicon and template assets of the preview
  */
-router.get('/:id/export', exportPortfolio);
+router.get('/:id/preview/*asset', requireViewer, previewAsset);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getSessionPortfolios } = require('../controllers/sessionController');
+const { requireSession } = require('../middleware/auth');
+
+/**
+ * GET /api/session/:sessionId/portfolios
+ * Summaries of the session's portfolios, for a returning user; needs the session token
+ */
+router.get('/:sessionId/portfolios', requireSession, getSessionPortfolios);
+
+module.exports = router;
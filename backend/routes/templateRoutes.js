@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const templateUpload = require('../config/templateUpload');
+const { uploadTemplate, listTemplates, getTemplate } = require('../controllers/templateController');
+const { requireSession } = require('../middleware/auth');
+
+/**
+ * POST /api/templates
+ * Registers a custom template package for the session of the token
+ * Expects: multipart/form-data with 'template' ZIP file field
+ */
+router.post('/', requireSession, templateUpload.single('template'), uploadTemplate);
+
+/**
+ * GET /api/templates
+ * List the session's templates
+ */
+router.get('/', requireSession, listTemplates);
+
+/**
+ * GET /api/templates/:name
+ * Template details and file list
+ */
+router.get('/:name', requireSession, getTemplate);
+
+module.exports = router;
@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../config/upload');
-const { uploadResume } = require('../controllers/uploadController');
+const { uploadResume, importJSONResume } = require('../controllers/uploadController');
+const { identifySession } = require('../middleware/auth');
 
 /**
  * POST /api/upload
  * Handles resume file upload and parsing
  * Expects: multipart/form-data with 'resume' file field
+ * Send the session token (Authorization: Bearer) to add the portfolio to that session
  */
-router.post('/', upload.single('resume'), uploadResume);
+router.post('/', identifySession, upload.single('resume'), uploadResume);
+
+/**
+ * POST /api/upload/jsonresume
+ * Creates a portfolio from a JSON Resume document (https://jsonresume.org)
+ * Expects: application/json resume.json body
+ */
+router.post('/jsonresume', identifySession, importJSONResume);
 
 module.exports = router;
@@ -8,6 +8,9 @@ const errorHandler = require('./middleware/errorHandler');
 // Import routes
 const uploadRoutes = require('./routes/uploadRoutes');
 const portfolioRoutes = require('./routes/portfolioRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const parseRoutes = require('./routes/parseRoutes');
+const templateRoutes = require('./routes/templateRoutes');
 
 // Initialize Express app
 const app = express();
@@ -19,7 +22,9 @@ connectDB();
 app.use(helmet()); // Security headers
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-    credentials: true
+    credentials: true,
+    // Refreshed session tokens, see middleware/auth
+    exposedHeaders: ['X-Session-Token', 'X-Session-Token-Expires-At']
 }));
 
 // Log request size before body parsing
@@ -30,7 +35,7 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', type: ['application/json', 'application/json-patch+json'] }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 // Request logging
@@ -42,6 +47,9 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/upload', uploadRoutes);
 app.use('/api/portfolio', portfolioRoutes);
+app.use('/api/session', sessionRoutes);
+app.use('/api/parse', parseRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -55,9 +63,24 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             upload: 'POST /api/upload',
+            importJSONResume: 'POST /api/upload/jsonresume',
+            previewParse: 'POST /api/parse/preview',
             getPortfolio: 'GET /api/portfolio/:id',
             updatePortfolio: 'PUT /api/portfolio/:id',
-            exportPortfolio: 'GET /api/portfolio/:id/export'
+            patchPortfolio: 'PATCH /api/portfolio/:id',
+            deletePortfolio: 'DELETE /api/portfolio/:id',
+            duplicatePortfolio: 'POST /api/portfolio/:id/duplicate',
+            exportPortfolio: 'GET /api/portfolio/:id/export?format=zip|jsonresume|pdf&target=static|hugo|jekyll|astro&deploy=netlify,vercel,github-pages&domain=',
+            previewPortfolio: 'GET /api/portfolio/:id/preview/?theme=&template=&primary=&secondary=&accent=',
+            sharePortfolio: 'POST /api/portfolio/:id/share',
+            listRevisions: 'GET /api/portfolio/:id/revisions',
+            diffRevisions: 'GET /api/portfolio/:id/revisions/diff?from=&to=',
+            restoreRevision: 'POST /api/portfolio/:id/revisions/:number/restore',
+            revisionSettings: 'PUT /api/portfolio/:id/revisions/settings',
+            sessionPortfolios: 'GET /api/session/:sessionId/portfolios',
+            uploadTemplate: 'POST /api/templates',
+            listTemplates: 'GET /api/templates',
+            getTemplate: 'GET /api/templates/:name'
         }
     });
 });
@@ -0,0 +1,116 @@
+/**
+ * LLM provider adapters for AI refinement
+ * Every provider exposes the same interface:
+ *   complete({ system, prompt, signal }) => Promise<string>
+ * so the refinement stage does not depend on any one vendor's API.
+ */
+
+const providers = new Map();
+
+/**
+ * Registers a provider factory under a name
+ * @param {string} name - Value of AI_PROVIDER that selects this provider
+ * @param {Function} factory - (config) => ({ name, complete })
+ */
+function registerProvider(name, factory) {
+    providers.set(name, factory);
+}
+
+/**
+ * Creates a provider instance for the given configuration
+ * @param {Object} config - { provider, baseUrl, apiKey, model }
+ * @returns {{name: string, complete: Function}} Provider instance
+ */
+function createProvider(config) {
+    const factory = providers.get(config.provider);
+    if (!factory) {
+        throw new Error(`Unknown AI provider: ${config.provider}`);
+    }
+    return factory(config);
+}
+
+/**
+ * Sends a JSON POST request and returns the parsed body
+ */
+async function postJSON(url, headers, body, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`AI provider responded with ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * OpenAI-compatible chat completions API
+ * Also works with any server implementing /chat/completions (local models, mock servers)
+ */
+registerProvider('openai', config => {
+    const baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const model = config.model || 'gpt-4o-mini';
+
+    return {
+        name: 'openai',
+        async complete({ system, prompt, signal }) {
+            const data = await postJSON(`${baseUrl}/chat/completions`, {
+                ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` })
+            }, {
+                model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ]
+            }, signal);
+
+            const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+            if (typeof content !== 'string') {
+                throw new Error('AI provider returned no message content');
+            }
+            return content;
+        }
+    };
+});
+
+/**
+ * Anthropic Messages API
+ */
+registerProvider('anthropic', config => {
+    const baseUrl = (config.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+    const model = config.model || 'claude-3-5-haiku-latest';
+
+    return {
+        name: 'anthropic',
+        async complete({ system, prompt, signal }) {
+            const data = await postJSON(`${baseUrl}/v1/messages`, {
+                'anthropic-version': '2023-06-01',
+                ...(config.apiKey && { 'x-api-key': config.apiKey })
+            }, {
+                model,
+                max_tokens: 4096,
+                temperature: 0,
+                system,
+                messages: [{ role: 'user', content: prompt }]
+            }, signal);
+
+            const block = Array.isArray(data.content) && data.content.find(part => part.type === 'text');
+            if (!block) {
+                throw new Error('AI provider returned no text content');
+            }
+            return block.text;
+        }
+    };
+});
+
+module.exports = {
+    registerProvider,
+    createProvider
+};
@@ -0,0 +1,203 @@
+const Portfolio = require('../models/Portfolio');
+const { createProvider } = require('./aiProviders');
+const { changedPaths } = require('../utils/objectDiff');
+
+/**
+ * Optional AI refinement stage
+ * Sends the rule-based portfolio and the resume text to the configured LLM provider,
+ * validates the answer against the Portfolio schema and falls back to the
+ * rule-based result on any error or timeout.
+ */
+
+// Fields the AI may correct or fill; theme and customizations stay user-controlled
+const REFINABLE_FIELDS = [
+    'name', 'headline', 'summary', 'skills', 'experience', 'projects', 'education',
+    'certifications', 'awards', 'publications', 'languages', 'volunteer', 'links'
+];
+
+// Keeps prompts within typical context limits for long resumes
+const MAX_RESUME_CHARS = 15000;
+
+const SYSTEM_PROMPT = `You correct resume data extracted by a rule-based parser.
+You receive the resume text and the parser's JSON. Fix misfiled or wrongly split values,
+fill fields that are empty but clearly present in the text, and never invent information.
+Reply with a single JSON object using exactly the same keys and structure as the input JSON.
+Dates (startDate, endDate) are ISO 8601 strings or null. Do not add commentary.`;
+
+/**
+ * Reads the refinement configuration from the environment
+ * Refinement is enabled when an API key or a custom base URL is set
+ * @returns {Object|null} Provider configuration, or null when AI is not configured
+ */
+function getRefinementConfig() {
+    const apiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY || '';
+    const baseUrl = process.env.AI_BASE_URL || '';
+
+    if (!apiKey && !baseUrl) return null;
+
+    return {
+        provider: process.env.AI_PROVIDER || 'openai',
+        baseUrl,
+        apiKey,
+        model: process.env.AI_MODEL || '',
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 20000
+    };
+}
+
+/**
+ * Extracts the JSON object from a model reply, tolerating code fences
+ */
+function parseReply(reply) {
+    const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = (fenced ? fenced[1] : reply).trim();
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+
+    if (start < 0 || end < start) {
+        throw new Error('AI reply did not contain a JSON object');
+    }
+
+    return JSON.parse(body.slice(start, end + 1));
+}
+
+/**
+ * Checks the shape of refined data before it is trusted
+ * Mongoose would silently cast or drop many malformed values, so arrays and
+ * strings are checked here and the schema's own validators run afterwards.
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validateRefinedData(data) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name must be a non-empty string');
+    }
+
+    ['headline', 'summary'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+
+    REFINABLE_FIELDS
+        .filter(field => !['name', 'headline', 'summary', 'links'].includes(field))
+        .forEach(field => {
+            if (!Array.isArray(data[field])) {
+                errors.push(`${field} must be an array`);
+            } else if (!data[field].every(isObject)) {
+                errors.push(`${field} must contain objects`);
+            }
+        });
+
+    if (Array.isArray(data.skills) && !data.skills.every(group => isObject(group) &&
+        Array.isArray(group.items) && group.items.every(item => typeof item === 'string'))) {
+        errors.push('skills items must be arrays of strings');
+    }
+
+    if (!isObject(data.links)) {
+        errors.push('links must be an object');
+    }
+
+    if (errors.length === 0) {
+        const validationError = new Portfolio({ sessionId: 'refinement', ...data }).validateSync();
+        if (validationError) {
+            errors.push(...Object.values(validationError.errors).map(err => err.message));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Copies the refinable fields of portfolio data
+ */
+function pickRefinable(data) {
+    const picked = {};
+    REFINABLE_FIELDS.forEach(field => { picked[field] = data[field]; });
+    return picked;
+}
+
+/**
+ * Merges the provider's answer over the rule-based data
+ * Only refinable fields are taken; missing fields keep their rule-based value
+ */
+function mergeRefinement(portfolioData, refined) {
+    const merged = { ...portfolioData };
+
+    REFINABLE_FIELDS.forEach(field => {
+        if (refined[field] === undefined) return;
+        merged[field] = field === 'links'
+            ? { ...portfolioData.links, ...refined.links }
+            : refined[field];
+    });
+
+    return merged;
+}
+
+/**
+ * Refines rule-based portfolio data with the configured AI provider
+ * Never throws: on any failure the rule-based data is returned unchanged.
+ * @param {Object} portfolioData - Output of createPortfolioSchema
+ * @param {string} rawText - Normalized resume text
+ * @param {Object} config - Provider configuration, defaults to getRefinementConfig()
+ * @returns {Promise<{data: Object, metadata: Object}>} Portfolio data and refinement metadata
+ */
+async function refinePortfolio(portfolioData, rawText, config = getRefinementConfig()) {
+    if (!config) {
+        return {
+            data: portfolioData,
+            metadata: { applied: false, error: 'AI refinement is not configured' }
+        };
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    try {
+        const provider = createProvider(config);
+
+        const current = pickRefinable(portfolioData);
+
+        const prompt = `Resume text:\n"""\n${rawText.slice(0, MAX_RESUME_CHARS)}\n"""\n\n` +
+            `Parser JSON:\n${JSON.stringify(current)}`;
+
+        const reply = await provider.complete({ system: SYSTEM_PROMPT, prompt, signal: controller.signal });
+        const refined = mergeRefinement(portfolioData, parseReply(reply));
+
+        const errors = validateRefinedData(refined);
+        if (errors.length > 0) {
+            throw new Error(`AI reply failed validation: ${errors.slice(0, 3).join('; ')}`);
+        }
+
+        return {
+            data: refined,
+            metadata: {
+                applied: true,
+                provider: provider.name,
+                changedFields: changedPaths(current, pickRefinable(refined))
+            }
+        };
+
+    } catch (error) {
+        const message = error.name === 'AbortError'
+            ? `AI refinement timed out after ${config.timeoutMs}ms`
+            : error.message;
+        console.warn(`⚠️  AI refinement skipped: ${message}`);
+
+        return {
+            data: portfolioData,
+            metadata: { applied: false, provider: config.provider, error: message }
+        };
+
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    refinePortfolio,
+    getRefinementConfig,
+    validateRefinedData,
+    REFINABLE_FIELDS
+};
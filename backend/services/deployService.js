@@ -0,0 +1,192 @@
+/**
+ * Deployment presets for the static site export
+ * Each preset adds the configuration its host reads from the repository or upload,
+ * so the unzipped folder deploys as it is. Every preset also gets a 404.html, and a
+ * CNAME when a custom domain is given.
+ */
+
+const { generateNotFoundHTML } = require('./themes');
+const { siteUrl } = require('./themes/seo');
+
+// Hostnames of the hosts' own subdomains, which are not custom domains
+const PLATFORM_HOSTS = /\.(github\.io|netlify\.app|vercel\.app)$/;
+
+const HOSTNAME = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// The exported themes load styles, fonts and images from the site itself; project
+// images may also be linked from other https sites
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "img-src 'self' https:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+/**
+ * Response headers for every page of the site
+ * Custom templates may load resources the policy would block, so they get no CSP.
+ * There is no Strict-Transport-Security: on a custom domain it would pin HTTPS for
+ * the domain's owner, who has to opt in to that themselves.
+ */
+function securityHeaders(template) {
+    return {
+        'X-Frame-Options': 'DENY',
+        'X-Content-Type-Options': 'nosniff',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+        ...(template ? {} : { 'Content-Security-Policy': CONTENT_SECURITY_POLICY })
+    };
+}
+
+function netlifyConfig(template) {
+    const headers = Object.entries(securityHeaders(template))
+        .map(([name, value]) => `    ${name} = ${JSON.stringify(value)}`)
+        .join('\n');
+
+    return `[build]
+  publish = "."
+
+[[headers]]
+  for = "/*"
+  [headers.values]
+${headers}
+`;
+}
+
+function vercelConfig(template) {
+    const config = {
+        headers: [{
+            source: '/(.*)',
+            headers: Object.entries(securityHeaders(template)).map(([key, value]) => ({ key, value }))
+        }]
+    };
+
+    return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+const githubPagesWorkflow = `name: Deploy to GitHub Pages
+
+on:
+  push:
+    branches: [main]
+  workflow_dispatch:
+
+permissions:
+  contents: read
+  pages: write
+  id-token: write
+
+concurrency:
+  group: pages
+  cancel-in-progress: false
+
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    environment:
+      name: github-pages
+      url: \${{ steps.deployment.outputs.page_url }}
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/configure-pages@v5
+      - uses: actions/upload-pages-artifact@v3
+        with:
+          path: .
+      - id: deployment
+        uses: actions/deploy-pages@v4
+`;
+
+const PRESETS = {
+    netlify: {
+        label: 'Netlify',
+        files: template => [{ name: 'netlify.toml', content: netlifyConfig(template) }],
+        steps: [
+            'Drag and drop this folder onto [app.netlify.com/drop](https://app.netlify.com/drop), or push it to a repository and import it in Netlify',
+            '`netlify.toml` publishes the folder as it is and adds security headers to every page'
+        ],
+        domainStep: 'Add the domain under Domain management and point its DNS at Netlify'
+    },
+    vercel: {
+        label: 'Vercel',
+        files: template => [{ name: 'vercel.json', content: vercelConfig(template) }],
+        steps: [
+            'Run `npx vercel --prod` in this folder, or push it to a repository and import it in Vercel',
+            '`vercel.json` adds security headers to every page'
+        ],
+        domainStep: 'Add the domain under Project Settings > Domains and point its DNS at Vercel'
+    },
+    'github-pages': {
+        label: 'GitHub Pages',
+        files: () => [{ name: '.github/workflows/deploy.yml', content: githubPagesWorkflow }],
+        steps: [
+            'Push this folder to the `main` branch of a GitHub repository',
+            'Once, under Settings > Pages, set Source to "GitHub Actions"; `.github/workflows/deploy.yml` then publishes every push',
+            'GitHub Pages cannot send custom headers, so the security headers of the other presets do not apply'
+        ],
+        domainStep: 'Enter the domain under Settings > Pages > Custom domain (sites published by a workflow do not read `CNAME`) and point its DNS at GitHub'
+    }
+};
+
+/**
+ * Hostname from the domain query parameter, lowercased
+ * @returns {string|null} null when the value is not a hostname
+ */
+function normalizeDomain(value) {
+    const domain = String(value).trim().toLowerCase().replace(/\.$/, '');
+    return HOSTNAME.test(domain) ? domain : null;
+}
+
+/**
+ * Custom domain for CNAME when none is requested: the host of customizations.siteUrl,
+ * unless that is one of the hosts' own subdomains
+ */
+function customDomain(portfolio) {
+    const url = siteUrl(portfolio);
+    const host = url ? new URL(url).hostname : null;
+    return host && HOSTNAME.test(host) && !PLATFORM_HOSTS.test(host) ? host : null;
+}
+
+/**
+ * Deployment files of the chosen presets
+ * @param {Object} portfolio - Portfolio document
+ * @param {Object|null} template - Custom template the site is exported with
+ * @param {Array<string>} presets - Names from DEPLOY_PRESETS
+ * @param {string|null} domain - Custom domain for CNAME
+ * @returns {Array<{name: string, content: string}>} ZIP entries
+ */
+function deployFiles(portfolio, template, presets, domain) {
+    return [
+        ...presets.flatMap(name => PRESETS[name].files(template)),
+        { name: '404.html', content: generateNotFoundHTML(portfolio, template) },
+        ...(domain ? [{ name: 'CNAME', content: `${domain}\n` }] : [])
+    ];
+}
+
+/**
+ * README section with the remaining steps of each chosen preset
+ */
+function deployInstructions(presets, domain) {
+    const sections = presets.map(name => {
+        const preset = PRESETS[name];
+        const steps = [...preset.steps, ...(domain ? [preset.domainStep.replace('the domain', `\`${domain}\``)] : [])];
+        return `### ${preset.label}\n\n${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`;
+    });
+
+    return `## Included Deployment Configuration
+
+This folder is ready to deploy${domain ? ` at \`${domain}\` (see \`CNAME\`)` : ''}. \`404.html\` is shown for unknown addresses.
+
+${sections.join('\n\n')}
+
+`;
+}
+
+module.exports = {
+    deployFiles,
+    deployInstructions,
+    normalizeDomain,
+    customDomain,
+    DEPLOY_PRESETS: Object.keys(PRESETS)
+};
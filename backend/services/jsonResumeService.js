@@ -0,0 +1,538 @@
+const { createPortfolioSchema } = require('../parsers/normalizer');
+const { findDateRange } = require('../parsers/dateParser');
+
+/**
+ * Converts between JSON Resume (https://jsonresume.org/schema) and portfolio data
+ * Import maps resume.json onto the parser's detected-sections shape so it goes
+ * through the same normalization as uploaded resumes; export maps it back.
+ */
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Top-level keys of which at least one must be present in a resume.json
+const RESUME_SECTIONS = [
+    'basics', 'work', 'volunteer', 'education', 'awards', 'certificates',
+    'publications', 'skills', 'languages', 'projects'
+];
+
+// Fields of each section's entries that must be strings or lists of strings when present
+const SECTION_FIELDS = {
+    basics: { text: ['name', 'label', 'image', 'email', 'phone', 'url', 'summary'] },
+    location: { text: ['address', 'postalCode', 'city', 'countryCode', 'region'] },
+    profiles: { text: ['network', 'username', 'url'] },
+    work: { text: ['name', 'position', 'url', 'startDate', 'endDate', 'summary'], lists: ['highlights'] },
+    volunteer: { text: ['organization', 'position', 'url', 'startDate', 'endDate', 'summary'], lists: ['highlights'] },
+    education: { text: ['institution', 'url', 'area', 'studyType', 'startDate', 'endDate', 'score'], lists: ['courses'] },
+    awards: { text: ['title', 'date', 'awarder', 'summary'] },
+    certificates: { text: ['name', 'date', 'url', 'issuer'] },
+    publications: { text: ['name', 'publisher', 'releaseDate', 'url', 'summary'] },
+    skills: { text: ['name', 'level'], lists: ['keywords'] },
+    languages: { text: ['language', 'fluency'] },
+    projects: { text: ['name', 'description', 'startDate', 'endDate', 'url'], lists: ['highlights', 'keywords'] }
+};
+
+// Networks whose profiles portfolios keep as links, and their profile URLs for a username
+const PROFILE_LINKS = {
+    github: { network: 'GitHub', url: username => `https://github.com/${username}` },
+    linkedin: { network: 'LinkedIn', url: username => `https://www.linkedin.com/in/${username}` }
+};
+
+// Complete ISO 8601 dates as JSON Resume writes them: "2020", "2020-03" or "2020-03-15"
+const ISO_DATE = /^\d{4}(?:-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\d|3[01]))?)?$/;
+
+/**
+ * Parses a JSON Resume ISO 8601 date ("2020", "2020-03" or "2020-03-15")
+ * Like dateParser, a bare year starts in January and ends in December, and a date
+ * without a day is the first of its month.
+ * @param {string} value - Date string
+ * @param {boolean} isEnd - Whether the date ends a range
+ * @returns {{date: Date, hasMonth: boolean}|null}
+ */
+function parseResumeDate(value, isEnd = false) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+    if (!match) return null;
+
+    const month = match[2] ? parseInt(match[2], 10) : (isEnd ? 12 : 1);
+    const day = match[3] ? parseInt(match[3], 10) : 1;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    return {
+        date: new Date(Date.UTC(parseInt(match[1], 10), month - 1, day)),
+        hasMonth: !!match[2]
+    };
+}
+
+/**
+ * Formats a parsed date the way resumes write it ("Mar 2020" or "2020")
+ */
+function displayDate({ date, hasMonth }) {
+    const year = date.getUTCFullYear();
+    return hasMonth ? `${MONTH_NAMES[date.getUTCMonth()]} ${year}` : String(year);
+}
+
+/**
+ * Converts JSON Resume start/end dates into the parser's date fields
+ * A missing end date on a dated entry means the entry is current.
+ */
+function importDates(entry) {
+    const start = parseResumeDate(entry.startDate);
+    const end = parseResumeDate(entry.endDate, true);
+    const isCurrent = !!start && !end;
+
+    let duration = '';
+    if (start) {
+        duration = `${displayDate(start)} - ${end ? displayDate(end) : 'Present'}`;
+    } else if (end) {
+        duration = displayDate(end);
+    }
+
+    return {
+        duration,
+        startDate: start ? start.date : null,
+        endDate: end ? end.date : null,
+        isCurrent
+    };
+}
+
+/**
+ * Formats a date as a JSON Resume date ("2020-03-15", or "2020" when only the year is known)
+ * The first of a month is written as the month ("2020-03"), the day dates without one get.
+ */
+function exportDate(value, yearOnly = false) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return undefined;
+    if (yearOnly) return String(date.getUTCFullYear());
+
+    const month = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    return date.getUTCDate() === 1 ? month : `${month}-${String(date.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a free-text date ("Mar 2021", "2020") into a JSON Resume date
+ * Text that is not a date is left out, since the schema only allows ISO 8601 dates.
+ */
+function exportTextDate(text) {
+    const value = typeof text === 'string' ? text.trim() : '';
+    if (ISO_DATE.test(value)) return value;
+
+    const range = findDateRange(value);
+    return range && range.startDate ? exportDate(range.startDate, isYearOnly(value)) : undefined;
+}
+
+/**
+ * Checks whether a duration is written with years only ("2015 - 2016", "2019 - Present")
+ */
+function isYearOnly(duration) {
+    if (!duration) return false;
+    const dates = duration.replace(/\b(present|current|now|today|ongoing|to|until)\b/gi, '');
+    return !/[a-z]{3}|\d{1,2}\//i.test(dates);
+}
+
+/**
+ * Builds JSON Resume start/end dates from an entry
+ * Falls back to the free-text duration for entries edited without structured dates.
+ * Durations written with years only ("2015 - 2016") are exported without months.
+ */
+function exportDates(entry, yearOnly = isYearOnly(entry.duration)) {
+    let { startDate, endDate } = entry;
+
+    if (!startDate && !endDate && entry.duration) {
+        const range = findDateRange(entry.duration);
+        if (range) {
+            startDate = range.startDate;
+            endDate = range.isCurrent ? null : range.endDate;
+        }
+    }
+
+    return {
+        startDate: exportDate(startDate, yearOnly),
+        endDate: entry.isCurrent ? undefined : exportDate(endDate, yearOnly)
+    };
+}
+
+/**
+ * Drops undefined, null and empty values so exported JSON stays schema-valid
+ */
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => (
+        value !== undefined && value !== null && value !== '' &&
+        !(Array.isArray(value) && value.length === 0)
+    )));
+}
+
+const asArray = value => (Array.isArray(value) ? value : []);
+const asText = value => (typeof value === 'string' ? value.trim() : '');
+const asTextList = value => asArray(value).filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+
+/**
+ * Checks whether a social profile is on a network, by network name or URL host
+ */
+function isNetwork(profile, network) {
+    return asText(profile.network).toLowerCase() === network ||
+        asText(profile.url).toLowerCase().includes(`${network}.com`);
+}
+
+/**
+ * Address of a GitHub or LinkedIn profile, built from the username when it has no URL
+ */
+function profileLink(profile, network) {
+    const username = asText(profile.username);
+    return asText(profile.url) || (username ? PROFILE_LINKS[network].url(username) : null);
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks the fields of one entry against SECTION_FIELDS
+ * @returns {string|null} Error message naming the field's path, or null when valid
+ */
+function validateEntry(entry, path, { text = [], lists = [] }) {
+    if (!isObject(entry)) return `${path} must be an object`;
+
+    const badText = text.find(field => entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string');
+    if (badText) return `${path}.${badText} must be a string`;
+
+    const badList = lists.find(field => entry[field] !== undefined && entry[field] !== null &&
+        !(Array.isArray(entry[field]) && entry[field].every(item => typeof item === 'string')));
+    return badList ? `${path}.${badList} must be a list of strings` : null;
+}
+
+/**
+ * Checks that a request body looks like a JSON Resume document
+ * @returns {string|null} Error message naming the invalid path, or null when valid
+ */
+function validateJSONResume(resume) {
+    if (!isObject(resume)) {
+        return 'JSON Resume must be an object';
+    }
+
+    if (!RESUME_SECTIONS.some(section => resume[section] !== undefined)) {
+        return `JSON Resume must contain at least one of: ${RESUME_SECTIONS.join(', ')}`;
+    }
+
+    if (resume.basics !== undefined) {
+        const basicsError = validateEntry(resume.basics, 'basics', SECTION_FIELDS.basics);
+        if (basicsError) return basicsError;
+
+        if (resume.basics.location !== undefined) {
+            const locationError = validateEntry(resume.basics.location, 'basics.location', SECTION_FIELDS.location);
+            if (locationError) return locationError;
+        }
+
+        const { profiles } = resume.basics;
+        if (profiles !== undefined && !Array.isArray(profiles)) return 'basics.profiles must be an array';
+
+        const profileError = asArray(profiles)
+            .map((profile, index) => validateEntry(profile, `basics.profiles[${index}]`, SECTION_FIELDS.profiles))
+            .find(Boolean);
+        if (profileError) return profileError;
+    }
+
+    for (const section of RESUME_SECTIONS.filter(name => name !== 'basics' && resume[name] !== undefined)) {
+        if (!Array.isArray(resume[section])) return `${section} must be an array`;
+
+        const entryError = resume[section]
+            .map((entry, index) => validateEntry(entry, `${section}[${index}]`, SECTION_FIELDS[section]))
+            .find(Boolean);
+        if (entryError) return entryError;
+    }
+
+    return null;
+}
+
+/**
+ * Maps a JSON Resume document onto the detected-sections shape of detectSections
+ */
+function toDetectedSections(resume) {
+    const basics = resume.basics || {};
+    const profiles = asArray(basics.profiles);
+    const profileUrl = network => {
+        const profile = profiles.find(candidate => isNetwork(candidate, network));
+        return profile ? profileLink(profile, network) : null;
+    };
+
+    return {
+        name: asText(basics.name) || null,
+        contact: {
+            email: asText(basics.email) || null,
+            phone: asText(basics.phone) || null
+        },
+        links: {
+            github: profileUrl('github'),
+            linkedin: profileUrl('linkedin'),
+            website: asText(basics.url) || null
+        },
+        summary: asText(basics.summary) || null,
+        // Skill groups are kept as the resume names them, see fromJSONResume
+        skills: [],
+        experience: asArray(resume.work).map(job => ({
+            role: asText(job.position),
+            company: asText(job.name),
+            ...importDates(job),
+            description: asText(job.summary),
+            highlights: asTextList(job.highlights)
+        })),
+        projects: asArray(resume.projects).map(project => ({
+            title: asText(project.name),
+            tech: asTextList(project.keywords),
+            ...importDates(project),
+            description: asText(project.description),
+            highlights: asTextList(project.highlights),
+            link: asText(project.url) || null
+        })),
+        education: asArray(resume.education).map(edu => {
+            const dates = importDates(edu);
+            const studyType = asText(edu.studyType);
+            const area = asText(edu.area);
+            return {
+                degree: studyType && area ? `${studyType} in ${area}` : studyType || area,
+                institution: asText(edu.institution),
+                year: dates.endDate ? String(dates.endDate.getUTCFullYear()) : '',
+                ...dates,
+                details: [
+                    asText(edu.score) && `Score: ${asText(edu.score)}`,
+                    asTextList(edu.courses).length > 0 && `Courses: ${asTextList(edu.courses).join(', ')}`
+                ].filter(Boolean).join('\n')
+            };
+        }),
+        certifications: asArray(resume.certificates).map(cert => ({
+            name: asText(cert.name),
+            issuer: asText(cert.issuer),
+            date: asText(cert.date),
+            link: asText(cert.url) || null
+        })),
+        awards: asArray(resume.awards).map(award => ({
+            title: asText(award.title),
+            issuer: asText(award.awarder),
+            date: asText(award.date),
+            description: asText(award.summary)
+        })),
+        publications: asArray(resume.publications).map(pub => ({
+            title: asText(pub.name),
+            publisher: asText(pub.publisher),
+            date: asText(pub.releaseDate),
+            link: asText(pub.url) || null
+        })),
+        languages: asArray(resume.languages).map(lang => ({
+            language: asText(lang.language),
+            proficiency: asText(lang.fluency)
+        })),
+        volunteer: asArray(resume.volunteer).map(vol => ({
+            role: asText(vol.position),
+            organization: asText(vol.organization),
+            ...importDates(vol),
+            description: asText(vol.summary),
+            highlights: asTextList(vol.highlights)
+        })),
+        confidence: null
+    };
+}
+
+/**
+ * Creates portfolio data from a JSON Resume document
+ * Skill groups, profiles and the basics label are kept as they are instead of
+ * being re-derived, since the author already chose them; toJSONResume gives them back.
+ * @param {Object} resume - Parsed resume.json
+ * @returns {Object} Portfolio data in the shape of createPortfolioSchema, without
+ * the parser's confidence scores
+ */
+function fromJSONResume(resume) {
+    const { fieldConfidence, ...portfolioData } = createPortfolioSchema(toDetectedSections(resume));
+    const basics = resume.basics || {};
+
+    if (asText(basics.label)) {
+        portfolioData.headline = asText(basics.label);
+    }
+
+    portfolioData.skills = asArray(resume.skills).map(skill => ({
+        category: asText(skill.name),
+        items: asTextList(skill.keywords)
+    }));
+
+    portfolioData.links.profiles = asArray(basics.profiles).map(profile => compact({
+        network: asText(profile.network),
+        username: asText(profile.username),
+        url: asText(profile.url)
+    }));
+
+    const location = compact(Object.fromEntries(SECTION_FIELDS.location.text
+        .map(field => [field, asText((basics.location || {})[field])])));
+    if (Object.keys(location).length > 0) {
+        portfolioData.location = location;
+    }
+
+    if (/^https?:\/\//i.test(asText(basics.image))) {
+        portfolioData.profilePicture = asText(basics.image);
+    }
+
+    return portfolioData;
+}
+
+/**
+ * Splits a degree written by fromJSONResume back into study type and area
+ */
+function splitDegree(degree = '') {
+    const match = degree.match(/^(.+?)\s+in\s+(.+)$/i);
+    return match ? { studyType: match[1], area: match[2] } : { studyType: degree };
+}
+
+/**
+ * Splits education details written by fromJSONResume back into score and courses
+ * Lines that are neither are kept as courses so no text is lost
+ */
+function splitEducationDetails(details = '') {
+    const lines = details.split('\n').map(line => line.trim()).filter(Boolean);
+    const result = { courses: [] };
+
+    lines.forEach(line => {
+        const score = line.match(/^score:\s*(.+)$/i);
+        const courses = line.match(/^courses:\s*(.+)$/i);
+        if (score) {
+            result.score = score[1];
+        } else if (courses) {
+            result.courses.push(...courses[1].split(/,\s*/));
+        } else {
+            result.courses.push(line);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Builds JSON Resume dates for education, where only a graduation year may be known
+ * Education has no duration text, so January-December ranges are treated as years only
+ */
+function exportEducationDates(edu) {
+    if (edu.startDate || edu.endDate || edu.isCurrent) {
+        const isFirstOf = (value, month) => new Date(value).getUTCMonth() === month && new Date(value).getUTCDate() === 1;
+        const startsInJanuary = !edu.startDate || isFirstOf(edu.startDate, 0);
+        const endsInDecember = !edu.endDate || isFirstOf(edu.endDate, 11);
+        return exportDates(edu, startsInJanuary && endsInDecember);
+    }
+    const year = (edu.year || '').match(/\b(19|20)\d{2}\b/);
+    return { endDate: year ? year[0] : undefined };
+}
+
+/**
+ * Builds basics.profiles from the stored profiles and the GitHub and LinkedIn links
+ * Those two are edited as links, so their profile is kept while it still points to
+ * the link, rewritten when the link changed and dropped when it was removed.
+ */
+function exportProfiles(links) {
+    const stored = asArray(links.profiles);
+    const linkProfile = (network, url) => ({ network, username: url.replace(/\/+$/, '').split('/').pop(), url });
+
+    const profiles = stored.flatMap(profile => {
+        const fields = compact({ network: profile.network, username: profile.username, url: profile.url });
+        const network = Object.keys(PROFILE_LINKS).find(name => isNetwork(profile, name));
+        if (!network) return [fields];
+        if (!links[network]) return [];
+        return [profileLink(profile, network) === links[network]
+            ? fields
+            : linkProfile(fields.network || PROFILE_LINKS[network].network, links[network])];
+    });
+
+    Object.entries(PROFILE_LINKS).forEach(([network, { network: name }]) => {
+        if (links[network] && !stored.some(profile => isNetwork(profile, network))) {
+            profiles.push(linkProfile(name, links[network]));
+        }
+    });
+
+    return profiles;
+}
+
+/**
+ * Converts a portfolio into a JSON Resume document
+ * @param {Object} portfolio - Portfolio document or plain object
+ * @returns {Object} resume.json content
+ */
+function toJSONResume(portfolio) {
+    const links = portfolio.links || {};
+    const location = compact(Object.fromEntries(SECTION_FIELDS.location.text
+        .map(field => [field, (portfolio.location || {})[field]])));
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: compact({
+            name: portfolio.name,
+            label: portfolio.headline,
+            image: portfolio.profilePicture && /^https?:\/\//i.test(portfolio.profilePicture)
+                ? portfolio.profilePicture
+                : undefined,
+            email: links.email,
+            phone: links.phone,
+            url: links.website,
+            summary: portfolio.summary,
+            location: Object.keys(location).length > 0 ? location : undefined,
+            profiles: exportProfiles(links)
+        }),
+        work: asArray(portfolio.experience).map(exp => compact({
+            name: exp.company,
+            position: exp.role,
+            ...exportDates(exp),
+            summary: exp.description,
+            highlights: asArray(exp.highlights)
+        })),
+        volunteer: asArray(portfolio.volunteer).map(vol => compact({
+            organization: vol.organization,
+            position: vol.role,
+            ...exportDates(vol),
+            summary: vol.description,
+            highlights: asArray(vol.highlights)
+        })),
+        education: asArray(portfolio.education).map(edu => compact({
+            institution: edu.institution,
+            ...splitDegree(edu.degree),
+            ...exportEducationDates(edu),
+            ...splitEducationDetails(edu.details)
+        })),
+        awards: asArray(portfolio.awards).map(award => compact({
+            title: award.title,
+            date: exportTextDate(award.date),
+            awarder: award.issuer,
+            summary: award.description
+        })),
+        certificates: asArray(portfolio.certifications).map(cert => compact({
+            name: cert.name,
+            date: exportTextDate(cert.date),
+            issuer: cert.issuer,
+            url: cert.link
+        })),
+        publications: asArray(portfolio.publications).map(pub => compact({
+            name: pub.title,
+            publisher: pub.publisher,
+            releaseDate: exportTextDate(pub.date),
+            url: pub.link
+        })),
+        skills: asArray(portfolio.skills).map(group => compact({
+            name: group.category,
+            keywords: asArray(group.items)
+        })),
+        languages: asArray(portfolio.languages).map(lang => compact({
+            language: lang.language,
+            fluency: lang.proficiency
+        })),
+        projects: asArray(portfolio.projects).map(project => compact({
+            name: project.title,
+            description: project.description,
+            highlights: asArray(project.highlights),
+            keywords: asArray(project.tech),
+            ...exportDates(project),
+            url: project.link
+        })),
+        meta: compact({
+            version: 'v1.0.0',
+            lastModified: portfolio.updatedAt ? new Date(portfolio.updatedAt).toISOString() : undefined
+        })
+    };
+}
+
+module.exports = {
+    fromJSONResume,
+    toJSONResume,
+    validateJSONResume
+};
@@ -1,6 +1,8 @@
-const { extractText } = require('../parsers/textExtractor');
-const { detectSections } = require('../parsers/sectionDetector');
+const { extractDocument } = require('../parsers/textExtractor');
+const { detectSections, SECTION_NAMES } = require('../parsers/sectionDetector');
 const { createPortfolioSchema } = require('../parsers/normalizer');
+const { computeTotalYears } = require('../parsers/dateParser');
+const { refinePortfolio, getRefinementConfig } = require('./aiRefinementService');
 
 /**
  * Main parsing service
@@ -8,42 +10,91 @@ const { createPortfolioSchema } = require('../parsers/normalizer');
  * 1. Extract text from file
  * 2. Detect sections using rules
  * 3. Normalize to portfolio schema
- * 4. Optionally refine with AI (not yet implemented)
+ * 4. Optionally refine with AI (falls back to step 3 on any failure)
  */
 
+// Fields scored below this are flagged for manual review in the editor
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Lists the paths of extracted fields whose confidence is below the threshold
+ * e.g. ['name', 'experience.0.company']
+ */
+function findLowConfidenceFields(fieldConfidence) {
+    const paths = [];
+
+    ['name', 'email'].forEach(field => {
+        if (fieldConfidence[field].confidence < LOW_CONFIDENCE_THRESHOLD) {
+            paths.push(field);
+        }
+    });
+
+    ['experience', 'education'].forEach(section => {
+        fieldConfidence[section].forEach((entry, index) => {
+            for (const [field, score] of Object.entries(entry)) {
+                if (score.confidence < LOW_CONFIDENCE_THRESHOLD) {
+                    paths.push(`${section}.${index}.${field}`);
+                }
+            }
+        });
+    });
+
+    return paths;
+}
+
+/**
+ * Runs extraction, section detection and normalization
+ * Shared by parseResume and previewResume; nothing is persisted here.
+ */
+async function runRulePipeline(filePath, mimetype, options = {}) {
+    // Step 1: Extract text from file
+    console.log('  Step 1/3: Extracting text...');
+    const extracted = await extractDocument(filePath, mimetype, {
+        pdfLayout: options.pdfLayout
+    });
+    const { text: rawText, headerHints, headings } = extracted;
+
+    if (!rawText || rawText.length < 50) {
+        throw new Error('Extracted text is too short. Please ensure the resume has readable content.');
+    }
+
+    // Step 2: Detect sections using rule-based patterns
+    console.log('  Step 2/3: Detecting sections...');
+    const detectedSections = detectSections(rawText, { headerHints, headings, language: options.language });
+
+    // Step 3: Normalize to portfolio schema
+    console.log('  Step 3/3: Normalizing to portfolio schema...');
+    const portfolioSchema = createPortfolioSchema(detectedSections);
+
+    return { extracted, detectedSections, portfolioSchema };
+}
+
 /**
  * Parses a resume file and returns structured portfolio data
  * @param {string} filePath - Path to uploaded resume file
  * @param {string} mimetype - MIME type of the file
  * @param {Object} options - Parsing options
  * @param {boolean} options.useAI - Whether to use AI refinement (optional)
+ * @param {string} options.pdfLayout - PDF extraction mode, 'positional' (default) or 'flat'
+ * @param {string} options.language - Resume language, detected from the text when omitted
  * @returns {Promise<Object>} Portfolio data object
  */
 async function parseResume(filePath, mimetype, options = {}) {
     try {
         console.log('📄 Starting resume parsing...');
 
-        // Step 1: Extract text from file
-        console.log('  Step 1/3: Extracting text...');
-        const rawText = await extractText(filePath, mimetype);
-
-        if (!rawText || rawText.length < 50) {
-            throw new Error('Extracted text is too short. Please ensure the resume has readable content.');
-        }
-
-        // Step 2: Detect sections using rule-based patterns
-        console.log('  Step 2/3: Detecting sections...');
-        const detectedSections = detectSections(rawText);
-
-        // Step 3: Normalize to portfolio schema
-        console.log('  Step 3/3: Normalizing to portfolio schema...');
-        const portfolioData = createPortfolioSchema(detectedSections);
+        const { extracted, detectedSections, portfolioSchema } = await runRulePipeline(filePath, mimetype, options);
+        const { text: rawText, layouts } = extracted;
+        const { fieldConfidence, ...ruleBasedData } = portfolioSchema;
+        let portfolioData = ruleBasedData;
+        let aiRefinement = { applied: false };
 
-        // Step 4: Optional AI refinement (future enhancement)
-        if (options.useAI && process.env.OPENAI_API_KEY) {
+        // Step 4: Optional AI refinement, keeps the rule-based result on any failure
+        if (options.useAI && getRefinementConfig()) {
             console.log('  Step 4/4: Refining with AI...');
-            // TODO: Implement AI refinement
-            // portfolioData = await refineWithAI(portfolioData);
+            const refinement = await refinePortfolio(ruleBasedData, rawText);
+            portfolioData = refinement.data;
+            aiRefinement = refinement.metadata;
         }
 
         console.log('✅ Resume parsing completed successfully');
@@ -53,13 +104,24 @@ async function parseResume(filePath, mimetype, options = {}) {
             data: portfolioData,
             metadata: {
                 textLength: rawText.length,
+                language: detectedSections.detectedLanguage,
+                pageLayouts: layouts,
+                totalYearsExperience: computeTotalYears(portfolioData.experience),
+                fieldConfidence,
+                lowConfidenceFields: findLowConfidenceFields(fieldConfidence),
+                aiRefinement,
                 sectionsFound: {
                     hasName: !!detectedSections.name,
                     hasContact: !!(detectedSections.contact.email || detectedSections.contact.phone),
                     hasSkills: detectedSections.skills.length > 0,
                     hasExperience: detectedSections.experience.length > 0,
                     hasProjects: detectedSections.projects.length > 0,
-                    hasEducation: detectedSections.education.length > 0
+                    hasEducation: detectedSections.education.length > 0,
+                    hasCertifications: detectedSections.certifications.length > 0,
+                    hasAwards: detectedSections.awards.length > 0,
+                    hasPublications: detectedSections.publications.length > 0,
+                    hasLanguages: detectedSections.languages.length > 0,
+                    hasVolunteer: detectedSections.volunteer.length > 0
                 }
             }
         };
@@ -75,6 +137,61 @@ async function parseResume(filePath, mimetype, options = {}) {
     }
 }
 
+/**
+ * Parses a resume for diagnosis without persisting anything
+ * Returns the normalized text, every detected section with its line range and the
+ * header line that started it, and the resulting portfolio schema.
+ * @param {string} filePath - Path to uploaded resume file
+ * @param {string} mimetype - MIME type of the file
+ * @param {Object} options - Same as parseResume, except that AI refinement is never run
+ * @returns {Promise<Object>} Preview result
+ */
+async function previewResume(filePath, mimetype, options = {}) {
+    try {
+        console.log('🔍 Previewing resume parse...');
+
+        const { extracted, detectedSections, portfolioSchema } = await runRulePipeline(filePath, mimetype, options);
+        const lines = extracted.text.split('\n');
+
+        const sections = Object.values(detectedSections.boundaries)
+            .sort((a, b) => a.headerLine - b.headerLine)
+            .map(({ section, headerLine, start, end, trigger }) => ({
+                section,
+                headerLine,
+                header: lines[headerLine],
+                trigger,
+                start,
+                end,
+                content: lines.slice(start, end)
+            }));
+
+        return {
+            success: true,
+            data: {
+                text: extracted.text,
+                lines,
+                language: detectedSections.detectedLanguage,
+                headerHints: extracted.headerHints,
+                headings: extracted.headings,
+                pageLayouts: extracted.layouts,
+                sections,
+                missingSections: SECTION_NAMES.filter(section => !detectedSections.boundaries[section]),
+                schema: portfolioSchema
+            }
+        };
+
+    } catch (error) {
+        console.error('❌ Resume preview failed:', error.message);
+
+        return {
+            success: false,
+            error: error.message,
+            data: null
+        };
+    }
+}
+
 module.exports = {
-    parseResume
+    parseResume,
+    previewResume
 };
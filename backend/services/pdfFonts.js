@@ -0,0 +1,163 @@
+/**
+ * Fonts of the PDF resume
+ * The standard PDF fonts only cover Latin-1, so the bundled @fontsource fonts are
+ * embedded instead: the heading and body fonts of customizations.fonts (or the
+ * theme's), or the closest bundled font for web-safe names such as Georgia.
+ * @fontsource splits each font into script subsets and pdfkit uses one font per text
+ * run, so text is split into runs by the first font with a glyph for each character:
+ * the chosen font's subsets, then Roboto's, then PDF_FALLBACK_FONT, a TTF or OTF file
+ * for scripts no bundled font covers, such as Noto Sans CJK.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const { findFont, SELF_HOSTED_FONTS } = require('./themes/fonts');
+
+// Subsets in the order they are tried; not every font has all of them
+const SUBSETS = ['latin', 'latin-ext', 'vietnamese', 'greek', 'greek-ext', 'cyrillic', 'cyrillic-ext', 'symbols', 'math'];
+
+const FACES = {
+    regular: { weight: 400, style: 'normal' },
+    bold: { weight: 700, style: 'normal' },
+    italic: { weight: 400, style: 'italic' }
+};
+
+// Bundled font with the widest script coverage, tried after the chosen one
+const FALLBACK_FONT = 'Roboto';
+
+const SERIF_FONT_NAMES = /serif|georgia|times|garamond|baskerville|cambria|palatino/i;
+const MONO_FONT_NAMES = /mono|courier|consolas|code/i;
+
+const loadedFonts = new Map();
+
+/**
+ * Bundled font used for a font name: the font itself when bundled, else the closest one
+ */
+function bundledFont(name) {
+    const font = findFont(name);
+    if (font && SELF_HOSTED_FONTS[font]) return font;
+    if (!name) return FALLBACK_FONT;
+    if (MONO_FONT_NAMES.test(name)) return 'Source Code Pro';
+    if (/sans/i.test(name)) return FALLBACK_FONT;
+    if (SERIF_FONT_NAMES.test(name)) return 'Merriweather';
+    return FALLBACK_FONT;
+}
+
+/**
+ * Font files of one face of a bundled font, one per subset
+ * @returns {Array<{key: string, path: string}>}
+ */
+function subsetFiles(font, face) {
+    const { id } = SELF_HOSTED_FONTS[font];
+    const { weight, style } = FACES[face];
+    const dir = path.join(path.dirname(require.resolve(`@fontsource/${id}/package.json`)), 'files');
+
+    return SUBSETS
+        .map(subset => ({ key: `${id}-${subset}-${weight}-${style}`, path: path.join(dir, `${id}-${subset}-${weight}-${style}.woff`) }))
+        .filter(file => fs.existsSync(file.path));
+}
+
+/**
+ * Fonts tried in turn for each character of a text in one face
+ * @returns {Array<{key: string, path: string}>}
+ */
+function fontChain(font, face) {
+    const chain = [
+        ...subsetFiles(font, face),
+        ...(font !== FALLBACK_FONT ? subsetFiles(FALLBACK_FONT, face) : [])
+    ];
+
+    const fallback = process.env.PDF_FALLBACK_FONT;
+    if (fallback && fs.existsSync(fallback)) {
+        chain.push({ key: 'fallback', path: path.resolve(fallback) });
+    }
+
+    return chain;
+}
+
+/**
+ * Font chains of the regular, bold and italic faces for a font name
+ * @param {string} name - Font chosen in customizations.fonts or the theme's default
+ */
+function fontFamily(name) {
+    const font = bundledFont(name);
+    return {
+        regular: fontChain(font, 'regular'),
+        bold: fontChain(font, 'bold'),
+        italic: fontChain(font, 'italic')
+    };
+}
+
+function hasGlyph(file, codePoint) {
+    if (!loadedFonts.has(file.path)) {
+        loadedFonts.set(file.path, fontkit.openSync(file.path));
+    }
+    return loadedFonts.get(file.path).hasGlyphForCodePoint(codePoint);
+}
+
+/**
+ * Splits text into runs that one font of the chain can render
+ * Whitespace stays in the current run; characters no font has use the first font.
+ * @returns {Array<{file: {key: string, path: string}, text: string}>}
+ */
+function textRuns(text, chain) {
+    const runs = [];
+
+    for (const char of String(text)) {
+        const codePoint = char.codePointAt(0);
+        const current = runs[runs.length - 1];
+
+        if (current && (/\s/.test(char) || hasGlyph(current.file, codePoint))) {
+            current.text += char;
+            continue;
+        }
+
+        const file = chain.find(candidate => hasGlyph(candidate, codePoint)) || chain[0];
+        if (current && current.file === file) {
+            current.text += char;
+        } else {
+            runs.push({ file, text: char });
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Writes text with the fonts of a chain, like doc.text(text, [x, y,] options)
+ * Each run is written with `continued` so the runs flow as one text; pdfkit keeps
+ * the options of a continued text, so only the link is repeated on later runs.
+ */
+function writeText(doc, chain, text, ...args) {
+    const [x, y, options = {}] = typeof args[0] === 'object' ? [null, null, args[0]] : args;
+    const runs = textRuns(text == null ? '' : text, chain);
+    if (runs.length === 0) runs.push({ file: chain[0], text: '' });
+
+    runs.forEach((run, i) => {
+        doc.registerFont(run.file.key, run.file.path);
+
+        const last = i === runs.length - 1;
+        const runOptions = {
+            ...(i === 0 ? options : {}),
+            link: options.link || null,
+            continued: last ? !!options.continued : true
+        };
+
+        doc.font(run.file.key);
+        if (i === 0 && x !== null) {
+            doc.text(run.text, x, y, runOptions);
+        } else {
+            doc.text(run.text, runOptions);
+        }
+    });
+
+    return doc;
+}
+
+module.exports = {
+    fontFamily,
+    bundledFont,
+    textRuns,
+    writeText
+};
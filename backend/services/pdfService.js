@@ -0,0 +1,262 @@
+/**
+ * Printable PDF resume generated from a portfolio with pdfkit
+ * Runs in-process: no browser and no network. Text uses the bundled fonts of
+ * customizations.fonts (or the theme's), embedded with a fallback for scripts
+ * they lack (see pdfFonts.js); customizations.colors sets the accent colors.
+ */
+
+const PDFDocument = require('pdfkit');
+const { DEFAULT_COLORS } = require('./themes/partials');
+const { getTheme } = require('./themes');
+const { fontFamily, writeText } = require('./pdfFonts');
+const { safeUrl } = require('../utils/html');
+
+const PAGE_SIZE = 'A4';
+const MARGIN = 50;
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+
+// Width reserved for right-aligned dates next to a role or degree
+const DATE_WIDTH = 120;
+
+/**
+ * Portfolio colors as hex values pdfkit accepts, defaults for anything else
+ */
+function pdfColors(portfolio) {
+    const colors = (portfolio.customizations && portfolio.customizations.colors) || {};
+    const pick = key => (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(colors[key] || '').trim())
+        ? String(colors[key]).trim()
+        : DEFAULT_COLORS[key]);
+
+    return { primary: pick('primary'), secondary: pick('secondary'), accent: pick('accent') };
+}
+
+/**
+ * Layout helpers bound to one document and its styles
+ */
+function createWriter(doc, portfolio) {
+    const chosen = (portfolio.customizations && portfolio.customizations.fonts) || {};
+    const defaults = getTheme(portfolio.theme).defaults.fonts;
+    const style = {
+        heading: fontFamily(chosen.heading || defaults.heading),
+        body: fontFamily(chosen.body || defaults.body),
+        colors: pdfColors(portfolio)
+    };
+    const left = MARGIN;
+    const width = doc.page.width - MARGIN * 2;
+
+    // Starts a new page unless the next block fits on the current one
+    const ensureSpace = height => {
+        if (doc.y + height > doc.page.height - MARGIN) {
+            doc.addPage();
+        }
+    };
+
+    // Writes text in one face of a font family, like doc.text
+    const text = (face, ...args) => writeText(doc, face, ...args);
+
+    const paragraph = (content, options = {}) => {
+        doc.fontSize(options.size || 10).fillColor(options.color || TEXT_COLOR);
+        text(options.font || style.body.regular, content, left + (options.indent || 0), doc.y, {
+            width: width - (options.indent || 0),
+            link: options.link || null,
+            lineGap: 1.5
+        });
+    };
+
+    const sectionHeading = title => {
+        ensureSpace(60);
+        doc.moveDown(0.8);
+        doc.fontSize(12).fillColor(style.colors.primary);
+        text(style.heading.bold, title.toUpperCase(), left, doc.y, { width, characterSpacing: 1 });
+        const y = doc.y + 2;
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(1).strokeColor(style.colors.accent).stroke();
+        doc.y = y + 6;
+    };
+
+    // Bold title with an optional date on the right, on the same line
+    const entryTitle = (title, date) => {
+        ensureSpace(40);
+        const top = doc.y;
+        doc.fontSize(11).fillColor(style.colors.secondary);
+        text(style.heading.bold, title || '', left, top, { width: date ? width - DATE_WIDTH : width });
+        const bottom = doc.y;
+        if (date) {
+            doc.fontSize(9).fillColor(MUTED_COLOR);
+            text(style.body.regular, date, left + width - DATE_WIDTH, top + 1, { width: DATE_WIDTH, align: 'right' });
+        }
+        doc.x = left;
+        doc.y = Math.max(bottom, doc.y);
+    };
+
+    const bullets = items => {
+        items.filter(Boolean).forEach(item => {
+            ensureSpace(14);
+            const top = doc.y;
+            doc.fontSize(10).fillColor(style.colors.accent);
+            text(style.body.regular, '•', left + 6, top);
+            doc.fillColor(TEXT_COLOR);
+            text(style.body.regular, item, left + 18, top, { width: width - 18, lineGap: 1.5 });
+        });
+        doc.x = left;
+    };
+
+    return { doc, style, left, width, text, ensureSpace, paragraph, sectionHeading, entryTitle, bullets };
+}
+
+function writeHeader(w, portfolio) {
+    const { doc, style, left, width, text } = w;
+    const links = portfolio.links || {};
+
+    doc.fontSize(24).fillColor(style.colors.primary);
+    text(style.heading.bold, portfolio.name || '', left, MARGIN, { width });
+
+    if (portfolio.headline) {
+        doc.fontSize(12).fillColor(MUTED_COLOR);
+        text(style.body.regular, portfolio.headline, { width });
+    }
+
+    const contact = [
+        links.email && { text: links.email, link: safeUrl(`mailto:${links.email}`, ['mailto:']) },
+        links.phone && { text: links.phone },
+        links.website && { text: links.website, link: safeUrl(links.website) },
+        links.linkedin && { text: links.linkedin, link: safeUrl(links.linkedin) },
+        links.github && { text: links.github, link: safeUrl(links.github) }
+    ].filter(Boolean);
+
+    if (contact.length > 0) {
+        doc.moveDown(0.3);
+        doc.fontSize(9).fillColor(TEXT_COLOR);
+        doc.x = left;
+        contact.forEach((item, i) => {
+            const last = i === contact.length - 1;
+            doc.fillColor(item.link ? style.colors.secondary : TEXT_COLOR);
+            text(style.body.regular, item.text, { width, continued: !last, link: item.link || null });
+            if (!last) {
+                doc.fillColor(MUTED_COLOR);
+                text(style.body.regular, '  |  ', { width, continued: true, link: null });
+            }
+        });
+    }
+}
+
+function writeExperience(w, portfolio) {
+    if (portfolio.experience.length === 0) return;
+
+    w.sectionHeading('Experience');
+    portfolio.experience.forEach(exp => {
+        w.entryTitle(exp.role, exp.duration);
+        if (exp.company) w.paragraph(exp.company, { font: w.style.body.italic, color: MUTED_COLOR });
+        if (exp.description) w.paragraph(exp.description);
+        if (exp.highlights.length > 0) w.bullets(exp.highlights);
+        w.doc.moveDown(0.5);
+    });
+}
+
+function writeProjects(w, portfolio) {
+    if (portfolio.projects.length === 0) return;
+
+    w.sectionHeading('Projects');
+    portfolio.projects.forEach(project => {
+        w.entryTitle(project.title);
+        if (project.tech.length > 0) {
+            w.paragraph(project.tech.join(', '), { font: w.style.body.italic, color: MUTED_COLOR, size: 9 });
+        }
+        if (project.description) w.paragraph(project.description);
+        const link = safeUrl(project.link);
+        if (link) w.paragraph(project.link, { size: 9, color: w.style.colors.secondary, link });
+        w.doc.moveDown(0.5);
+    });
+}
+
+function writeSkills(w, portfolio) {
+    if (portfolio.skills.length === 0) return;
+
+    w.sectionHeading('Skills');
+    portfolio.skills.forEach(group => {
+        w.ensureSpace(14);
+        w.doc.fontSize(10).fillColor(TEXT_COLOR);
+        w.text(w.style.body.bold, `${group.category}: `, w.left, w.doc.y, { width: w.width, continued: true });
+        w.text(w.style.body.regular, group.items.join(', '), { lineGap: 1.5 });
+    });
+}
+
+function writeEducation(w, portfolio) {
+    if (portfolio.education.length === 0) return;
+
+    w.sectionHeading('Education');
+    portfolio.education.forEach(edu => {
+        w.entryTitle(edu.degree, edu.year);
+        if (edu.institution) w.paragraph(edu.institution, { font: w.style.body.italic, color: MUTED_COLOR });
+        if (edu.details) w.paragraph(edu.details);
+        w.doc.moveDown(0.5);
+    });
+}
+
+/**
+ * Writes "Page n of m" at the bottom of every page
+ */
+function writePageNumbers(w) {
+    const { doc } = w;
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin must not trigger a page break
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8).fillColor(MUTED_COLOR);
+        w.text(w.style.body.regular, `Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN / 2 - 4, {
+            width: doc.page.width - MARGIN * 2,
+            align: 'center'
+        });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+/**
+ * Generates a paginated PDF resume
+ * @param {Object} portfolio - Portfolio document
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function generatePDF(portfolio) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: PAGE_SIZE,
+            margin: MARGIN,
+            bufferPages: true,
+            info: {
+                Title: `${portfolio.name} - Resume`,
+                Author: portfolio.name,
+                Creator: 'Portlify'
+            }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            const writer = createWriter(doc, portfolio);
+
+            writeHeader(writer, portfolio);
+            if (portfolio.summary) {
+                writer.sectionHeading('Summary');
+                writer.paragraph(portfolio.summary);
+            }
+            writeExperience(writer, portfolio);
+            writeProjects(writer, portfolio);
+            writeSkills(writer, portfolio);
+            writeEducation(writer, portfolio);
+            writePageNumbers(writer);
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = {
+    generatePDF
+};
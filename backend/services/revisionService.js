@@ -0,0 +1,263 @@
+/**
+ * Revision history of portfolios
+ * Every save stores a revision holding a snapshot of the editable fields and the paths
+ * that changed. Before the first update, the content as it was uploaded is kept as the
+ * "original" revision so that update can be undone too. The oldest revisions are
+ * deleted beyond the portfolio's revisionLimit.
+ * Large values such as base64 images are stored once per portfolio as RevisionBlobs and
+ * referenced from the snapshots, so an unchanged picture is not copied into every revision.
+ * Revisions are bookkeeping: failing to record one is logged and never fails the save.
+ */
+
+const crypto = require('crypto');
+const Portfolio = require('../models/Portfolio');
+const Revision = require('../models/Revision');
+const RevisionBlob = require('../models/RevisionBlob');
+const revisionConfig = require('../config/revisions');
+const { diffValues, toPlain } = require('../utils/objectDiff');
+
+const DEFAULT_REVISION_LIMIT = revisionConfig.defaultLimit;
+const MAX_REVISION_LIMIT = revisionConfig.maxLimit;
+
+// Snapshot strings of this length or more are stored as RevisionBlobs. Text fields are
+// at most 5000 characters, so these are images.
+const MIN_BLOB_LENGTH = 16 * 1024;
+
+// Key of the object that stands for a blob in a stored snapshot: { blobHash: hash }
+const BLOB_KEY = 'blobHash';
+
+// Tries at numbering a revision when concurrent saves of a portfolio take the same number
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Fields that are not portfolio content and stay as they are on restore
+const MANAGED_FIELDS = ['_id', 'sessionId', 'createdAt', 'updatedAt', '__v', 'revisionLimit'];
+
+const EDITABLE_FIELDS = Object.keys(Portfolio.schema.obj).filter(field => !MANAGED_FIELDS.includes(field));
+
+/**
+ * Editable fields of a portfolio as plain JSON
+ */
+function snapshot(portfolio) {
+    const data = toPlain(portfolio.toObject({ minimize: false }));
+    return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, data[field] === undefined ? null : data[field]]));
+}
+
+/**
+ * Replaces the large strings of a snapshot with references to blobs
+ * @returns {{snapshot: Object, blobs: Map<string, string>}} Stored snapshot and the blob values by hash
+ */
+function extractBlobs(data) {
+    const blobs = new Map();
+    const replace = value => {
+        if (typeof value === 'string' && value.length >= MIN_BLOB_LENGTH) {
+            const hash = crypto.createHash('sha256').update(value).digest('hex');
+            blobs.set(hash, value);
+            return { [BLOB_KEY]: hash };
+        }
+        if (Array.isArray(value)) return value.map(replace);
+        if (value !== null && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replace(item)]));
+        }
+        return value;
+    };
+
+    return { snapshot: replace(data), blobs };
+}
+
+/**
+ * Puts the blob values back into a stored snapshot
+ * A blob that is gone reads as null, like a field missing from the snapshot.
+ */
+function expandBlobs(data, blobs) {
+    const expand = value => {
+        if (Array.isArray(value)) return value.map(expand);
+        if (value !== null && typeof value === 'object') {
+            if (typeof value[BLOB_KEY] === 'string') return blobs.has(value[BLOB_KEY]) ? blobs.get(value[BLOB_KEY]) : null;
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item)]));
+        }
+        return value;
+    };
+
+    return expand(data);
+}
+
+/**
+ * Stores the blobs a portfolio does not have yet
+ */
+async function storeBlobs(portfolioId, blobs) {
+    if (blobs.size === 0) return;
+
+    const stored = await RevisionBlob.find({ portfolioId, hash: { $in: [...blobs.keys()] } }).select('hash');
+    const missing = [...blobs].filter(([hash]) => !stored.some(blob => blob.hash === hash));
+
+    try {
+        await RevisionBlob.insertMany(missing.map(([hash, value]) => ({ portfolioId, hash, value })), { ordered: false });
+    } catch (error) {
+        // A concurrent save stored the same value first
+        if (error.code !== 11000) throw error;
+    }
+}
+
+/**
+ * Field-level differences between two snapshots
+ * Entry ids are left out: a new or removed entry shows up through its fields.
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+function diffSnapshots(before, after) {
+    return diffValues(before, after).filter(change => !/(^|\.)_id$/.test(change.path));
+}
+
+/**
+ * Who made a change, from the request of an owner (see middleware/auth)
+ */
+function revisionAuthor(req) {
+    return {
+        sessionId: req.sessionId,
+        userAgent: (req.get('User-Agent') || '').slice(0, 200)
+    };
+}
+
+function revisionLimit(portfolio) {
+    return portfolio.revisionLimit || DEFAULT_REVISION_LIMIT;
+}
+
+/**
+ * Records the portfolio's current state as a new revision
+ * @param {Object} portfolio - Saved portfolio document
+ * @param {Object} options
+ * @param {Object} options.before - Snapshot taken before the change
+ * @param {'update'|'restore'} options.source
+ * @param {number} [options.restoredFrom] - Number of the restored revision
+ * @param {{sessionId?: string, userAgent?: string}} [options.author]
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed or it could not be stored
+ */
+async function recordRevision(portfolio, { before, source, restoredFrom = null, author = {} }) {
+    const after = snapshot(portfolio);
+    const changedFields = diffSnapshots(before, after).map(change => change.path);
+
+    if (changedFields.length === 0) return null;
+
+    let revision;
+    try {
+        const original = extractBlobs(before);
+        const stored = extractBlobs(after);
+        await storeBlobs(portfolio._id, new Map([...original.blobs, ...stored.blobs]));
+
+        revision = await createRevision(portfolio, {
+            original: { snapshot: original.snapshot, blobs: [...original.blobs.keys()] },
+            revision: { source, restoredFrom, author, changedFields, snapshot: stored.snapshot, blobs: [...stored.blobs.keys()] }
+        });
+    } catch (error) {
+        console.warn(`⚠️  Revision of portfolio ${portfolio._id} not recorded:`, error);
+        return null;
+    }
+
+    try {
+        await pruneRevisions(portfolio);
+    } catch (error) {
+        console.warn(`⚠️  Old revisions of portfolio ${portfolio._id} not pruned:`, error);
+    }
+
+    return revision;
+}
+
+/**
+ * Stores a revision under the next number, after the "original" one for a first update
+ * The unique { portfolioId, number } index rejects a number another save took since
+ * it was read; the number is then read again.
+ */
+async function createRevision(portfolio, { original, revision }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const latest = await Revision.findOne({ portfolioId: portfolio._id }).sort({ number: -1 }).select('number');
+            let number = latest ? latest.number : 0;
+
+            if (!latest) {
+                await Revision.create({
+                    portfolioId: portfolio._id,
+                    number: ++number,
+                    source: 'original',
+                    ...original
+                });
+            }
+
+            return await Revision.create({ ...revision, portfolioId: portfolio._id, number: number + 1 });
+        } catch (error) {
+            if (error.code !== 11000 || attempt === MAX_NUMBER_ATTEMPTS) throw error;
+        }
+    }
+}
+
+/**
+ * Deletes the oldest revisions beyond the portfolio's limit, and the blobs only they held
+ */
+async function pruneRevisions(portfolio) {
+    const expired = await Revision.find({ portfolioId: portfolio._id })
+        .sort({ number: -1 })
+        .skip(revisionLimit(portfolio))
+        .select('_id');
+
+    if (expired.length > 0) {
+        await Revision.deleteMany({ _id: { $in: expired.map(revision => revision._id) } });
+
+        const used = await Revision.distinct('blobs', { portfolioId: portfolio._id });
+        await RevisionBlob.deleteMany({ portfolioId: portfolio._id, hash: { $nin: used } });
+    }
+}
+
+/**
+ * Revisions of a portfolio, newest first, without their snapshots
+ */
+async function listRevisions(portfolioId) {
+    return Revision.find({ portfolioId }).sort({ number: -1 }).select('-snapshot -blobs');
+}
+
+/**
+ * Deletes every revision of a deleted portfolio
+ */
+async function deleteRevisions(portfolioId) {
+    await Revision.deleteMany({ portfolioId });
+    await RevisionBlob.deleteMany({ portfolioId });
+}
+
+/**
+ * A revision with its complete snapshot, blob values included
+ */
+async function findRevision(portfolioId, number) {
+    const revision = await Revision.findOne({ portfolioId, number });
+    if (!revision) return null;
+
+    const hashes = revision.blobs || [];
+    const blobs = hashes.length > 0 ? await RevisionBlob.find({ portfolioId, hash: { $in: hashes } }) : [];
+    revision.snapshot = expandBlobs(revision.snapshot, new Map(blobs.map(blob => [blob.hash, blob.value])));
+    return revision;
+}
+
+/**
+ * Puts a revision's content back into the portfolio and saves it
+ * Fields missing from the snapshot are cleared.
+ */
+async function applyRevision(portfolio, revision) {
+    EDITABLE_FIELDS.forEach(field => {
+        const value = revision.snapshot[field];
+        portfolio.set(field, value === null ? undefined : value);
+    });
+
+    await portfolio.save();
+}
+
+module.exports = {
+    snapshot,
+    diffSnapshots,
+    recordRevision,
+    pruneRevisions,
+    listRevisions,
+    findRevision,
+    deleteRevisions,
+    applyRevision,
+    revisionLimit,
+    revisionAuthor,
+    EDITABLE_FIELDS,
+    DEFAULT_REVISION_LIMIT,
+    MAX_REVISION_LIMIT
+};
@@ -0,0 +1,51 @@
+/**
+ * Sessions group the portfolios created with one session token
+ * A session expires SESSION_DAYS after it was last used; the Session model's TTL index
+ * then deletes it.
+ */
+
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_DAYS = 30;
+
+/**
+ * Adds a portfolio to its session, creating the session if needed
+ */
+async function addPortfolioToSession(sessionId, portfolioId) {
+    let session = await Session.findOne({ sessionId });
+    if (!session) {
+        session = new Session({
+            sessionId,
+            portfolioIds: [portfolioId]
+        });
+    } else {
+        session.portfolioIds.push(portfolioId);
+    }
+    await session.save();
+}
+
+async function removePortfolioFromSession(sessionId, portfolioId) {
+    await Session.updateOne({ sessionId }, { $pull: { portfolioIds: portfolioId } });
+}
+
+/**
+ * Pushes a session's expiry SESSION_DAYS ahead
+ * Runs on every request with a session token, so it only writes when the last renewal
+ * is more than a day old.
+ */
+async function renewSession(sessionId) {
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * DAY_MS);
+
+    await Session.updateOne(
+        { sessionId, expiresAt: { $lt: new Date(expiresAt.getTime() - DAY_MS) } },
+        { $set: { expiresAt } }
+    );
+}
+
+module.exports = {
+    addPortfolioToSession,
+    removePortfolioFromSession,
+    renewSession,
+    SESSION_DAYS
+};
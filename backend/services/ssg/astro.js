@@ -0,0 +1,232 @@
+/**
+ * Astro project: experience, projects and education content collections, JSON data
+ * for the profile and skills, and an index page listing them
+ */
+
+const { markdownFile, contentEntries, entryFileName, COLLECTIONS } = require('./content');
+
+const contentConfig = `import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+const text = z.string().nullish();
+
+const collection = (name, fields) => defineCollection({
+    loader: glob({ pattern: '*.md', base: './src/content/' + name }),
+    schema: z.object({ title: text, order: z.number(), ...fields })
+});
+
+export const collections = {
+    experience: collection('experience', {
+        company: text,
+        duration: text,
+        current: z.boolean().default(false),
+        highlights: z.array(z.string()).default([])
+    }),
+    projects: collection('projects', {
+        link: text,
+        image: text,
+        tech: z.array(z.string()).default([])
+    }),
+    education: collection('education', {
+        institution: text,
+        year: text
+    })
+};
+`;
+
+const baseLayout = `---
+const { title, description, favicon } = Astro.props;
+const base = import.meta.env.BASE_URL.replace(/\\/$/, '');
+---
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{title}</title>
+    <meta name="description" content={description}>
+    {favicon && <link rel="icon" type={favicon.type} href={base + '/' + favicon.href}>}
+    <link rel="stylesheet" href={base + '/styles.css'}>
+</head>
+<body>
+    <slot />
+</body>
+</html>
+`;
+
+const indexPage = `---
+import { getCollection, render } from 'astro:content';
+import Base from '../layouts/Base.astro';
+import site from '../data/site.json';
+import profile from '../data/profile.json';
+import skills from '../data/skills.json';
+
+const base = import.meta.env.BASE_URL.replace(/\\/$/, '');
+const asset = (src) => (/^https?:/.test(src) ? src : base + '/' + src);
+
+// Entries in resume order, with their rendered Markdown
+const load = async (name) => Promise.all((await getCollection(name))
+    .sort((a, b) => a.data.order - b.data.order)
+    .map(async (entry) => ({ ...entry.data, Content: (await render(entry)).Content })));
+
+const experience = await load('experience');
+const projects = await load('projects');
+const education = await load('education');
+const { links } = profile;
+---
+<Base title={site.title} description={site.description} favicon={profile.favicon}>
+    <header class="hero">
+        {profile.image && <img class="avatar" src={asset(profile.image)} alt={profile.name}>}
+        <h1>{profile.name}</h1>
+        {profile.headline && <p class="headline">{profile.headline}</p>}
+        <p class="links">
+            {links.emailHref && <a href={links.emailHref}>{links.email}</a>}
+            {links.phoneHref && <a href={links.phoneHref}>{links.phone}</a>}
+            {links.github && <a href={links.github}>GitHub</a>}
+            {links.linkedin && <a href={links.linkedin}>LinkedIn</a>}
+            {links.website && <a href={links.website}>Website</a>}
+        </p>
+    </header>
+
+    <main>
+        {profile.summary && (
+            <section id="about">
+                <h2>About</h2>
+                <p>{profile.summary}</p>
+            </section>
+        )}
+
+        {experience.length > 0 && (
+            <section id="experience">
+                <h2>Experience</h2>
+                {experience.map(({ title, company, duration, highlights, Content }) => (
+                    <article class="entry">
+                        <div class="entry-header">
+                            <h3>{title}</h3>
+                            {duration && <span class="dates">{duration}</span>}
+                        </div>
+                        {company && <p class="organization">{company}</p>}
+                        <Content />
+                        {highlights.length > 0 && (
+                            <ul class="highlights">
+                                {highlights.map((highlight) => <li>{highlight}</li>)}
+                            </ul>
+                        )}
+                    </article>
+                ))}
+            </section>
+        )}
+
+        {projects.length > 0 && (
+            <section id="projects">
+                <h2>Projects</h2>
+                {projects.map(({ title, link, image, tech, Content }) => (
+                    <article class="entry">
+                        <h3>{link ? <a href={link}>{title}</a> : title}</h3>
+                        {image && <img class="project-thumb" src={asset(image)} alt={title} loading="lazy">}
+                        <Content />
+                        {tech.length > 0 && <p class="tech">{tech.join(' · ')}</p>}
+                    </article>
+                ))}
+            </section>
+        )}
+
+        {education.length > 0 && (
+            <section id="education">
+                <h2>Education</h2>
+                {education.map(({ title, institution, year, Content }) => (
+                    <article class="entry">
+                        <div class="entry-header">
+                            <h3>{title}</h3>
+                            {year && <span class="dates">{year}</span>}
+                        </div>
+                        {institution && <p class="organization">{institution}</p>}
+                        <Content />
+                    </article>
+                ))}
+            </section>
+        )}
+
+        {skills.length > 0 && (
+            <section id="skills">
+                <h2>Skills</h2>
+                {skills.map((group) => (
+                    <div class="skill-group">
+                        <h3>{group.category}</h3>
+                        <p>{group.items.join(', ')}</p>
+                    </div>
+                ))}
+            </section>
+        )}
+    </main>
+
+    <footer>
+        <p>&copy; {new Date().getFullYear()} {profile.name}</p>
+    </footer>
+</Base>
+`;
+
+function json(data) {
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Project files, without styles.css and the static assets
+ */
+function files(content) {
+    const url = content.url ? new URL(content.url) : null;
+    const config = url
+        ? `\n    site: ${JSON.stringify(url.origin)},\n    base: ${JSON.stringify(url.pathname)}\n`
+        : '';
+    const slug = entryFileName(0, content.profile.name).replace(/^\d+-?|\.md$/g, '');
+
+    return [
+        {
+            name: 'package.json',
+            content: json({
+                name: slug ? `${slug}-portfolio` : 'portfolio',
+                type: 'module',
+                version: '1.0.0',
+                private: true,
+                scripts: {
+                    dev: 'astro dev',
+                    build: 'astro build',
+                    preview: 'astro preview'
+                },
+                dependencies: {
+                    astro: '^5.0.0'
+                }
+            })
+        },
+        { name: 'astro.config.mjs', content: `import { defineConfig } from 'astro/config';\n\nexport default defineConfig({${config}});\n` },
+        { name: 'tsconfig.json', content: json({ extends: 'astro/tsconfigs/base' }) },
+        { name: 'src/content.config.ts', content: contentConfig },
+        { name: 'src/layouts/Base.astro', content: baseLayout },
+        { name: 'src/pages/index.astro', content: indexPage },
+        ...contentEntries(content).map(entry => ({
+            name: `src/content/${entry.collection}/${entry.fileName}`,
+            content: markdownFile({ ...entry.data, order: entry.index + 1 }, entry.body)
+        })),
+        { name: 'src/data/site.json', content: json({ title: content.title, description: content.description }) },
+        { name: 'src/data/profile.json', content: json(content.profile) },
+        { name: 'src/data/skills.json', content: json(content.skills) }
+    ];
+}
+
+module.exports = {
+    name: 'astro',
+    label: 'Astro',
+    staticDir: 'public/',
+    readme: {
+        requirements: '[Node.js](https://nodejs.org) 18.20 or later, then `npm install`',
+        develop: 'npm run dev',
+        build: 'npm run build',
+        output: 'dist/',
+        editing: [
+            '`src/data/profile.json` holds your name, headline, summary and links, `src/data/skills.json` your skills',
+            `${Object.keys(COLLECTIONS).map(name => `\`src/content/${name}/\``).join(', ')} hold one Markdown file per entry, ordered by \`order\``,
+            '`src/pages/index.astro` and `src/layouts/Base.astro` are the page layout, `public/styles.css` the stylesheet'
+        ]
+    },
+    files
+};
@@ -0,0 +1,165 @@
+/**
+ * Content shared by the static site generator exports
+ * The portfolio is turned into the same sanitized data custom templates receive
+ * (templates/view) and written as YAML front matter, data files and Markdown.
+ */
+
+const { templateView } = require('../templates/view');
+const { collectImages } = require('../themes/images');
+const { siteUrl, metaDescription } = require('../themes/seo');
+
+function isBlock(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length > 0;
+}
+
+/**
+ * Serializes data as YAML; strings are written as JSON strings, which YAML reads as
+ * double-quoted scalars, so resume text can never change the structure
+ */
+function toYAML(value, indent = '') {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return value.map(item => `\n${indent}- ${toYAML(item, `${indent}  `).replace(/^\n\s*/, '')}`).join('');
+    }
+
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined);
+        if (keys.length === 0) return '{}';
+        return keys.map(key => {
+            const nested = toYAML(value[key], `${indent}  `);
+            return isBlock(value[key]) ? `\n${indent}${key}:${nested}` : `\n${indent}${key}: ${nested}`;
+        }).join('');
+    }
+
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    return JSON.stringify(String(value));
+}
+
+/**
+ * YAML file contents
+ */
+function yamlFile(data) {
+    return `${toYAML(data).replace(/^\n/, '')}\n`;
+}
+
+/**
+ * Markdown file with YAML front matter
+ */
+function markdownFile(data, body) {
+    return `---\n${yamlFile(data)}---\n${body ? `\n${body}\n` : ''}`;
+}
+
+/**
+ * Plain text as Markdown, shown as written: HTML characters become entities, so it
+ * reads the same whether or not the generator allows raw HTML, and Markdown syntax
+ * (emphasis, links, headings, lists, code blocks) is escaped
+ */
+function markdownText(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(/[\\`*_[\]]/g, '\\$&')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/^[ \t]+/gm, '')
+        .replace(/^([#+\-=]|\d+[.)])/gm, match => `${match.slice(0, -1)}\\${match.slice(-1)}`);
+}
+
+/**
+ * Content file name such as "01-senior-engineer.md", numbered to keep the resume order
+ */
+function entryFileName(index, title) {
+    const slug = String(title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50);
+
+    return `${String(index + 1).padStart(2, '0')}${slug ? `-${slug}` : ''}.md`;
+}
+
+// Front matter and Markdown body of each content collection
+const COLLECTIONS = {
+    experience: item => ({
+        data: {
+            title: item.role,
+            company: item.company,
+            duration: item.duration,
+            current: item.current,
+            highlights: [...(item.highlights || [])]
+        },
+        body: item.description
+    }),
+    projects: item => ({
+        data: {
+            title: item.title,
+            link: item.link,
+            image: item.image,
+            tech: [...(item.tech || [])]
+        },
+        body: item.description
+    }),
+    education: item => ({
+        data: {
+            title: item.degree,
+            institution: item.institution,
+            year: item.year
+        },
+        body: item.details
+    })
+};
+
+/**
+ * Content files of every collection, in resume order
+ * @returns {Array<{collection: string, index: number, fileName: string, data: Object, body: string}>}
+ */
+function contentEntries(content) {
+    return Object.entries(COLLECTIONS).flatMap(([collection, toEntry]) => content[collection].map((item, index) => {
+        const { data, body } = toEntry(item);
+        return { collection, index, fileName: entryFileName(index, data.title), data, body: markdownText(body) };
+    }));
+}
+
+/**
+ * Everything a generator project needs from the portfolio
+ * @returns {{url: string|null, title: string, description: string, profile: Object,
+ *   skills: Array, experience: Array, projects: Array, education: Array}}
+ */
+function siteContent(portfolio) {
+    const site = { images: collectImages(portfolio), url: siteUrl(portfolio) };
+    const view = templateView(portfolio, site, '');
+
+    return {
+        url: site.url,
+        title: `${portfolio.name} - Portfolio`,
+        description: metaDescription(portfolio),
+        profile: {
+            name: view.name,
+            headline: view.headline,
+            summary: view.summary,
+            image: view.profilePicture,
+            favicon: site.images.favicon,
+            links: view.links
+        },
+        skills: view.skills,
+        experience: view.experience,
+        projects: view.projects,
+        education: view.education
+    };
+}
+
+module.exports = {
+    toYAML,
+    yamlFile,
+    markdownFile,
+    markdownText,
+    contentEntries,
+    entryFileName,
+    siteContent,
+    COLLECTIONS
+};
@@ -0,0 +1,186 @@
+/**
+ * Hugo project: content/ pages for experience, projects and education, data/ files
+ * for the profile and skills, and a home page layout listing them
+ */
+
+const { yamlFile, markdownFile, markdownText, contentEntries } = require('./content');
+
+const layout = `<!DOCTYPE html>
+<html lang="{{ site.LanguageCode | default "en" }}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{ site.Title }}</title>
+    <meta name="description" content="{{ site.Params.description }}">
+    {{- with site.Data.profile.favicon }}
+    <link rel="icon" type="{{ .type }}" href="{{ .href | relURL }}">
+    {{- end }}
+    <link rel="stylesheet" href="{{ "styles.css" | relURL }}">
+</head>
+<body>
+    {{- $profile := site.Data.profile }}
+    <header class="hero">
+        {{- with $profile.image }}
+        <img class="avatar" src="{{ . | relURL }}" alt="{{ $profile.name }}">
+        {{- end }}
+        <h1>{{ $profile.name }}</h1>
+        {{- with $profile.headline }}
+        <p class="headline">{{ . }}</p>
+        {{- end }}
+        <p class="links">
+            {{- with $profile.links }}
+            {{- with .emailHref }}<a href="{{ . }}">{{ $profile.links.email }}</a>{{ end }}
+            {{- /* tel: links are checked on export; Hugo would replace them otherwise */}}
+            {{- with .phoneHref }}<a href="{{ . | safeURL }}">{{ $profile.links.phone }}</a>{{ end }}
+            {{- with .github }}<a href="{{ . }}">GitHub</a>{{ end }}
+            {{- with .linkedin }}<a href="{{ . }}">LinkedIn</a>{{ end }}
+            {{- with .website }}<a href="{{ . }}">Website</a>{{ end }}
+            {{- end }}
+        </p>
+    </header>
+
+    <main>
+        {{- with .Content }}
+        <section id="about">
+            <h2>About</h2>
+            {{ . }}
+        </section>
+        {{- end }}
+
+        {{- with (where site.RegularPages "Section" "experience").ByWeight }}
+        <section id="experience">
+            <h2>Experience</h2>
+            {{- range . }}
+            <article class="entry">
+                <div class="entry-header">
+                    <h3>{{ .Title }}</h3>
+                    {{- with .Params.duration }}
+                    <span class="dates">{{ . }}</span>
+                    {{- end }}
+                </div>
+                {{- with .Params.company }}
+                <p class="organization">{{ . }}</p>
+                {{- end }}
+                {{ .Content }}
+                {{- with .Params.highlights }}
+                <ul class="highlights">
+                    {{- range . }}
+                    <li>{{ . }}</li>
+                    {{- end }}
+                </ul>
+                {{- end }}
+            </article>
+            {{- end }}
+        </section>
+        {{- end }}
+
+        {{- with (where site.RegularPages "Section" "projects").ByWeight }}
+        <section id="projects">
+            <h2>Projects</h2>
+            {{- range . }}
+            {{- $project := . }}
+            <article class="entry">
+                <h3>{{ with .Params.link }}<a href="{{ . }}">{{ $project.Title }}</a>{{ else }}{{ .Title }}{{ end }}</h3>
+                {{- with .Params.image }}
+                <img class="project-thumb" src="{{ . | relURL }}" alt="{{ $project.Title }}" loading="lazy">
+                {{- end }}
+                {{ .Content }}
+                {{- with .Params.tech }}
+                <p class="tech">{{ delimit . " · " }}</p>
+                {{- end }}
+            </article>
+            {{- end }}
+        </section>
+        {{- end }}
+
+        {{- with (where site.RegularPages "Section" "education").ByWeight }}
+        <section id="education">
+            <h2>Education</h2>
+            {{- range . }}
+            <article class="entry">
+                <div class="entry-header">
+                    <h3>{{ .Title }}</h3>
+                    {{- with .Params.year }}
+                    <span class="dates">{{ . }}</span>
+                    {{- end }}
+                </div>
+                {{- with .Params.institution }}
+                <p class="organization">{{ . }}</p>
+                {{- end }}
+                {{ .Content }}
+            </article>
+            {{- end }}
+        </section>
+        {{- end }}
+
+        {{- with site.Data.skills }}
+        <section id="skills">
+            <h2>Skills</h2>
+            {{- range . }}
+            <div class="skill-group">
+                <h3>{{ .category }}</h3>
+                <p>{{ delimit .items ", " }}</p>
+            </div>
+            {{- end }}
+        </section>
+        {{- end }}
+    </main>
+
+    <footer>
+        <p>&copy; {{ now.Year }} {{ $profile.name }}</p>
+    </footer>
+</body>
+</html>
+`;
+
+/**
+ * Project files, without styles.css and the static assets
+ */
+function files(content) {
+    const config = {
+        baseURL: content.url || '/',
+        languageCode: 'en',
+        title: content.title,
+        // Only the home page is rendered; entries are listed on it. robots.txt and
+        // sitemap.xml come from static/
+        disableKinds: ['section', 'taxonomy', 'term', 'rss', 'sitemap'],
+        params: {
+            description: content.description
+        }
+    };
+
+    return [
+        { name: 'hugo.yaml', content: yamlFile(config) },
+        { name: 'layouts/index.html', content: layout },
+        { name: 'content/_index.md', content: markdownFile({ title: content.profile.name }, markdownText(content.profile.summary)) },
+        ...contentEntries(content).map(entry => ({
+            name: `content/${entry.collection}/${entry.fileName}`,
+            content: markdownFile({
+                ...entry.data,
+                weight: entry.index + 1,
+                build: { render: 'never', list: 'always' }
+            }, entry.body)
+        })),
+        { name: 'data/profile.yaml', content: yamlFile(content.profile) },
+        { name: 'data/skills.yaml', content: yamlFile(content.skills) }
+    ];
+}
+
+module.exports = {
+    name: 'hugo',
+    label: 'Hugo',
+    staticDir: 'static/',
+    readme: {
+        requirements: '[Hugo](https://gohugo.io/installation/) 0.128 or later',
+        develop: 'hugo server',
+        build: 'hugo',
+        output: 'public/',
+        editing: [
+            '`content/_index.md` holds the summary shown under About',
+            '`content/experience/`, `content/projects/` and `content/education/` hold one Markdown file per entry, ordered by `weight`',
+            '`data/profile.yaml` holds your name, headline and links, `data/skills.yaml` your skills',
+            '`layouts/index.html` is the page layout, `static/styles.css` the stylesheet'
+        ]
+    },
+    files
+};
@@ -0,0 +1,76 @@
+/**
+ * Static site generator project export
+ * Each target turns the portfolio content (./content) into a project for its
+ * generator: config, layouts, Markdown content collections and data files. The
+ * stylesheet, fonts and images come from the theme pipeline and go in the target's
+ * static folder, so the built site looks the same whichever generator is used.
+ */
+
+const hugo = require('./hugo');
+const jekyll = require('./jekyll');
+const astro = require('./astro');
+const siteStyle = require('./styles');
+const { siteContent } = require('./content');
+const { generateCSS, generateAssets } = require('../themes');
+
+const TARGETS = { hugo, jekyll, astro };
+
+/**
+ * README.md of a generator project
+ */
+function projectREADME(target) {
+    const { requirements, develop, build, output, editing } = target.readme;
+
+    return `# Portfolio Website (${target.label})
+
+This is your personal portfolio website generated by Portlify as a ${target.label} project.
+
+## Requirements
+
+${requirements}
+
+## Local Preview
+
+Run \`${develop}\` and open the address it prints.
+
+## Build and Deploy
+
+Run \`${build}\`. The finished site is written to \`${output}\`; upload that folder to
+GitHub Pages, Netlify, Vercel or any static host, or connect the repository and use
+\`${build}\` as the build command.
+
+## Editing
+
+${editing.map(line => `- ${line}`).join('\n')}
+- Colors, fonts and page sizes are CSS variables in the \`:root\` block at the top of the stylesheet
+
+---
+
+Generated with ❤️ by [Portlify](https://portlify.com)
+`;
+}
+
+/**
+ * All files of a generator project
+ * @param {Object} portfolio - Portfolio document
+ * @param {string} name - One of SSG_TARGETS
+ * @returns {Array<{name: string, path?: string, content?: Buffer|string}>} ZIP entries, read from path or given as content
+ */
+function generateProject(portfolio, name) {
+    const target = TARGETS[name];
+    const staticFiles = [
+        { name: 'styles.css', content: generateCSS(portfolio, siteStyle) },
+        ...generateAssets(portfolio, siteStyle)
+    ];
+
+    return [
+        ...target.files(siteContent(portfolio)),
+        ...staticFiles.map(file => ({ ...file, name: `${target.staticDir}${file.name}` })),
+        { name: 'README.md', content: projectREADME(target) }
+    ];
+}
+
+module.exports = {
+    generateProject,
+    SSG_TARGETS: Object.keys(TARGETS)
+};
@@ -0,0 +1,195 @@
+/**
+ * Jekyll project: _experience, _projects and _education collections, _data files
+ * for the profile and skills, and a home page listing them
+ */
+
+const { yamlFile, markdownFile, contentEntries } = require('./content');
+
+const defaultLayout = `<!DOCTYPE html>
+<html lang="{{ site.lang | default: "en" }}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{ site.title | escape }}</title>
+    <meta name="description" content="{{ site.description | escape }}">
+    {%- assign favicon = site.data.profile.favicon %}
+    {%- if favicon %}
+    <link rel="icon" type="{{ favicon.type | escape }}" href="{{ favicon.href | relative_url }}">
+    {%- endif %}
+    <link rel="stylesheet" href="{{ "/styles.css" | relative_url }}">
+</head>
+<body>
+{{ content }}
+</body>
+</html>
+`;
+
+const indexPage = `---
+layout: default
+---
+{%- assign profile = site.data.profile %}
+<header class="hero">
+    {%- if profile.image %}
+    <img class="avatar" src="{{ profile.image | relative_url }}" alt="{{ profile.name | escape }}">
+    {%- endif %}
+    <h1>{{ profile.name | escape }}</h1>
+    {%- if profile.headline %}
+    <p class="headline">{{ profile.headline | escape }}</p>
+    {%- endif %}
+    <p class="links">
+        {%- if profile.links.emailHref %}<a href="{{ profile.links.emailHref | escape }}">{{ profile.links.email | escape }}</a>{% endif %}
+        {%- if profile.links.phoneHref %}<a href="{{ profile.links.phoneHref | escape }}">{{ profile.links.phone | escape }}</a>{% endif %}
+        {%- if profile.links.github %}<a href="{{ profile.links.github | escape }}">GitHub</a>{% endif %}
+        {%- if profile.links.linkedin %}<a href="{{ profile.links.linkedin | escape }}">LinkedIn</a>{% endif %}
+        {%- if profile.links.website %}<a href="{{ profile.links.website | escape }}">Website</a>{% endif %}
+    </p>
+</header>
+
+<main>
+    {%- if profile.summary %}
+    <section id="about">
+        <h2>About</h2>
+        <p>{{ profile.summary | escape }}</p>
+    </section>
+    {%- endif %}
+
+    {%- assign experience = site.experience | sort: "order" %}
+    {%- if experience.size > 0 %}
+    <section id="experience">
+        <h2>Experience</h2>
+        {%- for item in experience %}
+        <article class="entry">
+            <div class="entry-header">
+                <h3>{{ item.title | escape }}</h3>
+                {%- if item.duration %}
+                <span class="dates">{{ item.duration | escape }}</span>
+                {%- endif %}
+            </div>
+            {%- if item.company %}
+            <p class="organization">{{ item.company | escape }}</p>
+            {%- endif %}
+            {{ item.content | markdownify }}
+            {%- if item.highlights.size > 0 %}
+            <ul class="highlights">
+                {%- for highlight in item.highlights %}
+                <li>{{ highlight | escape }}</li>
+                {%- endfor %}
+            </ul>
+            {%- endif %}
+        </article>
+        {%- endfor %}
+    </section>
+    {%- endif %}
+
+    {%- assign projects = site.projects | sort: "order" %}
+    {%- if projects.size > 0 %}
+    <section id="projects">
+        <h2>Projects</h2>
+        {%- for item in projects %}
+        <article class="entry">
+            <h3>{% if item.link %}<a href="{{ item.link | escape }}">{{ item.title | escape }}</a>{% else %}{{ item.title | escape }}{% endif %}</h3>
+            {%- if item.image %}
+            <img class="project-thumb" src="{{ item.image | relative_url }}" alt="{{ item.title | escape }}" loading="lazy">
+            {%- endif %}
+            {{ item.content | markdownify }}
+            {%- if item.tech.size > 0 %}
+            <p class="tech">{{ item.tech | join: " · " | escape }}</p>
+            {%- endif %}
+        </article>
+        {%- endfor %}
+    </section>
+    {%- endif %}
+
+    {%- assign education = site.education | sort: "order" %}
+    {%- if education.size > 0 %}
+    <section id="education">
+        <h2>Education</h2>
+        {%- for item in education %}
+        <article class="entry">
+            <div class="entry-header">
+                <h3>{{ item.title | escape }}</h3>
+                {%- if item.year %}
+                <span class="dates">{{ item.year | escape }}</span>
+                {%- endif %}
+            </div>
+            {%- if item.institution %}
+            <p class="organization">{{ item.institution | escape }}</p>
+            {%- endif %}
+            {{ item.content | markdownify }}
+        </article>
+        {%- endfor %}
+    </section>
+    {%- endif %}
+
+    {%- if site.data.skills.size > 0 %}
+    <section id="skills">
+        <h2>Skills</h2>
+        {%- for group in site.data.skills %}
+        <div class="skill-group">
+            <h3>{{ group.category | escape }}</h3>
+            <p>{{ group.items | join: ", " | escape }}</p>
+        </div>
+        {%- endfor %}
+    </section>
+    {%- endif %}
+</main>
+
+<footer>
+    <p>&copy; {{ site.time | date: "%Y" }} {{ profile.name | escape }}</p>
+</footer>
+`;
+
+const gemfile = `source "https://rubygems.org"
+
+gem "jekyll", "~> 4.3"
+`;
+
+/**
+ * Project files, without styles.css and the static assets
+ */
+function files(content) {
+    const url = content.url ? new URL(content.url) : null;
+    const config = {
+        title: content.title,
+        description: content.description,
+        url: url ? url.origin : '',
+        baseurl: url ? url.pathname.replace(/\/$/, '') : '',
+        collections: {
+            experience: { output: false },
+            projects: { output: false },
+            education: { output: false }
+        },
+        exclude: ['README.md', 'Gemfile', 'Gemfile.lock', 'vendor']
+    };
+
+    return [
+        { name: '_config.yml', content: yamlFile(config) },
+        { name: 'Gemfile', content: gemfile },
+        { name: '_layouts/default.html', content: defaultLayout },
+        { name: 'index.html', content: indexPage },
+        ...contentEntries(content).map(entry => ({
+            name: `_${entry.collection}/${entry.fileName}`,
+            content: markdownFile({ ...entry.data, order: entry.index + 1 }, entry.body)
+        })),
+        { name: '_data/profile.yml', content: yamlFile(content.profile) },
+        { name: '_data/skills.yml', content: yamlFile(content.skills) }
+    ];
+}
+
+module.exports = {
+    name: 'jekyll',
+    label: 'Jekyll',
+    staticDir: '',
+    readme: {
+        requirements: '[Ruby and Bundler](https://jekyllrb.com/docs/installation/), then `bundle install`',
+        develop: 'bundle exec jekyll serve',
+        build: 'bundle exec jekyll build',
+        output: '_site/',
+        editing: [
+            '`_data/profile.yml` holds your name, headline, summary and links, `_data/skills.yml` your skills',
+            '`_experience/`, `_projects/` and `_education/` hold one Markdown file per entry, ordered by `order`',
+            '`index.html` and `_layouts/default.html` are the page layout, `styles.css` the stylesheet'
+        ]
+    },
+    files
+};
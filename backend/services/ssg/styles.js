@@ -0,0 +1,163 @@
+/**
+ * Stylesheet of the static site generator projects
+ * The Hugo, Jekyll and Astro layouts emit the same markup, styled here. It is passed
+ * to generateCSS like a custom template, so it gets the portfolio's colors and fonts.
+ */
+
+const css = `* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    font-family: var(--font-body);
+    line-height: 1.6;
+    color: #1f2937;
+    background: #f9fafb;
+}
+
+h1, h2, h3 {
+    font-family: var(--font-heading);
+    line-height: 1.25;
+}
+
+a {
+    color: var(--color-primary);
+}
+
+.hero {
+    text-align: center;
+    padding: 4rem 1.5rem 3rem;
+    background: linear-gradient(135deg, var(--color-primary), var(--color-secondary));
+    color: white;
+}
+
+.hero a {
+    color: white;
+}
+
+.avatar {
+    width: 120px;
+    height: 120px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 4px solid var(--color-accent);
+    margin-bottom: 1rem;
+}
+
+.hero h1 {
+    font-size: 2.5rem;
+}
+
+.headline {
+    font-size: 1.2rem;
+    opacity: 0.9;
+}
+
+.links {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 0.5rem 1.25rem;
+    margin-top: 1rem;
+}
+
+main {
+    max-width: var(--page-width);
+    margin: 0 auto;
+    padding: 2.5rem 1.5rem;
+}
+
+section {
+    margin-bottom: 2.5rem;
+}
+
+section h2 {
+    font-size: 1.5rem;
+    color: var(--color-secondary);
+    border-bottom: 2px solid var(--color-accent);
+    padding-bottom: 0.35rem;
+    margin-bottom: 1.25rem;
+}
+
+.entry {
+    margin-bottom: 1.5rem;
+}
+
+.entry-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    gap: 1rem;
+}
+
+.entry h3 {
+    font-size: 1.1rem;
+}
+
+.dates {
+    white-space: nowrap;
+    color: #6b7280;
+    font-size: 0.9rem;
+}
+
+.organization {
+    color: #4b5563;
+    font-style: italic;
+}
+
+.entry p + p,
+.highlights {
+    margin-top: 0.35rem;
+}
+
+.highlights {
+    padding-left: 1.25rem;
+}
+
+.project-thumb {
+    display: block;
+    width: 100%;
+    max-width: 480px;
+    aspect-ratio: 16 / 9;
+    object-fit: cover;
+    border-radius: 6px;
+    margin: 0.5rem 0;
+}
+
+.tech {
+    color: #6b7280;
+    font-size: 0.9rem;
+}
+
+.skill-group {
+    margin-bottom: 0.75rem;
+}
+
+.skill-group h3 {
+    font-size: 1rem;
+    color: var(--color-primary);
+}
+
+footer {
+    text-align: center;
+    padding: 2rem 1.5rem;
+    color: #6b7280;
+    font-size: 0.9rem;
+}
+
+@media (max-width: 640px) {
+    .entry-header {
+        flex-direction: column;
+        gap: 0;
+    }
+}`;
+
+module.exports = {
+    defaults: {
+        fonts: { heading: 'system-ui', body: 'system-ui' },
+        pageWidth: '860px'
+    },
+    css
+};
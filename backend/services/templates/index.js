@@ -0,0 +1,38 @@
+/**
+ * Custom templates for the static site export
+ * Templates are uploaded as packages (see templates/package), stored with the Template
+ * model and selected per portfolio with portfolio.template, in place of the built-in
+ * theme. index.html is rendered with Mustache against templates/view; every tag is
+ * HTML-escaped except {{{head}}}.
+ */
+
+const Mustache = require('mustache');
+const { templateView } = require('./view');
+const { readTemplatePackage } = require('./package');
+const { headTags } = require('../themes/partials');
+const { escapeHTML } = require('../../utils/html');
+
+/**
+ * Renders a template's index.html for a portfolio
+ * @param {Object} template - Template document
+ * @param {Object} portfolio - Portfolio document
+ * @param {Object} site - Export context, see themes/index
+ */
+function renderTemplate(template, portfolio, site) {
+    const view = templateView(portfolio, site, headTags(portfolio, site).toString());
+    return Mustache.render(template.html, view, {}, { escape: escapeHTML });
+}
+
+/**
+ * Static files of a template, as ZIP entries
+ * @returns {Array<{name: string, content: Buffer}>}
+ */
+function templateAssets(template) {
+    return (template.assets || []).map(asset => ({ name: asset.name, content: asset.content }));
+}
+
+module.exports = {
+    renderTemplate,
+    templateAssets,
+    readTemplatePackage
+};
@@ -0,0 +1,230 @@
+/**
+ * Reads and validates an uploaded template package
+ * A package is a ZIP with:
+ *   template.json - { name, label, description, fonts: { heading, body }, pageWidth }
+ *   index.html    - Mustache template, see templates/view for the available tags
+ *   styles.css    - optional stylesheet, served as styles.css after the :root variables
+ *   assets/       - optional images and fonts, referenced as assets/<file>
+ * Everything may also sit in a single top-level folder.
+ */
+
+const JSZip = require('jszip');
+const Mustache = require('mustache');
+const path = require('path');
+const { checkTokens } = require('./view');
+const { findFont } = require('../themes/fonts');
+
+const MAX_TEXT_BYTES = 512 * 1024;
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 8 * 1024 * 1024;
+const MAX_ASSETS = 100;
+
+const ASSET_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf'
+};
+
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const CSS_LENGTH = /^(none|\d+(\.\d+)?(px|rem|em|ch|vw|%))$/;
+
+// Files added by archivers and operating systems
+const IGNORED_FILE = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+/**
+ * Removes a top-level folder shared by every entry
+ */
+function stripCommonFolder(names) {
+    const first = names[0] && names[0].split('/')[0];
+    const nested = names.length > 0 && names.every(name => name.startsWith(`${first}/`));
+    return nested ? names.map(name => name.slice(first.length + 1)) : names;
+}
+
+/**
+ * Validates template.json
+ * @returns {{manifest: Object, errors: string[]}}
+ */
+function readManifest(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { errors: [`template.json is not valid JSON: ${error.message}`] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { errors: ['template.json must be an object'] };
+    }
+
+    const errors = [];
+    const fonts = data.fonts || {};
+
+    if (typeof data.name !== 'string' || !TEMPLATE_NAME.test(data.name)) {
+        errors.push('name must be 2-40 lowercase letters, digits or dashes');
+    }
+    if (data.label !== undefined && (typeof data.label !== 'string' || data.label.length > 60)) {
+        errors.push('label must be a string of at most 60 characters');
+    }
+    if (data.description !== undefined && (typeof data.description !== 'string' || data.description.length > 300)) {
+        errors.push('description must be a string of at most 300 characters');
+    }
+    ['heading', 'body'].forEach(role => {
+        if (fonts[role] !== undefined && !findFont(fonts[role])) {
+            errors.push(`fonts.${role} must be one of the supported fonts`);
+        }
+    });
+    if (data.pageWidth !== undefined && !CSS_LENGTH.test(String(data.pageWidth))) {
+        errors.push('pageWidth must be a CSS length such as 1000px or 60rem');
+    }
+
+    return {
+        errors,
+        manifest: {
+            name: data.name,
+            label: data.label || data.name,
+            description: data.description || '',
+            defaults: {
+                fonts: {
+                    heading: findFont(fonts.heading) || 'system-ui',
+                    body: findFont(fonts.body) || 'system-ui'
+                },
+                pageWidth: data.pageWidth || '1000px'
+            }
+        }
+    };
+}
+
+/**
+ * Validates index.html: Mustache syntax and the tags it uses
+ */
+function checkHTML(source) {
+    let tokens;
+    try {
+        tokens = Mustache.parse(source);
+    } catch (error) {
+        return [`index.html: ${error.message}`];
+    }
+
+    return checkTokens(tokens).map(problem => `index.html: ${problem}`);
+}
+
+/**
+ * Decompresses a ZIP entry, counting the bytes it actually expands to
+ * The sizes in the ZIP directory are whatever the archive claims, so they are not
+ * trusted: decompression stops as soon as the entry grows past the limit.
+ * @returns {Promise<Buffer|null>} The contents, or null when larger than limit
+ */
+function readEntry(file, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let bytes = 0;
+        const stream = file.internalStream('uint8array');
+
+        stream
+            .on('data', chunk => {
+                if (bytes > limit) return;
+                bytes += chunk.length;
+                if (bytes > limit) {
+                    stream.pause();
+                    resolve(null);
+                } else {
+                    chunks.push(chunk);
+                }
+            })
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks, bytes)))
+            .resume();
+    });
+}
+
+/**
+ * Reads a template package
+ * Entries are decompressed one at a time, within the size limits.
+ * @param {Buffer} buffer - Uploaded ZIP file
+ * @returns {Promise<{template?: Object, errors: string[]}>} Template fields for the model, or the problems found
+ */
+async function readTemplatePackage(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        return { errors: ['Template package must be a ZIP file'] };
+    }
+
+    const entries = Object.values(zip.files).filter(file => !file.dir && !IGNORED_FILE.test(file.name));
+    const names = stripCommonFolder(entries.map(file => file.name));
+    const files = new Map(entries.map((file, i) => [names[i], file]));
+    const errors = [];
+
+    ['template.json', 'index.html'].forEach(name => {
+        if (!files.has(name)) errors.push(`${name} is missing`);
+    });
+
+    const texts = [];
+    const assets = [];
+    for (const name of files.keys()) {
+        if (['template.json', 'index.html', 'styles.css'].includes(name)) {
+            texts.push(name);
+        } else if (!name.startsWith('assets/') || name.split('/').some(part => !part || part === '..' || part === '.')) {
+            errors.push(`Unexpected file: ${name}. Put images and fonts in assets/`);
+        } else if (!ASSET_TYPES[path.extname(name).toLowerCase()]) {
+            errors.push(`Unsupported asset type: ${name}. Allowed: ${Object.keys(ASSET_TYPES).join(', ')}`);
+        } else {
+            assets.push(name);
+        }
+    }
+
+    if (assets.length > MAX_ASSETS) return { errors: [...errors, `A template may contain at most ${MAX_ASSETS} assets`] };
+
+    // Contents by name; reading stops at the first file past a limit
+    const contents = new Map();
+    let total = 0;
+    for (const name of [...texts, ...assets]) {
+        const text = texts.includes(name);
+        const limit = text ? MAX_TEXT_BYTES : MAX_ASSET_BYTES;
+        const content = await readEntry(files.get(name), limit);
+
+        if (content === null) {
+            return { errors: [...errors, `${name} is larger than ${text ? `${limit / 1024} KB` : `${limit / 1024 / 1024} MB`}`] };
+        }
+
+        total += content.length;
+        if (total > MAX_TOTAL_BYTES) {
+            return { errors: [...errors, `Template package is larger than ${MAX_TOTAL_BYTES / 1024 / 1024} MB uncompressed`] };
+        }
+        contents.set(name, content);
+    }
+
+    const readText = name => (contents.has(name) ? contents.get(name).toString('utf8') : null);
+    const manifestText = readText('template.json');
+    const html = readText('index.html');
+    const { manifest, errors: manifestErrors } = manifestText !== null ? readManifest(manifestText) : { errors: [] };
+
+    errors.push(...manifestErrors, ...(html !== null ? checkHTML(html) : []));
+    if (errors.length > 0) return { errors };
+
+    return {
+        errors,
+        template: {
+            ...manifest,
+            html,
+            css: readText('styles.css') || '',
+            assets: assets.map(name => ({
+                name,
+                contentType: ASSET_TYPES[path.extname(name).toLowerCase()],
+                content: contents.get(name)
+            }))
+        }
+    };
+}
+
+module.exports = {
+    readTemplatePackage
+};
@@ -0,0 +1,151 @@
+/**
+ * Data custom templates are rendered against
+ * The view is a plain copy of the portfolio: text is escaped by the renderer, URLs are
+ * already sanitized (null when unsafe) and images point at the exported files.
+ * VIEW_SCHEMA lists every tag a template may use and is checked on upload.
+ */
+
+const { safeUrl } = require('../../utils/html');
+
+const SECTIONS = [
+    'skills', 'experience', 'projects', 'education', 'certifications',
+    'awards', 'publications', 'volunteer', 'languages'
+];
+
+// true: a value; object: nested fields; [schema]: a list of items
+const VIEW_SCHEMA = {
+    head: true,
+    name: true,
+    headline: true,
+    summary: true,
+    profilePicture: true,
+    year: true,
+    links: {
+        email: true,
+        emailHref: true,
+        phone: true,
+        phoneHref: true,
+        github: true,
+        linkedin: true,
+        website: true
+    },
+    has: Object.fromEntries(SECTIONS.map(section => [section, true])),
+    skills: [{ category: true, items: [true] }],
+    experience: [{ role: true, company: true, duration: true, current: true, description: true, highlights: [true] }],
+    projects: [{ title: true, description: true, tech: [true], link: true, image: true }],
+    education: [{ degree: true, institution: true, year: true, details: true }],
+    certifications: [{ name: true, issuer: true, date: true, credentialId: true, link: true }],
+    awards: [{ title: true, issuer: true, date: true, description: true }],
+    publications: [{ title: true, publisher: true, date: true, link: true }],
+    volunteer: [{ role: true, organization: true, duration: true, current: true, description: true, highlights: [true] }],
+    languages: [{ language: true, proficiency: true }]
+};
+
+// The only tag a template may render unescaped, with {{{head}}}
+const RAW_TAGS = ['head'];
+
+/**
+ * Copies the given fields of each item, dropping unsafe links
+ */
+function items(list, fields, linkFields = []) {
+    return (list || []).map(item => Object.fromEntries([
+        ...fields.map(field => [field, item[field] === undefined ? null : item[field]]),
+        ...linkFields.map(field => [field, safeUrl(item[field])])
+    ]));
+}
+
+/**
+ * Builds the view for a portfolio
+ * @param {Object} portfolio - Portfolio document
+ * @param {Object} site - Export context, see themes/index
+ * @param {string} head - Generated <head> tags, inserted with {{{head}}}
+ */
+function templateView(portfolio, site, head) {
+    const links = portfolio.links || {};
+    const email = links.email ? safeUrl(`mailto:${String(links.email).trim()}`, ['mailto:']) : null;
+    const digits = links.phone ? String(links.phone).replace(/[^\d+]/g, '') : '';
+
+    const view = {
+        head,
+        name: portfolio.name,
+        headline: portfolio.headline || null,
+        summary: portfolio.summary || null,
+        profilePicture: site.images.profilePicture,
+        year: new Date().getFullYear(),
+        links: {
+            email: email ? links.email : null,
+            emailHref: email,
+            phone: links.phone || null,
+            phoneHref: /\d/.test(digits) ? `tel:${digits}` : null,
+            github: safeUrl(links.github),
+            linkedin: safeUrl(links.linkedin),
+            website: safeUrl(links.website)
+        },
+        skills: items(portfolio.skills, ['category', 'items']),
+        experience: items(portfolio.experience, ['role', 'company', 'duration', 'isCurrent', 'description', 'highlights'])
+            .map(({ isCurrent, ...exp }) => ({ ...exp, current: Boolean(isCurrent) })),
+        projects: items(portfolio.projects, ['title', 'description', 'tech'], ['link'])
+            .map((project, i) => ({ ...project, image: site.images.projectImages[i] || null })),
+        education: items(portfolio.education, ['degree', 'institution', 'year', 'details']),
+        certifications: items(portfolio.certifications, ['name', 'issuer', 'date', 'credentialId'], ['link']),
+        awards: items(portfolio.awards, ['title', 'issuer', 'date', 'description']),
+        publications: items(portfolio.publications, ['title', 'publisher', 'date'], ['link']),
+        volunteer: items(portfolio.volunteer, ['role', 'organization', 'duration', 'isCurrent', 'description', 'highlights'])
+            .map(({ isCurrent, ...entry }) => ({ ...entry, current: Boolean(isCurrent) })),
+        languages: items(portfolio.languages, ['language', 'proficiency'])
+    };
+
+    view.has = Object.fromEntries(SECTIONS.map(section => [section, view[section].length > 0]));
+    return view;
+}
+
+/**
+ * Finds the schema of a dotted tag name, searching the enclosing sections innermost first
+ * @param {Array} stack - Schemas of the enclosing sections
+ * @returns {*} The schema, or undefined for an unknown name
+ */
+function lookupSchema(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+
+    const [first, ...rest] = name.split('.');
+    const scope = [...stack].reverse().find(schema => schema && typeof schema === 'object'
+        && !Array.isArray(schema) && Object.prototype.hasOwnProperty.call(schema, first));
+    if (!scope) return undefined;
+
+    return rest.reduce((schema, key) => {
+        if (Array.isArray(schema)) return key === 'length' ? true : undefined;
+        if (schema && typeof schema === 'object' && Object.prototype.hasOwnProperty.call(schema, key)) return schema[key];
+        return undefined;
+    }, scope[first]);
+}
+
+/**
+ * Checks parsed Mustache tokens against the view
+ * @param {Array} tokens - Result of Mustache.parse
+ * @returns {string[]} Problems found, empty when the template is valid
+ */
+function checkTokens(tokens, stack = [VIEW_SCHEMA]) {
+    return tokens.flatMap(([type, name, , , children]) => {
+        if (type === 'text' || type === '!' || type === '=') return [];
+        if (type === '>') return [`Partials are not supported: {{> ${name}}}`];
+        if (type === '&' && !RAW_TAGS.includes(name)) {
+            return [`Unescaped output is only allowed for ${RAW_TAGS.map(tag => `{{{${tag}}}}`).join(', ')}: {{{${name}}}}`];
+        }
+
+        const schema = lookupSchema(stack, name);
+        if (schema === undefined) return [`Unknown tag: {{${name}}}`];
+
+        if (type === '#' || type === '^') {
+            const inner = type === '#' && Array.isArray(schema) ? schema[0] : schema;
+            return checkTokens(children, [...stack, inner]);
+        }
+
+        return [];
+    });
+}
+
+module.exports = {
+    templateView,
+    checkTokens,
+    VIEW_SCHEMA
+};
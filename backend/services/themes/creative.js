@@ -0,0 +1,552 @@
+/**
+ * Creative theme: sticky navigation, full-height gradient hero,
+ * projects up front, skill chips and a contact call to action
+ */
+
+const { renderList, metaLine, image, socialLinks, sharedSections } = require('./partials');
+const { html, link, emailLink, phoneLink } = require('../../utils/html');
+
+const NAV_LABELS = {
+    about: 'About',
+    projects: 'Work',
+    skills: 'Skills',
+    experience: 'Experience',
+    education: 'Education',
+    contact: 'Contact'
+};
+
+/**
+ * Sticky navigation linking to the rendered sections
+ * @param {Object} portfolio - Portfolio document
+ * @param {Array<{key: string}>} sections - Sections present on the page
+ */
+function renderNav(portfolio, sections) {
+    return html`<nav class="site-nav">
+        <a href="#top" class="brand">${portfolio.name}</a>
+        <div class="nav-links">
+            ${renderList(sections.filter(section => NAV_LABELS[section.key]), section => html`<a href="#${section.key}">${NAV_LABELS[section.key]}</a>`)}
+        </div>
+    </nav>`;
+}
+
+function renderHeader(portfolio, site) {
+    return html`<header class="hero" id="top">
+        <div class="hero-inner">
+            <div class="hero-text">
+                <p class="eyebrow">Hello, I'm</p>
+                <h1>${portfolio.name}</h1>
+                <p class="headline">${portfolio.headline}</p>
+                ${socialLinks(portfolio.links)}
+            </div>
+            ${image(site.images.profilePicture, portfolio.name, 'hero-photo', false)}
+        </div>
+    </header>`;
+}
+
+const sections = {
+    ...sharedSections,
+
+    about: portfolio => (portfolio.summary ? html`<section class="about band" id="about">
+            <h2>About</h2>
+            <p class="lead">${portfolio.summary}</p>
+        </section>` : ''),
+
+    projects: (portfolio, site) => (portfolio.projects.length > 0 ? html`<section class="projects" id="projects">
+            <h2>Selected Work</h2>
+            <div class="project-mosaic">
+                ${renderList(portfolio.projects, (project, index) => html`
+                    <article class="project-tile${index === 0 ? ' featured' : ''}">
+                        ${image(site.images.projectImages[index], project.title, 'tile-image')}
+                        <h3>${project.title}</h3>
+                        ${project.description ? html`<p>${project.description}</p>` : ''}
+                        ${project.tech.length > 0 ? html`
+                            <ul class="chips">
+                                ${renderList(project.tech, tech => html`<li>${tech}</li>`)}
+                            </ul>
+                        ` : ''}
+                        ${project.link ? link(project.link, 'Explore →', 'tile-link') : ''}
+                    </article>
+                `)}
+            </div>
+        </section>` : ''),
+
+    skills: portfolio => (portfolio.skills.length > 0 ? html`<section class="skills band" id="skills">
+            <h2>Toolbox</h2>
+            ${renderList(portfolio.skills, skillGroup => html`
+                <div class="skill-category">
+                    <h3>${skillGroup.category}</h3>
+                    <ul class="chips">
+                        ${renderList(skillGroup.items, skill => html`<li>${skill}</li>`)}
+                    </ul>
+                </div>
+            `)}
+        </section>` : ''),
+
+    experience: portfolio => (portfolio.experience.length > 0 ? html`<section class="experience" id="experience">
+            <h2>Journey</h2>
+            <ol class="journey">
+                ${renderList(portfolio.experience, exp => html`
+                    <li class="journey-step">
+                        ${exp.duration ? html`<p class="when">${exp.duration}</p>` : ''}
+                        <h3>${exp.role}${exp.company ? html` <span class="at">@ ${exp.company}</span>` : ''}</h3>
+                        ${exp.description ? html`<p class="description">${exp.description}</p>` : ''}
+                        ${exp.highlights.length > 0 ? html`
+                            <ul class="highlights">
+                                ${renderList(exp.highlights, h => html`<li>${h}</li>`)}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `)}
+            </ol>
+        </section>` : ''),
+
+    education: portfolio => (portfolio.education.length > 0 ? html`<section class="education band" id="education">
+            <h2>Education</h2>
+            <div class="entry-list">
+                ${renderList(portfolio.education, edu => html`
+                    <div class="entry-item">
+                        <h3>${edu.degree}</h3>
+                        <p class="entry-meta">${metaLine(edu.institution, edu.year)}</p>
+                        ${edu.details ? html`<p class="details">${edu.details}</p>` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>` : ''),
+
+    contact: ({ links }) => (links.email || links.phone ? html`<section class="cta" id="contact">
+            <h2>Let's work together</h2>
+            ${links.email ? emailLink(links.email, links.email, 'cta-button') : ''}
+            ${links.phone ? html`<p class="cta-phone">${phoneLink(links.phone)}</p>` : ''}
+        </section>` : '')
+};
+
+const css = `* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+html {
+    scroll-behavior: smooth;
+}
+
+body {
+    --content-width: 1100px;
+    font-family: var(--font-body);
+    line-height: 1.7;
+    color: #1a1a2e;
+    background: #fffdf8;
+}
+
+h1, h2, h3 {
+    font-family: var(--font-heading);
+    line-height: 1.15;
+}
+
+/* Navigation */
+.site-nav {
+    position: sticky;
+    top: 0;
+    z-index: 10;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 1rem 2rem;
+    background: rgba(255, 253, 248, 0.92);
+    backdrop-filter: blur(6px);
+}
+
+.site-nav a {
+    color: #1a1a2e;
+    text-decoration: none;
+    font-weight: 600;
+}
+
+.site-nav .brand {
+    color: var(--color-primary);
+}
+
+.nav-links {
+    display: flex;
+    gap: 1.5rem;
+}
+
+.nav-links a:hover {
+    color: var(--color-primary);
+}
+
+/* Hero */
+.hero {
+    min-height: 90vh;
+    display: flex;
+    align-items: center;
+    padding: 4rem 2rem;
+    background: linear-gradient(135deg, var(--color-primary) 0%, var(--color-secondary) 60%, var(--color-accent) 100%);
+    color: white;
+    clip-path: polygon(0 0, 100% 0, 100% 88%, 0 100%);
+}
+
+.hero-inner {
+    max-width: var(--content-width);
+    margin: 0 auto;
+    width: 100%;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 3rem;
+}
+
+.hero-photo {
+    width: clamp(160px, 25vw, 280px);
+    aspect-ratio: 1;
+    flex-shrink: 0;
+    object-fit: cover;
+    border-radius: 50%;
+    border: 6px solid white;
+    box-shadow: 12px 12px 0 #1a1a2e;
+}
+
+.eyebrow {
+    font-size: 1.25rem;
+    opacity: 0.85;
+}
+
+.hero h1 {
+    font-size: clamp(3rem, 9vw, 6.5rem);
+    margin: 0.25rem 0 1rem;
+}
+
+.hero .headline {
+    font-size: 1.5rem;
+    max-width: 40ch;
+}
+
+.social-links {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1rem;
+    margin-top: 2rem;
+}
+
+.social-links a {
+    color: white;
+    text-decoration: none;
+    border: 2px solid white;
+    border-radius: 999px;
+    padding: 0.5rem 1.5rem;
+    transition: all 0.2s;
+}
+
+.social-links a:hover {
+    background: white;
+    color: var(--color-secondary);
+}
+
+/* Sections */
+section {
+    padding: 5rem 2rem;
+}
+
+.layout-single-column .page-main > section {
+    max-width: var(--content-width);
+    margin: 0 auto;
+}
+
+/* Full-width tinted bands only in the single column layout */
+.layout-single-column .page-main > section.band {
+    max-width: none;
+    background: #f4f1ff;
+    padding-left: max(2rem, calc((100% - var(--content-width)) / 2 + 2rem));
+    padding-right: max(2rem, calc((100% - var(--content-width)) / 2 + 2rem));
+}
+
+.layout-sidebar .page-body,
+.layout-two-column .page-main {
+    max-width: var(--content-width);
+    margin: 0 auto;
+    padding: 0 2rem;
+}
+
+.layout-sidebar section,
+.layout-two-column section {
+    padding: 4rem 0 2rem;
+}
+
+/* Section titles are numbered in page order */
+.page {
+    counter-reset: section;
+}
+
+section h2 {
+    font-size: 2.5rem;
+    margin-bottom: 2.5rem;
+}
+
+section h2::before {
+    counter-increment: section;
+    content: counter(section, decimal-leading-zero) " ";
+    color: var(--color-accent);
+    font-size: 1.25rem;
+    vertical-align: super;
+}
+
+.page-aside section h2 {
+    font-size: 1.75rem;
+}
+
+.cta h2::before {
+    content: none;
+}
+
+.lead {
+    font-size: 1.35rem;
+    max-width: 60ch;
+}
+
+/* Project mosaic */
+.project-mosaic {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(min(280px, 100%), 1fr));
+    gap: 1.5rem;
+}
+
+.project-tile {
+    background: white;
+    border-radius: 20px;
+    padding: 2rem;
+    border: 3px solid #1a1a2e;
+    box-shadow: 8px 8px 0 var(--color-accent);
+    transition: transform 0.2s, box-shadow 0.2s;
+}
+
+.project-tile:hover {
+    transform: translate(-4px, -4px);
+    box-shadow: 12px 12px 0 var(--color-primary);
+}
+
+.layout-single-column .project-tile.featured {
+    grid-column: span 2;
+}
+
+.project-tile.featured {
+    background: var(--color-secondary);
+    color: white;
+}
+
+.tile-image {
+    display: block;
+    width: calc(100% + 4rem);
+    margin: -2rem -2rem 1.25rem;
+    aspect-ratio: 16 / 9;
+    object-fit: cover;
+    border-radius: 17px 17px 0 0;
+    border-bottom: 3px solid #1a1a2e;
+}
+
+.project-tile h3 {
+    font-size: 1.5rem;
+    margin-bottom: 0.75rem;
+}
+
+.tile-link {
+    display: inline-block;
+    margin-top: 1rem;
+    font-weight: 700;
+    color: inherit;
+}
+
+/* Chips */
+.chips {
+    list-style: none;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-top: 1rem;
+}
+
+.chips li {
+    padding: 0.3rem 0.9rem;
+    border-radius: 999px;
+    background: var(--color-primary);
+    color: white;
+    font-size: 0.9rem;
+    font-weight: 600;
+}
+
+.project-tile.featured .chips li {
+    background: white;
+    color: var(--color-secondary);
+}
+
+.skill-category {
+    margin-bottom: 2rem;
+}
+
+.skill-category h3 {
+    font-size: 1.1rem;
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+}
+
+/* Journey */
+.journey {
+    list-style: none;
+    counter-reset: step;
+}
+
+.journey-step {
+    position: relative;
+    padding: 0 0 2.5rem 4rem;
+    counter-increment: step;
+}
+
+.journey-step::before {
+    content: counter(step);
+    position: absolute;
+    left: 0;
+    top: 0;
+    width: 2.5rem;
+    height: 2.5rem;
+    border-radius: 50%;
+    background: var(--color-accent);
+    color: white;
+    font-weight: 700;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+}
+
+.journey-step .when {
+    color: var(--color-primary);
+    font-weight: 700;
+}
+
+.journey-step h3 {
+    font-size: 1.5rem;
+}
+
+.journey-step .at {
+    color: #6b7280;
+    font-weight: 400;
+}
+
+.highlights {
+    margin: 0.75rem 0 0 1.25rem;
+}
+
+/* Other entries */
+.entry-item {
+    margin-bottom: 1.5rem;
+}
+
+.entry-item h3 a {
+    color: inherit;
+}
+
+.entry-meta {
+    color: var(--color-primary);
+    font-weight: 600;
+}
+
+.languages-list {
+    list-style: none;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.75rem;
+}
+
+.languages-list li {
+    padding: 0.5rem 1.25rem;
+    border-radius: 999px;
+    border: 2px solid #1a1a2e;
+}
+
+/* Call to action */
+.cta {
+    text-align: center;
+}
+
+.layout-two-column .page-main > .cta {
+    grid-column: 1 / -1;
+}
+
+.cta h2 {
+    font-size: clamp(2rem, 6vw, 4rem);
+}
+
+.cta-button {
+    display: inline-block;
+    padding: 1rem 2.5rem;
+    border-radius: 999px;
+    background: var(--color-primary);
+    color: white;
+    font-size: 1.25rem;
+    font-weight: 700;
+    text-decoration: none;
+    box-shadow: 6px 6px 0 #1a1a2e;
+}
+
+.cta-button:hover {
+    background: var(--color-secondary);
+}
+
+.cta-phone {
+    margin-top: 1rem;
+    color: #6b7280;
+}
+
+/* Footer */
+footer {
+    text-align: center;
+    padding: 2rem;
+    background: #1a1a2e;
+    color: #d1d5db;
+}
+
+.generated {
+    font-size: 0.85rem;
+    opacity: 0.7;
+}
+
+/* Responsive */
+@media (max-width: 768px) {
+    .nav-links {
+        display: none;
+    }
+
+    .hero {
+        min-height: 70vh;
+    }
+
+    .hero-inner {
+        flex-direction: column-reverse;
+        align-items: flex-start;
+    }
+
+    .layout-single-column .project-tile.featured {
+        grid-column: auto;
+    }
+
+    section {
+        padding: 3rem 1.5rem;
+    }
+}`;
+
+module.exports = {
+    name: 'creative',
+    label: 'Creative',
+    defaults: {
+        fonts: { heading: 'Arial Black', body: 'Trebuchet MS' },
+        layout: 'single-column',
+        pageWidth: 'none'
+    },
+    sectionOrder: [
+        'about', 'projects', 'skills', 'experience', 'education',
+        'certifications', 'awards', 'publications', 'volunteer', 'languages', 'contact'
+    ],
+    sidebarSections: ['skills', 'languages', 'certifications'],
+    renderNav,
+    renderHeader,
+    sections,
+    css
+};
@@ -0,0 +1,118 @@
+/**
+ * Fonts available to exported sites
+ * Web-safe fonts are referenced by name only. Self-hosted fonts come from @fontsource
+ * packages: their Latin woff2 files are copied into fonts/ of the ZIP and declared
+ * with @font-face, so the site never loads fonts from a third party.
+ */
+
+const path = require('path');
+
+const WEB_SAFE_FONTS = {
+    'system-ui': "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    'Arial': "Arial, 'Helvetica Neue', Helvetica, sans-serif",
+    'Helvetica': "'Helvetica Neue', Helvetica, Arial, sans-serif",
+    'Verdana': 'Verdana, Geneva, sans-serif',
+    'Trebuchet MS': "'Trebuchet MS', 'Segoe UI', sans-serif",
+    'Arial Black': "'Arial Black', 'Helvetica Neue', sans-serif",
+    'Georgia': "Georgia, 'Times New Roman', serif",
+    'Times New Roman': "'Times New Roman', Times, serif",
+    'Courier New': "'Courier New', Courier, monospace"
+};
+
+const SELF_HOSTED_FONTS = {
+    'Inter': { id: 'inter', fallback: 'sans-serif' },
+    'Roboto': { id: 'roboto', fallback: 'sans-serif' },
+    'Lato': { id: 'lato', fallback: 'sans-serif' },
+    'Merriweather': { id: 'merriweather', fallback: 'serif' },
+    'Playfair Display': { id: 'playfair-display', fallback: 'serif' },
+    'Source Code Pro': { id: 'source-code-pro', fallback: 'monospace' }
+};
+
+const FONT_WEIGHTS = [400, 700];
+
+const FONT_NAMES = [...Object.keys(WEB_SAFE_FONTS), ...Object.keys(SELF_HOSTED_FONTS)];
+
+// Font names outside the catalog are still allowed if they are plain words
+const SAFE_FONT_NAME = /^[a-z0-9 -]{1,40}$/i;
+
+/**
+ * Finds a catalog font by name, ignoring case
+ */
+function findFont(name) {
+    if (!name) return null;
+    const key = String(name).trim().toLowerCase();
+    return FONT_NAMES.find(font => font.toLowerCase() === key) || null;
+}
+
+/**
+ * CSS font-family value for a font name
+ * Catalog fonts get their stack; other plain names are tried first with the
+ * fallback stack behind them, since the visitor may have them installed.
+ * @param {string} name - Font chosen in customizations.fonts
+ * @param {string} fallbackName - Theme default, used when name is empty or unsafe
+ */
+function fontStack(name, fallbackName) {
+    const font = findFont(name);
+    if (font && WEB_SAFE_FONTS[font]) return WEB_SAFE_FONTS[font];
+    if (font) return `'${font}', ${SELF_HOSTED_FONTS[font].fallback}`;
+
+    const fallback = fontStack(fallbackName || 'system-ui', 'system-ui');
+    if (name && SAFE_FONT_NAME.test(String(name).trim())) {
+        return `'${String(name).trim()}', ${fallback}`;
+    }
+    return fallback;
+}
+
+/**
+ * Self-hosted fonts among the given names, without duplicates
+ */
+function selfHostedFonts(names) {
+    return [...new Set(names.map(findFont))].filter(font => font && SELF_HOSTED_FONTS[font]);
+}
+
+function fontFileName(font, weight) {
+    return `${SELF_HOSTED_FONTS[font].id}-latin-${weight}-normal.woff2`;
+}
+
+/**
+ * @font-face rules for the self-hosted fonts among the given names
+ */
+function fontFaceCSS(names) {
+    return selfHostedFonts(names).flatMap(font => FONT_WEIGHTS.map(weight => `@font-face {
+    font-family: '${font}';
+    font-style: normal;
+    font-weight: ${weight};
+    font-display: swap;
+    src: url('fonts/${fontFileName(font, weight)}') format('woff2');
+}`)).join('\n\n');
+}
+
+/**
+ * Font files to bundle for the given names, with each font's license
+ * @returns {Array<{name: string, path: string}>} ZIP entry names and source paths
+ */
+function fontFiles(names) {
+    return selfHostedFonts(names).flatMap(font => {
+        const pkg = `@fontsource/${SELF_HOSTED_FONTS[font].id}`;
+        return [
+            ...FONT_WEIGHTS.map(weight => ({
+                name: `fonts/${fontFileName(font, weight)}`,
+                path: require.resolve(`${pkg}/files/${fontFileName(font, weight)}`)
+            })),
+            {
+                name: `fonts/LICENSE-${SELF_HOSTED_FONTS[font].id}.txt`,
+                path: path.join(path.dirname(require.resolve(`${pkg}/package.json`)), 'LICENSE')
+            }
+        ];
+    });
+}
+
+module.exports = {
+    fontStack,
+    fontFaceCSS,
+    fontFiles,
+    findFont,
+    FONT_NAMES,
+    SAFE_FONT_NAME,
+    SELF_HOSTED_FONTS
+};
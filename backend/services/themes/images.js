@@ -0,0 +1,231 @@
+/**
+ * Images of the exported site
+ * Base64 images stored on the portfolio (profilePicture, projects[].image) are decoded
+ * into files under images/ so the HTML references real files; http(s) URLs are
+ * referenced as they are. SVG is not accepted because it can carry scripts.
+ */
+
+const { PNG } = require('pngjs');
+const { safeUrl } = require('../../utils/html');
+
+// Largest decoded image written to the ZIP
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Sizes packed into favicon.ico: 32 px for browser tabs, 48 px for desktop shortcuts
+const FAVICON_SIZES = [32, 48];
+
+// Favicons of the most recently exported portfolio versions, by portfolio id
+const FAVICON_CACHE_SIZE = 100;
+const faviconCache = new Map();
+
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+/**
+ * Detects the image type from the first bytes of the file
+ */
+function sniffImageType(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * Decodes a data URI ("data:image/png;base64,...") or a bare base64 string
+ * The declared type must match the actual bytes.
+ * @returns {{buffer: Buffer, mimetype: string, extension: string}|null}
+ */
+function decodeImage(value) {
+    const text = String(value).trim();
+    const dataUri = text.match(/^data:([\w/+.-]+)?(?:;[\w-]+=[^;,]*)*;base64,([\s\S]*)$/i);
+    const base64 = (dataUri ? dataUri[2] : text).replace(/\s+/g, '');
+
+    if (!base64 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64)) return null;
+
+    const buffer = Buffer.from(base64, 'base64');
+    const mimetype = sniffImageType(buffer);
+    if (!mimetype || buffer.length > MAX_IMAGE_BYTES) return null;
+    if (dataUri && dataUri[1] && dataUri[1].toLowerCase().replace('image/jpg', 'image/jpeg') !== mimetype) return null;
+
+    return { buffer, mimetype, extension: IMAGE_TYPES[mimetype] };
+}
+
+/**
+ * Resolves one stored image to the src used in the HTML
+ * @param {string} value - Data URI, base64 or URL from the portfolio
+ * @param {string} baseName - File name without extension, e.g. "profile"
+ * @param {Array} files - Receives the decoded file, if any
+ * @returns {{src: string, image: Object|null}|null} src and the decoded image, or null
+ */
+function resolveImage(value, baseName, files) {
+    if (!value) return null;
+
+    if (/^https?:/i.test(String(value).trim())) {
+        const src = safeUrl(value, ['http:', 'https:']);
+        return src ? { src, image: null } : null;
+    }
+
+    const image = decodeImage(value);
+    if (!image) {
+        console.warn(`⚠️  Skipping ${baseName} image: not a PNG, JPEG, GIF or WebP image under ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+        return null;
+    }
+
+    const name = `images/${baseName}.${image.extension}`;
+    files.push({ name, content: image.buffer });
+    return { src: name, image };
+}
+
+/**
+ * Scales the centered square of a decoded image to size x size pixels
+ * Each pixel averages the source pixels it covers, weighted by their alpha so
+ * transparent pixels do not darken the edges.
+ * @returns {Buffer} PNG file
+ */
+function resizeSquare(image, size) {
+    const side = Math.min(image.width, image.height);
+    const left = Math.floor((image.width - side) / 2);
+    const top = Math.floor((image.height - side) / 2);
+    // Source rows or columns covered by pixel i, at least one
+    const span = i => {
+        const start = Math.floor((i * side) / size);
+        return [start, Math.max(Math.floor(((i + 1) * side) / size), start + 1)];
+    };
+    const resized = new PNG({ width: size, height: size });
+
+    for (let y = 0; y < size; y++) {
+        const [y0, y1] = span(y);
+        for (let x = 0; x < size; x++) {
+            const [x0, x1] = span(x);
+            const sum = [0, 0, 0, 0];
+
+            for (let sy = top + y0; sy < top + y1; sy++) {
+                for (let sx = left + x0; sx < left + x1; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3];
+                    sum[0] += image.data[i] * alpha;
+                    sum[1] += image.data[i + 1] * alpha;
+                    sum[2] += image.data[i + 2] * alpha;
+                    sum[3] += alpha;
+                }
+            }
+
+            const o = (y * size + x) * 4;
+            const pixels = (y1 - y0) * (x1 - x0);
+            for (let c = 0; c < 3; c++) {
+                resized.data[o + c] = sum[3] ? Math.round(sum[c] / sum[3]) : 0;
+            }
+            resized.data[o + 3] = Math.round(sum[3] / pixels);
+        }
+    }
+
+    return PNG.sync.write(resized);
+}
+
+/**
+ * Packs PNG files into an .ico container, which may hold PNG data directly
+ * @param {Array<{size: number, png: Buffer}>} images - Square images, smallest first
+ */
+function pngToIco(images) {
+    const header = Buffer.alloc(6 + 16 * images.length);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(images.length, 4);
+
+    let offset = header.length;
+    images.forEach(({ size, png }, i) => {
+        const entry = 6 + 16 * i;
+        // The ICO directory stores 0 for 256 pixels
+        header.writeUInt8(size >= 256 ? 0 : size, entry);
+        header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+        header.writeUInt8(0, entry + 2);
+        header.writeUInt8(0, entry + 3);
+        header.writeUInt16LE(1, entry + 4);
+        header.writeUInt16LE(32, entry + 6);
+        header.writeUInt32LE(png.length, entry + 8);
+        header.writeUInt32LE(offset, entry + 12);
+        offset += png.length;
+    });
+
+    return Buffer.concat([header, ...images.map(image => image.png)]);
+}
+
+/**
+ * favicon.ico for a PNG profile picture, resized to FAVICON_SIZES
+ * Resizing a large picture takes a while, so the icon is kept for the portfolio
+ * version it was made from: updatedAt changes whenever the portfolio is saved.
+ * @returns {Buffer|null} null when the PNG cannot be decoded
+ */
+function faviconFor(portfolio, png) {
+    const id = portfolio._id ? String(portfolio._id) : null;
+    const version = portfolio.updatedAt ? new Date(portfolio.updatedAt).getTime() : null;
+    const cached = id && faviconCache.get(id);
+    if (cached && cached.version === version) return cached.ico;
+
+    let ico;
+    try {
+        const image = PNG.sync.read(png);
+        ico = pngToIco(FAVICON_SIZES.map(size => ({ size, png: resizeSquare(image, size) })));
+    } catch (error) {
+        console.warn(`⚠️  Linking the profile picture as the favicon: ${error.message}`);
+        return null;
+    }
+
+    if (id) {
+        // Re-inserted entries move to the end, so the first one is the least recently made
+        faviconCache.delete(id);
+        faviconCache.set(id, { version, ico });
+        if (faviconCache.size > FAVICON_CACHE_SIZE) faviconCache.delete(faviconCache.keys().next().value);
+    }
+    return ico;
+}
+
+/**
+ * Favicon made from the decoded profile picture
+ * A PNG becomes favicon.ico; other formats, and PNGs that cannot be resized, are
+ * linked as they are.
+ */
+function createFavicon(portfolio, profile, files) {
+    if (!profile || !profile.image) return null;
+
+    const ico = profile.image.mimetype === 'image/png' ? faviconFor(portfolio, profile.image.buffer) : null;
+    if (ico) {
+        files.push({ name: 'favicon.ico', content: ico });
+        return { href: 'favicon.ico', type: 'image/x-icon' };
+    }
+
+    return { href: profile.src, type: profile.image.mimetype };
+}
+
+/**
+ * Collects the images of a portfolio for the exported site
+ * @param {Object} portfolio - Portfolio document
+ * @returns {{profilePicture: string|null, projectImages: Array<string|null>, favicon: Object|null, files: Array<{name: string, content: Buffer}>}}
+ */
+function collectImages(portfolio) {
+    const files = [];
+    const profile = resolveImage(portfolio.profilePicture, 'profile', files);
+    const projectImages = (portfolio.projects || []).map((project, i) => {
+        const resolved = resolveImage(project.image, `project-${i + 1}`, files);
+        return resolved ? resolved.src : null;
+    });
+
+    return {
+        profilePicture: profile ? profile.src : null,
+        projectImages,
+        favicon: createFavicon(portfolio, profile, files),
+        files
+    };
+}
+
+module.exports = {
+    collectImages,
+    decodeImage
+};
@@ -0,0 +1,191 @@
+/**
+ * Theme registry for the static site export
+ * A theme renders a header and its sections and provides a stylesheet written against
+ * CSS custom properties. The layout (customizations.layout) places the sections, and
+ * the :root block built here carries the portfolio's colors, fonts and sizes.
+ * Headers and sections receive (portfolio, site), where site.images holds the image
+ * paths from themes/images and site.url the canonical URL from themes/seo.
+ * When the portfolio uses a custom template (services/templates), pass it as the
+ * last argument: it replaces the theme's markup and stylesheet.
+ */
+
+const modern = require('./modern');
+const professional = require('./professional');
+const creative = require('./creative');
+const minimal = require('./minimal');
+const { isCSSColor, themeColors, documentStart, documentEnd, footer } = require('./partials');
+const { resolveLayout, renderSections, arrangeSections, layoutCSS, LAYOUT_NAMES } = require('./layouts');
+const { fontStack, fontFaceCSS, fontFiles, findFont, FONT_NAMES } = require('./fonts');
+const { collectImages } = require('./images');
+const { siteUrl, seoFiles } = require('./seo');
+const { renderTemplate, templateAssets } = require('../templates');
+const { html } = require('../../utils/html');
+
+const THEMES = { modern, professional, creative, minimal };
+const DEFAULT_THEME = 'modern';
+
+/**
+ * Returns a theme by name, falling back to the default theme
+ */
+function getTheme(name) {
+    return THEMES[name] || THEMES[DEFAULT_THEME];
+}
+
+/**
+ * Heading and body fonts: customizations.fonts, else the theme's (or template's) defaults
+ * `bundled` is the catalog font whose files the site needs, if any
+ */
+function resolveFonts(portfolio, theme) {
+    const chosen = (portfolio.customizations && portfolio.customizations.fonts) || {};
+    const resolve = role => ({
+        stack: fontStack(chosen[role], theme.defaults.fonts[role]),
+        bundled: findFont(chosen[role]) || theme.defaults.fonts[role]
+    });
+
+    return { heading: resolve('heading'), body: resolve('body') };
+}
+
+/**
+ * :root block with the custom properties every theme stylesheet uses
+ */
+function variablesCSS(portfolio, theme) {
+    const colors = themeColors(portfolio);
+    const fonts = resolveFonts(portfolio, theme);
+
+    return `/* Colors, fonts and sizes: change these to restyle the whole site */
+:root {
+    --color-primary: ${colors.primary};
+    --color-secondary: ${colors.secondary};
+    --color-accent: ${colors.accent};
+    --font-heading: ${fonts.heading.stack};
+    --font-body: ${fonts.body.stack};
+    --page-width: ${theme.defaults.pageWidth};
+    --sidebar-width: ${theme.defaults.sidebarWidth || '280px'};
+    --layout-gap: 2rem;
+}`;
+}
+
+/**
+ * Generates index.html for the portfolio's theme and layout, or its custom template
+ * Themes build markup with utils/html, so resume content is escaped and URLs sanitized
+ * @param {Object} portfolio - Portfolio document
+ * @param {Object} [template] - Template document selected by portfolio.template
+ */
+function generateHTML(portfolio, template) {
+    const site = { images: collectImages(portfolio), url: siteUrl(portfolio) };
+    if (template) return renderTemplate(template, portfolio, site);
+
+    const theme = getTheme(portfolio.theme);
+    const layout = resolveLayout(portfolio, theme);
+    const sections = renderSections(theme, portfolio, site);
+
+    return html`${documentStart(portfolio, `theme-${theme.name} layout-${layout}`, site)}
+    ${theme.renderNav ? theme.renderNav(portfolio, sections) : ''}
+    <div class="page">
+        ${theme.renderHeader(portfolio, site)}
+
+        ${arrangeSections(layout, sections, theme)}
+
+        ${footer(portfolio)}
+    </div>${documentEnd()}`.toString();
+}
+
+/**
+ * Generates 404.html for hosts that serve it for unknown paths
+ * It can be served at any path, so <base> points at the site root: the siteUrl path
+ * when one is set, else the domain root.
+ */
+function generateNotFoundHTML(portfolio, template) {
+    const site = { images: collectImages(portfolio), url: siteUrl(portfolio) };
+    const theme = template ? null : getTheme(portfolio.theme);
+    const favicon = site.images.favicon;
+
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Page not found - ${portfolio.name}</title>
+    <base href="${site.url ? new URL(site.url).pathname : '/'}">
+    ${favicon ? html`<link rel="icon" type="${favicon.type}" href="${favicon.href}">` : ''}
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body class="${theme ? `theme-${theme.name}` : 'not-found-page'}">
+    <div class="page">
+        ${theme ? theme.renderHeader(portfolio, site) : ''}
+
+        <main class="page-main">
+            <section class="not-found" id="not-found">
+                <h2>Page not found</h2>
+                <p>This page does not exist. <a href="./">Back to ${portfolio.name}'s portfolio</a></p>
+            </section>
+        </main>
+
+        ${footer(portfolio)}
+    </div>${documentEnd()}`.toString();
+}
+
+/**
+ * Generates styles.css: font faces, variables, theme styles and layout
+ * A custom template brings its own styles and no layout.
+ */
+function generateCSS(portfolio, template) {
+    const theme = template || getTheme(portfolio.theme);
+    const fonts = resolveFonts(portfolio, theme);
+
+    return [
+        fontFaceCSS([fonts.heading.bundled, fonts.body.bundled]),
+        variablesCSS(portfolio, theme),
+        theme.css,
+        template ? '' : layoutCSS(resolveLayout(portfolio, theme))
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Files the site needs besides index.html and styles.css: fonts, images, robots.txt,
+ * sitemap.xml and the custom template's assets
+ * @returns {Array<{name: string, path?: string, content?: Buffer|string}>} ZIP entries, read from path or given as content
+ */
+function generateAssets(portfolio, template) {
+    const fonts = resolveFonts(portfolio, template || getTheme(portfolio.theme));
+    return [
+        ...fontFiles([fonts.heading.bundled, fonts.body.bundled]),
+        ...collectImages(portfolio).files,
+        ...seoFiles(portfolio),
+        ...(template ? templateAssets(template) : [])
+    ];
+}
+
+/**
+ * Copy of a portfolio with another theme or colors, for previews that are not saved
+ * @param {Object} portfolio - Portfolio document
+ * @param {{theme?: string, colors?: Object}} overrides - Validated by the caller
+ */
+function withCustomizations(portfolio, { theme, colors } = {}) {
+    const data = typeof portfolio.toObject === 'function' ? portfolio.toObject({ minimize: false }) : { ...portfolio };
+    const customizations = data.customizations || {};
+
+    return {
+        ...data,
+        theme: theme || data.theme,
+        customizations: {
+            ...customizations,
+            colors: { ...customizations.colors, ...colors }
+        }
+    };
+}
+
+module.exports = {
+    generateHTML,
+    generateNotFoundHTML,
+    generateCSS,
+    generateAssets,
+    withCustomizations,
+    getTheme,
+    isCSSColor,
+    THEME_NAMES: Object.keys(THEMES),
+    LAYOUT_NAMES,
+    FONT_NAMES,
+    DEFAULT_THEME
+};
@@ -0,0 +1,117 @@
+/**
+ * Page layouts for the exported site, selected by customizations.layout
+ * A layout places the sections a theme renders; the theme styles them.
+ * Every layout uses the same shell: .page > header, main content, footer.
+ */
+
+const { html } = require('../../utils/html');
+
+const LAYOUTS = {
+    'single-column': 'Single column',
+    'sidebar': 'Sidebar',
+    'two-column': 'Two-column grid'
+};
+
+const LAYOUT_NAMES = Object.keys(LAYOUTS);
+
+// Sections moved to the sidebar unless the theme lists its own
+const DEFAULT_SIDEBAR_SECTIONS = ['contact', 'skills', 'languages', 'certifications'];
+
+/**
+ * Layout of a portfolio: customizations.layout if known, else the theme's default
+ */
+function resolveLayout(portfolio, theme) {
+    const layout = portfolio.customizations && portfolio.customizations.layout;
+    return LAYOUTS[layout] ? layout : theme.defaults.layout;
+}
+
+/**
+ * Renders the theme's non-empty sections in order
+ * @param {Object} site - Export context passed to every section, see themes/index
+ * @returns {Array<{key: string, markup: Object}>}
+ */
+function renderSections(theme, portfolio, site) {
+    return theme.sectionOrder
+        .map(key => ({ key, markup: theme.sections[key] ? theme.sections[key](portfolio, site) : '' }))
+        .filter(section => section.markup && section.markup.toString().trim());
+}
+
+/**
+ * Places rendered sections according to the layout
+ */
+function arrangeSections(layout, sections, theme) {
+    if (layout === 'sidebar') {
+        const sidebarKeys = theme.sidebarSections || DEFAULT_SIDEBAR_SECTIONS;
+        const aside = sections.filter(section => sidebarKeys.includes(section.key));
+        const main = sections.filter(section => !sidebarKeys.includes(section.key));
+
+        if (aside.length > 0) {
+            return html`<div class="page-body">
+            <aside class="page-aside">
+                ${aside.map(section => section.markup)}
+            </aside>
+            <main class="page-main">
+                ${main.map(section => section.markup)}
+            </main>
+        </div>`;
+        }
+    }
+
+    return html`<main class="page-main">
+            ${sections.map(section => section.markup)}
+        </main>`;
+}
+
+/**
+ * Structural CSS of a layout; sizes come from the --page-width,
+ * --sidebar-width and --layout-gap custom properties
+ */
+function layoutCSS(layout) {
+    const rules = [`/* Layout: ${LAYOUTS[layout]} */
+.page {
+    max-width: var(--page-width);
+    margin: 0 auto;
+}`];
+
+    if (layout === 'sidebar') {
+        rules.push(`.layout-sidebar .page-body {
+    display: grid;
+    grid-template-columns: var(--sidebar-width) minmax(0, 1fr);
+    gap: var(--layout-gap);
+    align-items: start;
+}`);
+    }
+
+    if (layout === 'two-column') {
+        rules.push(`.layout-two-column .page-main {
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: var(--layout-gap);
+    align-items: start;
+}
+
+.layout-two-column .page-main > .about {
+    grid-column: 1 / -1;
+}`);
+    }
+
+    if (layout !== 'single-column') {
+        rules.push(`@media (max-width: 768px) {
+    .layout-sidebar .page-body,
+    .layout-two-column .page-main {
+        grid-template-columns: 1fr;
+    }
+}`);
+    }
+
+    return rules.join('\n\n');
+}
+
+module.exports = {
+    resolveLayout,
+    renderSections,
+    arrangeSections,
+    layoutCSS,
+    LAYOUTS,
+    LAYOUT_NAMES
+};
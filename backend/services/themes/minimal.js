@@ -0,0 +1,255 @@
+/**
+ * Minimal theme: a narrow typographic column without cards or color blocks;
+ * entries are rows with the dates in the margin
+ */
+
+const { renderList, image, socialItems, sharedSections } = require('./partials');
+const { html, join, link, emailLink, phoneLink } = require('../../utils/html');
+
+/**
+ * Inline "email · phone · GitHub" line
+ */
+function linksLine(links) {
+    const items = [
+        links.email && emailLink(links.email),
+        links.phone && phoneLink(links.phone),
+        ...socialItems(links)
+    ].filter(Boolean);
+
+    return items.length > 0 ? html`<p class="links">${join(items, ' · ')}</p>` : '';
+}
+
+/**
+ * Two-column row: dates on the left, entry on the right
+ */
+function row(when, content) {
+    return html`
+                <div class="row">
+                    <div class="when">${when || ''}</div>
+                    <div class="what">${content}</div>
+                </div>`;
+}
+
+function renderHeader(portfolio, site) {
+    return html`<header>
+            ${image(site.images.profilePicture, portfolio.name, 'portrait', false)}
+            <h1>${portfolio.name}</h1>
+            ${portfolio.headline ? html`<p class="headline">${portfolio.headline}</p>` : ''}
+            ${linksLine(portfolio.links)}
+        </header>`;
+}
+
+const sections = {
+    ...sharedSections,
+
+    about: portfolio => (portfolio.summary ? html`<section class="about" id="about">
+            <p>${portfolio.summary}</p>
+        </section>` : ''),
+
+    experience: portfolio => (portfolio.experience.length > 0 ? html`<section class="experience" id="experience">
+            <h2>Experience</h2>
+            ${renderList(portfolio.experience, exp => row(exp.duration, html`
+                    <h3>${exp.role}${exp.company ? html`, ${exp.company}` : ''}</h3>
+                    ${exp.description ? html`<p>${exp.description}</p>` : ''}
+                    ${exp.highlights.length > 0 ? html`
+                        <ul class="highlights">
+                            ${renderList(exp.highlights, h => html`<li>${h}</li>`)}
+                        </ul>
+                    ` : ''}`))}
+        </section>` : ''),
+
+    projects: (portfolio, site) => (portfolio.projects.length > 0 ? html`<section class="projects" id="projects">
+            <h2>Projects</h2>
+            ${renderList(portfolio.projects, (project, i) => row(project.tech.join(', '), html`
+                    <h3>${link(project.link, project.title)}</h3>
+                    ${project.description ? html`<p>${project.description}</p>` : ''}
+                    ${image(site.images.projectImages[i], project.title, 'project-thumb')}`))}
+        </section>` : ''),
+
+    education: portfolio => (portfolio.education.length > 0 ? html`<section class="education" id="education">
+            <h2>Education</h2>
+            ${renderList(portfolio.education, edu => row(edu.year, html`
+                    <h3>${edu.degree}${edu.institution ? html`, ${edu.institution}` : ''}</h3>
+                    ${edu.details ? html`<p>${edu.details}</p>` : ''}`))}
+        </section>` : ''),
+
+    skills: portfolio => (portfolio.skills.length > 0 ? html`<section class="skills" id="skills">
+            <h2>Skills</h2>
+            ${renderList(portfolio.skills, skillGroup => row(skillGroup.category, html`
+                    <p>${skillGroup.items.join(', ')}</p>`))}
+        </section>` : '')
+};
+
+const css = `* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    font-family: var(--font-body);
+    font-size: 17px;
+    line-height: 1.65;
+    color: #111;
+    background: #fff;
+}
+
+a {
+    color: inherit;
+    text-decoration-color: var(--color-accent);
+    text-underline-offset: 0.2em;
+}
+
+a:hover {
+    color: var(--color-primary);
+}
+
+.page {
+    padding: 5rem 1.5rem 3rem;
+}
+
+/* Side-by-side layouts need more room than the reading column */
+.layout-sidebar,
+.layout-two-column {
+    --page-width: 960px;
+}
+
+header {
+    margin-bottom: 3rem;
+}
+
+h1, h2, h3 {
+    font-family: var(--font-heading);
+}
+
+h1 {
+    font-size: 1.75rem;
+    font-weight: 600;
+}
+
+.portrait {
+    display: block;
+    width: 72px;
+    height: 72px;
+    border-radius: 50%;
+    object-fit: cover;
+    margin-bottom: 1rem;
+}
+
+.project-thumb {
+    display: block;
+    width: 100%;
+    max-width: 320px;
+    margin-top: 0.5rem;
+    border-radius: 4px;
+}
+
+.headline {
+    color: #555;
+}
+
+.links {
+    margin-top: 0.5rem;
+    font-size: 0.9rem;
+    color: #555;
+}
+
+section {
+    margin-bottom: 3rem;
+}
+
+section h2 {
+    font-size: 0.8rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.15em;
+    color: var(--color-primary);
+    margin-bottom: 1.25rem;
+}
+
+h3 {
+    font-size: 1rem;
+    font-weight: 600;
+}
+
+/* Rows */
+.row {
+    display: grid;
+    grid-template-columns: 160px 1fr;
+    gap: 1.5rem;
+    margin-bottom: 1.25rem;
+}
+
+.when {
+    font-size: 0.85rem;
+    color: #777;
+    padding-top: 0.1rem;
+}
+
+.page-aside .row {
+    grid-template-columns: 1fr;
+    gap: 0.25rem;
+}
+
+.layout-two-column .row {
+    grid-template-columns: 110px 1fr;
+}
+
+.highlights {
+    margin: 0.35rem 0 0 1.1rem;
+}
+
+/* Shared entries */
+.entry-item {
+    margin-bottom: 1rem;
+}
+
+.entry-meta,
+.details {
+    color: #555;
+    font-size: 0.95rem;
+}
+
+.languages-list {
+    list-style: none;
+}
+
+.languages-list span {
+    color: #777;
+}
+
+/* Footer */
+footer {
+    margin-top: 4rem;
+    font-size: 0.8rem;
+    color: #999;
+}
+
+/* Responsive */
+@media (max-width: 600px) {
+    .page {
+        padding-top: 3rem;
+    }
+
+    .row {
+        grid-template-columns: 1fr;
+        gap: 0.25rem;
+    }
+}`;
+
+module.exports = {
+    name: 'minimal',
+    label: 'Minimal',
+    defaults: {
+        fonts: { heading: 'system-ui', body: 'system-ui' },
+        layout: 'single-column',
+        pageWidth: '680px'
+    },
+    sectionOrder: [
+        'about', 'experience', 'projects', 'education', 'skills',
+        'certifications', 'awards', 'publications', 'volunteer', 'languages'
+    ],
+    renderHeader,
+    sections,
+    css
+};
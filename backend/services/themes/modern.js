@@ -0,0 +1,422 @@
+/**
+ * Modern theme: centered hero card followed by card sections
+ */
+
+const { renderList, metaLine, image, contactLine, socialLinks, sharedSections } = require('./partials');
+const { html, link } = require('../../utils/html');
+
+function renderHeader(portfolio, site) {
+    return html`<header class="hero">
+            ${image(site.images.profilePicture, portfolio.name, 'avatar', false)}
+            <h1>${portfolio.name}</h1>
+            <p class="headline">${portfolio.headline}</p>
+            ${contactLine(portfolio.links)}
+            ${socialLinks(portfolio.links)}
+        </header>`;
+}
+
+const sections = {
+    ...sharedSections,
+
+    about: portfolio => (portfolio.summary ? html`<section class="about" id="about">
+            <h2>About Me</h2>
+            <p>${portfolio.summary}</p>
+        </section>` : ''),
+
+    skills: portfolio => (portfolio.skills.length > 0 ? html`<section class="skills" id="skills">
+            <h2>Skills</h2>
+            <div class="skills-grid">
+                ${renderList(portfolio.skills, skillGroup => html`
+                    <div class="skill-category">
+                        <h3>${skillGroup.category}</h3>
+                        <ul>
+                            ${renderList(skillGroup.items, skill => html`<li>${skill}</li>`)}
+                        </ul>
+                    </div>
+                `)}
+            </div>
+        </section>` : ''),
+
+    experience: portfolio => (portfolio.experience.length > 0 ? html`<section class="experience" id="experience">
+            <h2>Experience</h2>
+            <div class="timeline">
+                ${renderList(portfolio.experience, exp => html`
+                    <div class="timeline-item">
+                        <h3>${exp.role}</h3>
+                        <p class="company">${metaLine(exp.company, exp.duration)}</p>
+                        ${exp.description ? html`<p class="description">${exp.description}</p>` : ''}
+                        ${exp.highlights.length > 0 ? html`
+                            <ul class="highlights">
+                                ${renderList(exp.highlights, h => html`<li>${h}</li>`)}
+                            </ul>
+                        ` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>` : ''),
+
+    projects: (portfolio, site) => (portfolio.projects.length > 0 ? html`<section class="projects" id="projects">
+            <h2>Projects</h2>
+            <div class="projects-grid">
+                ${renderList(portfolio.projects, (project, i) => html`
+                    <div class="project-card">
+                        ${image(site.images.projectImages[i], project.title, 'project-thumb')}
+                        <h3>${project.title}</h3>
+                        ${project.description ? html`<p>${project.description}</p>` : ''}
+                        ${project.tech.length > 0 ? html`
+                            <p class="tech-stack"><strong>Tech:</strong> ${project.tech.join(', ')}</p>
+                        ` : ''}
+                        ${project.link ? link(project.link, 'View Project →', 'project-link') : ''}
+                    </div>
+                `)}
+            </div>
+        </section>` : ''),
+
+    education: portfolio => (portfolio.education.length > 0 ? html`<section class="education" id="education">
+            <h2>Education</h2>
+            <div class="education-list">
+                ${renderList(portfolio.education, edu => html`
+                    <div class="education-item">
+                        <h3>${edu.degree}</h3>
+                        <p class="institution">${metaLine(edu.institution, edu.year)}</p>
+                        ${edu.details ? html`<p class="details">${edu.details}</p>` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>` : '')
+};
+
+const css = `* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    font-family: var(--font-body);
+    line-height: 1.6;
+    color: #1f2937;
+    background: #f9fafb;
+}
+
+h1, h2, h3 {
+    font-family: var(--font-heading);
+}
+
+.page {
+    padding: 2rem;
+}
+
+/* Hero Section */
+.hero {
+    text-align: center;
+    padding: 4rem 0;
+    background: white;
+    border-radius: 12px;
+    margin-bottom: 2rem;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+}
+
+.hero .avatar {
+    width: 140px;
+    height: 140px;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 4px solid var(--color-accent);
+    margin-bottom: 1.5rem;
+}
+
+.hero h1 {
+    font-size: 3rem;
+    font-weight: 700;
+    color: var(--color-primary);
+    margin-bottom: 0.5rem;
+}
+
+.hero .headline {
+    font-size: 1.5rem;
+    color: #6b7280;
+    margin-bottom: 1rem;
+}
+
+.hero .contact {
+    font-size: 1.1rem;
+    color: #4b5563;
+    margin-bottom: 1rem;
+}
+
+.social-links {
+    display: flex;
+    gap: 1rem;
+    justify-content: center;
+    margin-top: 1.5rem;
+}
+
+.social-links a {
+    padding: 0.5rem 1.5rem;
+    background: var(--color-primary);
+    color: white;
+    text-decoration: none;
+    border-radius: 8px;
+    transition: background 0.3s;
+}
+
+.social-links a:hover {
+    background: var(--color-secondary);
+}
+
+/* Section Styles */
+section {
+    background: white;
+    padding: 3rem;
+    margin-bottom: 2rem;
+    border-radius: 12px;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+}
+
+section h2 {
+    font-size: 2rem;
+    color: var(--color-primary);
+    margin-bottom: 2rem;
+    padding-bottom: 1rem;
+    border-bottom: 3px solid var(--color-accent);
+}
+
+/* Sections in the sidebar and grid layouts */
+.page-aside section {
+    padding: 1.5rem;
+}
+
+.page-aside section h2 {
+    font-size: 1.25rem;
+    margin-bottom: 1rem;
+}
+
+.layout-two-column .page-main > section {
+    margin-bottom: 0;
+}
+
+/* Skills Grid */
+.skills-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(min(250px, 100%), 1fr));
+    gap: 2rem;
+}
+
+.skill-category h3 {
+    color: var(--color-secondary);
+    margin-bottom: 1rem;
+    font-size: 1.25rem;
+}
+
+.skill-category ul {
+    list-style: none;
+}
+
+.skill-category li {
+    padding: 0.5rem 0;
+    padding-left: 1.5rem;
+    position: relative;
+}
+
+.skill-category li::before {
+    content: "▹";
+    position: absolute;
+    left: 0;
+    color: var(--color-accent);
+    font-weight: bold;
+}
+
+/* Timeline */
+.timeline-item {
+    margin-bottom: 2.5rem;
+    padding-left: 2rem;
+    border-left: 3px solid var(--color-accent);
+}
+
+.timeline-item h3 {
+    font-size: 1.5rem;
+    color: var(--color-secondary);
+    margin-bottom: 0.5rem;
+}
+
+.timeline-item .company {
+    color: #6b7280;
+    font-weight: 600;
+    margin-bottom: 1rem;
+}
+
+.highlights {
+    list-style: none;
+    margin-top: 1rem;
+}
+
+.highlights li {
+    padding: 0.5rem 0;
+    padding-left: 1.5rem;
+    position: relative;
+}
+
+.highlights li::before {
+    content: "•";
+    position: absolute;
+    left: 0;
+    color: var(--color-accent);
+    font-weight: bold;
+}
+
+/* Projects Grid */
+.projects-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(min(300px, 100%), 1fr));
+    gap: 2rem;
+}
+
+.project-card {
+    border: 2px solid #e5e7eb;
+    border-radius: 8px;
+    padding: 2rem;
+    transition: all 0.3s;
+}
+
+.project-card:hover {
+    border-color: var(--color-accent);
+    box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    transform: translateY(-4px);
+}
+
+.project-thumb {
+    display: block;
+    width: 100%;
+    aspect-ratio: 16 / 9;
+    object-fit: cover;
+    border-radius: 6px;
+    margin-bottom: 1rem;
+}
+
+.project-card h3 {
+    color: var(--color-secondary);
+    margin-bottom: 1rem;
+}
+
+.project-card .tech-stack {
+    margin-top: 1rem;
+    color: #6b7280;
+    font-size: 0.9rem;
+}
+
+.project-link {
+    display: inline-block;
+    margin-top: 1rem;
+    color: var(--color-primary);
+    text-decoration: none;
+    font-weight: 600;
+}
+
+.project-link:hover {
+    text-decoration: underline;
+}
+
+/* Education */
+.education-item {
+    margin-bottom: 2rem;
+}
+
+.education-item h3 {
+    color: var(--color-secondary);
+    margin-bottom: 0.5rem;
+}
+
+.education-item .institution {
+    color: #6b7280;
+    font-weight: 600;
+    margin-bottom: 0.5rem;
+}
+
+/* Certifications, Awards, Publications */
+.entry-item {
+    margin-bottom: 1.5rem;
+}
+
+.entry-item h3 {
+    color: var(--color-secondary);
+    margin-bottom: 0.25rem;
+}
+
+.entry-item h3 a {
+    color: inherit;
+    text-decoration: none;
+}
+
+.entry-item h3 a:hover {
+    text-decoration: underline;
+}
+
+.entry-item .entry-meta {
+    color: #6b7280;
+    font-weight: 600;
+}
+
+/* Languages */
+.languages-list {
+    list-style: none;
+    display: flex;
+    flex-wrap: wrap;
+    gap: 1rem;
+}
+
+.languages-list li {
+    padding: 0.5rem 1rem;
+    border: 2px solid var(--color-accent);
+    border-radius: 8px;
+}
+
+.languages-list span {
+    color: #6b7280;
+}
+
+/* Footer */
+footer {
+    text-align: center;
+    padding: 2rem 0;
+    color: #6b7280;
+}
+
+.generated {
+    font-size: 0.9rem;
+    margin-top: 0.5rem;
+    opacity: 0.7;
+}
+
+/* Responsive */
+@media (max-width: 768px) {
+    .hero h1 {
+        font-size: 2rem;
+    }
+    
+    section {
+        padding: 2rem 1.5rem;
+    }
+    
+    .skills-grid,
+    .projects-grid {
+        grid-template-columns: 1fr;
+    }
+}`;
+
+module.exports = {
+    name: 'modern',
+    label: 'Modern',
+    defaults: {
+        fonts: { heading: 'Inter', body: 'Inter' },
+        layout: 'single-column',
+        pageWidth: '1000px'
+    },
+    sectionOrder: [
+        'about', 'skills', 'experience', 'projects', 'education',
+        'certifications', 'awards', 'publications', 'volunteer', 'languages'
+    ],
+    renderHeader,
+    sections,
+    css
+};
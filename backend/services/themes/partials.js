@@ -0,0 +1,255 @@
+/**
+ * Markup shared by the built-in themes
+ * Themes compose these into their own sections; sections render nothing when empty.
+ * All markup is built with the html tag from utils/html, which escapes resume content.
+ */
+
+const { html, join, link, emailLink, safeUrl } = require('../../utils/html');
+const { metaTags } = require('./seo');
+
+const DEFAULT_COLORS = {
+    primary: '#3B82F6',
+    secondary: '#1E40AF',
+    accent: '#60A5FA'
+};
+
+// Hex, rgb()/hsl() and named colors; anything else could break out of the CSS declaration
+const CSS_COLOR = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%]+\)|[a-z]+)$/i;
+
+/**
+ * Whether a value can be used as a color in the stylesheet
+ */
+function isCSSColor(value) {
+    return Boolean(value) && CSS_COLOR.test(String(value).trim());
+}
+
+/**
+ * Returns the portfolio colors, using the defaults for unset or invalid ones
+ */
+function themeColors(portfolio) {
+    const colors = (portfolio.customizations && portfolio.customizations.colors) || {};
+    const pick = key => (isCSSColor(colors[key]) ? String(colors[key]).trim() : DEFAULT_COLORS[key]);
+
+    return {
+        primary: pick('primary'),
+        secondary: pick('secondary'),
+        accent: pick('accent')
+    };
+}
+
+/**
+ * Renders each item and joins the results
+ */
+function renderList(items, renderItem) {
+    return join((items || []).map(renderItem));
+}
+
+/**
+ * Joins the non-empty parts of a meta line, e.g. "Company | Jan 2020 - Present"
+ */
+function metaLine(...parts) {
+    return parts.filter(Boolean).join(' | ');
+}
+
+/**
+ * Generated <head> tags: the metadata from themes/seo and the favicon
+ * @param {Object} site - Export context, see themes/index
+ */
+function headTags(portfolio, site = {}) {
+    const favicon = site.images && site.images.favicon;
+
+    return html`${metaTags(portfolio, site)}
+    ${favicon ? html`<link rel="icon" type="${favicon.type}" href="${favicon.href}">` : ''}`;
+}
+
+/**
+ * Opening markup up to and including <body>
+ * @param {Object} portfolio - Portfolio document
+ * @param {string} bodyClass - Class identifying the theme
+ * @param {Object} site - Export context, for headTags
+ */
+function documentStart(portfolio, bodyClass, site = {}) {
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${portfolio.name} - Portfolio</title>
+    ${headTags(portfolio, site)}
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body class="${bodyClass}">`;
+}
+
+function documentEnd() {
+    return html`
+</body>
+</html>`;
+}
+
+/**
+ * <img> for a resolved image src, nothing when there is no image
+ * @param {string} src - Path under images/ or an http(s) URL, see themes/images
+ */
+function image(src, alt, className, lazy = true) {
+    if (!src) return '';
+    return html`<img src="${src}" alt="${alt || ''}" class="${className}"${lazy ? html` loading="lazy"` : ''}>`;
+}
+
+/**
+ * Email and phone line
+ */
+function contactLine(links, className = 'contact') {
+    if (!links.email && !links.phone) return '';
+
+    return html`<p class="${className}">
+                ${links.email ? emailLink(links.email) : ''}
+                ${links.email && links.phone ? ' | ' : ''}${links.phone || ''}
+            </p>`;
+}
+
+/**
+ * GitHub, LinkedIn and website links, skipping unsafe URLs
+ */
+function socialLinks(links, className = 'social-links') {
+    const items = socialItems(links);
+
+    return items.length > 0 ? html`<div class="${className}">
+                ${join(items, '\n                ')}
+            </div>` : '';
+}
+
+/**
+ * Individual social links for themes that lay them out themselves
+ */
+function socialItems(links) {
+    return [
+        ['GitHub', links.github],
+        ['LinkedIn', links.linkedin],
+        ['Website', links.website]
+    ]
+        .filter(([, url]) => safeUrl(url))
+        .map(([label, url]) => link(url, label));
+}
+
+function footer(portfolio) {
+    return html`<footer>
+            <p>© ${new Date().getFullYear()} ${portfolio.name}. All rights reserved.</p>
+            <p class="generated">Generated with Portlify</p>
+        </footer>`;
+}
+
+function certificationsSection(portfolio) {
+    if (portfolio.certifications.length === 0) return '';
+
+    return html`<section class="certifications" id="certifications">
+            <h2>Certifications</h2>
+            <div class="entry-list">
+                ${renderList(portfolio.certifications, cert => html`
+                    <div class="entry-item">
+                        <h3>${link(cert.link, cert.name)}</h3>
+                        <p class="entry-meta">${metaLine(cert.issuer, cert.date)}</p>
+                        ${cert.credentialId ? html`<p class="details">Credential ID: ${cert.credentialId}</p>` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>`;
+}
+
+function awardsSection(portfolio) {
+    if (portfolio.awards.length === 0) return '';
+
+    return html`<section class="awards" id="awards">
+            <h2>Awards &amp; Honors</h2>
+            <div class="entry-list">
+                ${renderList(portfolio.awards, award => html`
+                    <div class="entry-item">
+                        <h3>${award.title}</h3>
+                        <p class="entry-meta">${metaLine(award.issuer, award.date)}</p>
+                        ${award.description ? html`<p class="details">${award.description}</p>` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>`;
+}
+
+function publicationsSection(portfolio) {
+    if (portfolio.publications.length === 0) return '';
+
+    return html`<section class="publications" id="publications">
+            <h2>Publications</h2>
+            <div class="entry-list">
+                ${renderList(portfolio.publications, pub => html`
+                    <div class="entry-item">
+                        <h3>${link(pub.link, pub.title)}</h3>
+                        <p class="entry-meta">${metaLine(pub.publisher, pub.date)}</p>
+                    </div>
+                `)}
+            </div>
+        </section>`;
+}
+
+function volunteerSection(portfolio) {
+    if (portfolio.volunteer.length === 0) return '';
+
+    return html`<section class="volunteer" id="volunteer">
+            <h2>Volunteering</h2>
+            <div class="entry-list">
+                ${renderList(portfolio.volunteer, vol => html`
+                    <div class="entry-item">
+                        <h3>${vol.role}</h3>
+                        <p class="entry-meta">${metaLine(vol.organization, vol.duration)}</p>
+                        ${vol.highlights.length > 0 ? html`
+                            <ul class="highlights">
+                                ${renderList(vol.highlights, h => html`<li>${h}</li>`)}
+                            </ul>
+                        ` : vol.description ? html`<p class="details">${vol.description}</p>` : ''}
+                    </div>
+                `)}
+            </div>
+        </section>`;
+}
+
+function languagesSection(portfolio) {
+    if (portfolio.languages.length === 0) return '';
+
+    return html`<section class="languages" id="languages">
+            <h2>Languages</h2>
+            <ul class="languages-list">
+                ${renderList(portfolio.languages, lang => html`
+                    <li><strong>${lang.language}</strong>${lang.proficiency ? html` <span>${lang.proficiency}</span>` : ''}</li>
+                `)}
+            </ul>
+        </section>`;
+}
+
+// Sections every theme renders the same way, keyed like theme sections
+const sharedSections = {
+    certifications: certificationsSection,
+    awards: awardsSection,
+    publications: publicationsSection,
+    volunteer: volunteerSection,
+    languages: languagesSection
+};
+
+module.exports = {
+    isCSSColor,
+    themeColors,
+    renderList,
+    metaLine,
+    headTags,
+    documentStart,
+    documentEnd,
+    image,
+    contactLine,
+    socialLinks,
+    socialItems,
+    footer,
+    certificationsSection,
+    awardsSection,
+    publicationsSection,
+    volunteerSection,
+    languagesSection,
+    sharedSections,
+    DEFAULT_COLORS
+};
@@ -0,0 +1,372 @@
+/**
+ * Professional theme: printed-resume look with a header band, small-caps section
+ * titles and dates aligned right; contact, skills and languages sit in a sidebar
+ * by default
+ */
+
+const { renderList, image, socialLinks, sharedSections } = require('./partials');
+const { html, join, link, emailLink, phoneLink } = require('../../utils/html');
+
+function renderHeader(portfolio, site) {
+    return html`<header class="masthead">
+            ${image(site.images.profilePicture, portfolio.name, 'headshot', false)}
+            <div>
+                <h1>${portfolio.name}</h1>
+                <p class="headline">${portfolio.headline}</p>
+            </div>
+        </header>`;
+}
+
+function contactSection(portfolio) {
+    const { links } = portfolio;
+    const contact = [
+        links.email && html`<li><span class="label">Email</span>${emailLink(links.email)}</li>`,
+        links.phone && html`<li><span class="label">Phone</span>${phoneLink(links.phone)}</li>`
+    ].filter(Boolean);
+    const social = socialLinks(links);
+
+    if (contact.length === 0 && !social) return '';
+
+    return html`<section class="contact-details" id="contact">
+                <h2>Contact</h2>
+                <ul>
+                    ${join(contact, '\n                    ')}
+                </ul>
+                ${social}
+            </section>`;
+}
+
+const sections = {
+    ...sharedSections,
+
+    contact: contactSection,
+
+    skills: portfolio => (portfolio.skills.length > 0 ? html`<section class="skills" id="skills">
+                <h2>Skills</h2>
+                ${renderList(portfolio.skills, skillGroup => html`
+                    <div class="skill-category">
+                        <h3>${skillGroup.category}</h3>
+                        <p>${skillGroup.items.join(', ')}</p>
+                    </div>
+                `)}
+            </section>` : ''),
+
+    about: portfolio => (portfolio.summary ? html`<section class="about" id="about">
+                    <h2>Profile</h2>
+                    <p>${portfolio.summary}</p>
+                </section>` : ''),
+
+    experience: portfolio => (portfolio.experience.length > 0 ? html`<section class="experience" id="experience">
+                    <h2>Professional Experience</h2>
+                    ${renderList(portfolio.experience, exp => html`
+                        <article class="position">
+                            <div class="position-header">
+                                <h3>${exp.role}</h3>
+                                ${exp.duration ? html`<span class="dates">${exp.duration}</span>` : ''}
+                            </div>
+                            ${exp.company ? html`<p class="organization">${exp.company}</p>` : ''}
+                            ${exp.description ? html`<p class="description">${exp.description}</p>` : ''}
+                            ${exp.highlights.length > 0 ? html`
+                                <ul class="highlights">
+                                    ${renderList(exp.highlights, h => html`<li>${h}</li>`)}
+                                </ul>
+                            ` : ''}
+                        </article>
+                    `)}
+                </section>` : ''),
+
+    projects: (portfolio, site) => (portfolio.projects.length > 0 ? html`<section class="projects" id="projects">
+                    <h2>Selected Projects</h2>
+                    ${renderList(portfolio.projects, (project, i) => html`
+                        <article class="position">
+                            ${image(site.images.projectImages[i], project.title, 'project-thumb')}
+                            <div class="position-header">
+                                <h3>${link(project.link, project.title)}</h3>
+                            </div>
+                            ${project.description ? html`<p class="description">${project.description}</p>` : ''}
+                            ${project.tech.length > 0 ? html`<p class="tech-stack">${project.tech.join(' · ')}</p>` : ''}
+                        </article>
+                    `)}
+                </section>` : ''),
+
+    education: portfolio => (portfolio.education.length > 0 ? html`<section class="education" id="education">
+                    <h2>Education</h2>
+                    ${renderList(portfolio.education, edu => html`
+                        <article class="position">
+                            <div class="position-header">
+                                <h3>${edu.degree}</h3>
+                                ${edu.year ? html`<span class="dates">${edu.year}</span>` : ''}
+                            </div>
+                            <p class="organization">${edu.institution}</p>
+                            ${edu.details ? html`<p class="description">${edu.details}</p>` : ''}
+                        </article>
+                    `)}
+                </section>` : '')
+};
+
+const css = `* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    font-family: var(--font-body);
+    line-height: 1.55;
+    color: #222;
+    background: #e5e7eb;
+    padding: 2rem 0;
+}
+
+h1, h2, h3 {
+    font-family: var(--font-heading);
+}
+
+a {
+    color: var(--color-secondary);
+}
+
+.page {
+    background: white;
+    box-shadow: 0 2px 12px rgba(0,0,0,0.08);
+}
+
+/* The sidebar touches the main column */
+.layout-sidebar {
+    --layout-gap: 0;
+}
+
+/* Header band */
+.masthead {
+    display: flex;
+    align-items: center;
+    gap: 1.5rem;
+    background: var(--color-secondary);
+    color: white;
+    padding: 2.5rem 3rem;
+    border-bottom: 6px solid var(--color-primary);
+}
+
+.headshot {
+    width: 96px;
+    height: 96px;
+    flex-shrink: 0;
+    border-radius: 50%;
+    object-fit: cover;
+    border: 3px solid white;
+}
+
+.masthead h1 {
+    font-size: 2.5rem;
+    letter-spacing: 0.02em;
+}
+
+.masthead .headline {
+    font-size: 1.2rem;
+    font-style: italic;
+    opacity: 0.9;
+}
+
+/* Columns */
+.page-aside {
+    align-self: stretch;
+    background: #f3f4f6;
+    padding: 2rem;
+    font-size: 0.92rem;
+}
+
+.page-main {
+    padding: 2rem 3rem;
+}
+
+section {
+    margin-bottom: 2rem;
+}
+
+section h2 {
+    font-size: 1rem;
+    text-transform: uppercase;
+    letter-spacing: 0.12em;
+    color: var(--color-secondary);
+    border-bottom: 1px solid var(--color-accent);
+    padding-bottom: 0.35rem;
+    margin-bottom: 1rem;
+}
+
+/* Contact, skills and languages */
+.contact-details ul {
+    list-style: none;
+}
+
+.contact-details li {
+    margin-bottom: 0.75rem;
+    word-break: break-word;
+}
+
+.contact-details .label {
+    display: block;
+    font-size: 0.75rem;
+    text-transform: uppercase;
+    letter-spacing: 0.08em;
+    color: #6b7280;
+}
+
+.social-links {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.35rem 1rem;
+    margin-top: 0.5rem;
+}
+
+.page-aside .social-links {
+    flex-direction: column;
+}
+
+.skill-category {
+    margin-bottom: 1rem;
+}
+
+.skill-category h3 {
+    font-size: 0.95rem;
+    color: var(--color-primary);
+}
+
+.languages-list {
+    list-style: none;
+}
+
+.languages-list li {
+    margin-bottom: 0.35rem;
+}
+
+.languages-list span {
+    color: #6b7280;
+}
+
+.languages-list span::before {
+    content: "— ";
+}
+
+/* Entries */
+.position,
+.entry-item {
+    margin-bottom: 1.5rem;
+}
+
+.position-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    gap: 1rem;
+}
+
+.position h3,
+.entry-item h3 {
+    font-size: 1.1rem;
+}
+
+.position h3 a,
+.entry-item h3 a {
+    color: inherit;
+}
+
+.dates {
+    white-space: nowrap;
+    color: #6b7280;
+    font-size: 0.9rem;
+}
+
+.organization,
+.entry-meta {
+    font-style: italic;
+    color: #4b5563;
+}
+
+.description,
+.details {
+    margin-top: 0.35rem;
+}
+
+.highlights {
+    margin: 0.5rem 0 0 1.25rem;
+}
+
+.highlights li {
+    margin-bottom: 0.25rem;
+}
+
+.project-thumb {
+    float: right;
+    width: 120px;
+    aspect-ratio: 4 / 3;
+    object-fit: cover;
+    margin: 0 0 0.5rem 1rem;
+    border: 1px solid #e5e7eb;
+}
+
+.position::after {
+    content: "";
+    display: table;
+    clear: both;
+}
+
+.tech-stack {
+    font-size: 0.9rem;
+    color: #6b7280;
+}
+
+/* Footer */
+footer {
+    text-align: center;
+    padding: 1.5rem;
+    font-size: 0.85rem;
+    color: #6b7280;
+    border-top: 1px solid #e5e7eb;
+}
+
+.generated {
+    opacity: 0.7;
+}
+
+/* Print as a resume */
+@media print {
+    body {
+        background: white;
+        padding: 0;
+    }
+
+    .page {
+        box-shadow: none;
+    }
+}
+
+/* Responsive */
+@media (max-width: 768px) {
+    body {
+        padding: 0;
+    }
+
+    .masthead,
+    .page-aside,
+    .page-main {
+        padding: 1.5rem;
+    }
+}`;
+
+module.exports = {
+    name: 'professional',
+    label: 'Professional',
+    defaults: {
+        fonts: { heading: 'Georgia', body: 'Georgia' },
+        layout: 'sidebar',
+        pageWidth: '1050px',
+        sidebarWidth: '280px'
+    },
+    sectionOrder: [
+        'contact', 'skills', 'about', 'experience', 'projects', 'education',
+        'languages', 'certifications', 'awards', 'publications', 'volunteer'
+    ],
+    renderHeader,
+    sections,
+    css
+};
@@ -0,0 +1,192 @@
+/**
+ * Search engine and link preview metadata for the exported site
+ * Meta description, Open Graph and Twitter card tags, schema.org Person JSON-LD,
+ * and the robots.txt and sitemap.xml files. Absolute URLs (canonical link, og:url,
+ * sitemap) need customizations.siteUrl, the address the site is deployed to.
+ */
+
+const { html, raw, escapeHTML, safeUrl } = require('../../utils/html');
+
+// Search engines show about this many characters of a description
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * Canonical URL of the site from customizations.siteUrl, ending with a slash
+ * @returns {string|null} http(s) URL, or null when unset or invalid
+ */
+function siteUrl(portfolio) {
+    const value = portfolio.customizations && portfolio.customizations.siteUrl;
+    const url = value ? safeUrl(value, ['http:', 'https:']) : null;
+    if (!url) return null;
+
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    if (!parsed.pathname.endsWith('/')) parsed.pathname += '/';
+    return parsed.href;
+}
+
+/**
+ * Absolute URL of a site path or image src, null when it cannot be made absolute
+ */
+function absoluteUrl(src, baseUrl) {
+    if (!src) return null;
+    if (/^https?:/i.test(src)) return src;
+    return baseUrl ? new URL(src, baseUrl).href : null;
+}
+
+/**
+ * Meta description from the headline and summary, cut at a word boundary
+ */
+function metaDescription(portfolio) {
+    const text = [portfolio.headline, portfolio.summary]
+        .filter(Boolean)
+        .map(part => String(part).trim().replace(/[.\s]+$/, ''))
+        .filter(Boolean)
+        .join('. ')
+        .replace(/\s+/g, ' ');
+
+    if (text.length <= DESCRIPTION_LENGTH) return text ? `${text}.` : `Portfolio of ${portfolio.name}`;
+
+    const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+/**
+ * Roles still held: marked current or with an open-ended duration
+ */
+function isCurrentRole(exp) {
+    return exp.isCurrent || /present|current|now/i.test(exp.duration || '');
+}
+
+/**
+ * schema.org Person describing the portfolio owner
+ */
+function personSchema(portfolio, site) {
+    const links = portfolio.links || {};
+    const experience = portfolio.experience || [];
+    const current = experience.find(isCurrentRole);
+    const sameAs = [links.github, links.linkedin, links.website]
+        .map(url => (url ? safeUrl(url, ['http:', 'https:']) : null))
+        .filter(Boolean);
+    const skills = (portfolio.skills || []).flatMap(group => group.items || []);
+
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: portfolio.name,
+        jobTitle: portfolio.headline || (current && current.role) || undefined,
+        description: portfolio.summary || undefined,
+        url: site.url || undefined,
+        image: absoluteUrl(site.images && site.images.profilePicture, site.url) || undefined,
+        email: links.email ? `mailto:${links.email}` : undefined,
+        telephone: links.phone || undefined,
+        sameAs: sameAs.length > 0 ? sameAs : undefined,
+        knowsAbout: skills.length > 0 ? skills : undefined,
+        worksFor: experience
+            .filter(exp => exp.company && isCurrentRole(exp))
+            .map(exp => ({ '@type': 'Organization', name: exp.company })),
+        hasOccupation: experience
+            .filter(exp => exp.role)
+            .map(exp => ({
+                '@type': 'Occupation',
+                name: exp.role,
+                description: exp.description || undefined
+            })),
+        alumniOf: (portfolio.education || [])
+            .filter(edu => edu.institution)
+            .map(edu => ({ '@type': 'EducationalOrganization', name: edu.institution }))
+    };
+
+    ['worksFor', 'hasOccupation', 'alumniOf'].forEach(key => {
+        if (person[key].length === 0) delete person[key];
+    });
+
+    return person;
+}
+
+/**
+ * JSON-LD script; "<" is escaped so resume text cannot close the script element
+ */
+function jsonLdScript(data) {
+    const json = JSON.stringify(data, null, 2)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+
+    return html`<script type="application/ld+json">
+${raw(json)}
+    </script>`;
+}
+
+/**
+ * Tags for the <head>: description, canonical link, Open Graph, Twitter card and JSON-LD
+ * @param {Object} site - Export context with url and images, see themes/index
+ */
+function metaTags(portfolio, site) {
+    const title = `${portfolio.name} - Portfolio`;
+    const description = metaDescription(portfolio);
+    const image = absoluteUrl(site.images && site.images.profilePicture, site.url);
+
+    return html`<meta name="description" content="${description}">
+    ${site.url ? html`<link rel="canonical" href="${site.url}">` : ''}
+    <meta property="og:type" content="profile">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    ${site.url ? html`<meta property="og:url" content="${site.url}">` : ''}
+    ${image ? html`<meta property="og:image" content="${image}">` : ''}
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    ${image ? html`<meta name="twitter:image" content="${image}">` : ''}
+    ${jsonLdScript(personSchema(portfolio, site))}`;
+}
+
+/**
+ * robots.txt allowing all crawlers, pointing to the sitemap when there is one
+ */
+function robotsTxt(url) {
+    return `User-agent: *
+Allow: /
+${url ? `\nSitemap: ${url}sitemap.xml\n` : ''}`;
+}
+
+/**
+ * sitemap.xml listing the single page; sitemaps need absolute URLs
+ */
+function sitemapXml(url, lastModified) {
+    const date = lastModified ? new Date(lastModified) : null;
+    const lastmod = date && !Number.isNaN(date.getTime())
+        ? `\n        <lastmod>${date.toISOString().slice(0, 10)}</lastmod>`
+        : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url>
+        <loc>${escapeHTML(url)}</loc>${lastmod}
+    </url>
+</urlset>
+`;
+}
+
+/**
+ * robots.txt, and sitemap.xml when the site URL is set
+ * @returns {Array<{name: string, content: string}>} ZIP entries
+ */
+function seoFiles(portfolio) {
+    const url = siteUrl(portfolio);
+    const files = [{ name: 'robots.txt', content: robotsTxt(url) }];
+
+    if (url) {
+        files.push({ name: 'sitemap.xml', content: sitemapXml(url, portfolio.updatedAt) });
+    }
+
+    return files;
+}
+
+module.exports = {
+    siteUrl,
+    metaTags,
+    metaDescription,
+    seoFiles
+};
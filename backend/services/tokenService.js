@@ -0,0 +1,89 @@
+/**
+ * Signed access tokens
+ * A session token is issued on upload and proves ownership of every portfolio of its
+ * session. A share token lets someone read a single portfolio, for showing a draft.
+ * Tokens are "<payload>.<signature>": base64url JSON signed with HMAC-SHA256 and
+ * SESSION_SECRET, so they need no storage and cannot be changed or forged.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matches the lifetime of a Session document (services/sessionService)
+const SESSION_TOKEN_DAYS = 30;
+
+const SHARE_TOKEN_DAYS = { default: 7, max: 30 };
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+    console.warn('⚠️  SESSION_SECRET is not set: tokens are signed with a random secret and stop working when the server restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+function signature(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function sign(claims, days) {
+    const expiresAt = new Date(Date.now() + days * DAY_MS);
+    const payload = Buffer.from(JSON.stringify({ ...claims, exp: expiresAt.getTime() })).toString('base64url');
+
+    return { token: `${payload}.${signature(payload)}`, expiresAt };
+}
+
+/**
+ * Token for the owner of a session's portfolios
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function issueSessionToken(sessionId) {
+    return sign({ type: 'session', sid: sessionId }, SESSION_TOKEN_DAYS);
+}
+
+/**
+ * New token for a session token's claims, once the token is more than a day old
+ * Sent back on requests that renew the session, so an active user's token keeps
+ * running as long as the session does.
+ * @returns {{token: string, expiresAt: Date}|null} null while the token is fresh
+ */
+function refreshSessionToken(claims) {
+    const age = SESSION_TOKEN_DAYS * DAY_MS - (claims.exp - Date.now());
+    return age > DAY_MS ? issueSessionToken(claims.sid) : null;
+}
+
+/**
+ * Read-only token for one portfolio
+ * @param {number} [days] - Lifetime, between 1 and SHARE_TOKEN_DAYS.max
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function issueShareToken(portfolioId, days = SHARE_TOKEN_DAYS.default) {
+    return sign({ type: 'share', pid: String(portfolioId) }, days);
+}
+
+/**
+ * Checks a token's signature and expiry
+ * @returns {{type: 'session', sid: string}|{type: 'share', pid: string}|null} Its claims, or null when invalid
+ */
+function verifyToken(token) {
+    const [payload, signed, extra] = String(token || '').split('.');
+    if (!payload || !signed || extra !== undefined) return null;
+
+    const expected = Buffer.from(signature(payload));
+    const actual = Buffer.from(signed);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return typeof claims.exp === 'number' && claims.exp > Date.now() ? claims : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    issueSessionToken,
+    refreshSessionToken,
+    issueShareToken,
+    verifyToken,
+    SHARE_TOKEN_DAYS
+};
@@ -0,0 +1,119 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { refinePortfolio } = require('../services/aiRefinementService');
+
+const portfolioData = {
+    name: 'Ann Lee',
+    headline: 'Engineer',
+    summary: '',
+    skills: [{ category: 'Languages', items: ['JavaScript'] }],
+    experience: [{ role: 'Engineer', company: '', highlights: [] }],
+    projects: [],
+    education: [],
+    certifications: [],
+    awards: [],
+    publications: [],
+    languages: [],
+    volunteer: [],
+    links: { email: 'ann@example.com' },
+    theme: 'modern'
+};
+
+const resumeText = 'Ann Lee\nEngineer at Acme\nann@example.com';
+
+// Mock provider server; each test sets the reply for the next request
+let reply;
+let lastRequest;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        reply(req, res);
+    });
+});
+
+let baseUrl;
+
+function config(provider, overrides = {}) {
+    return { provider, baseUrl, apiKey: 'test-key', model: '', timeoutMs: 2000, ...overrides };
+}
+
+function sendJSON(res, data, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+const corrected = { ...portfolioData, experience: [{ role: 'Engineer', company: 'Acme', highlights: [] }] };
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+describe('refinePortfolio', () => {
+    test('applies an OpenAI-compatible reply and records the changed fields', async () => {
+        reply = (req, res) => sendJSON(res, { choices: [{ message: { content: JSON.stringify(corrected) } }] });
+
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, config('openai'));
+
+        assert.equal(lastRequest.url, '/chat/completions');
+        assert.equal(lastRequest.headers.authorization, 'Bearer test-key');
+        assert.equal(data.experience[0].company, 'Acme');
+        assert.equal(data.theme, 'modern');
+        assert.deepEqual(metadata, { applied: true, provider: 'openai', changedFields: ['experience.0.company'] });
+    });
+
+    test('applies an Anthropic reply wrapped in a code fence', async () => {
+        reply = (req, res) => sendJSON(res, {
+            content: [{ type: 'text', text: `\`\`\`json\n${JSON.stringify(corrected)}\n\`\`\`` }]
+        });
+
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, config('anthropic'));
+
+        assert.equal(lastRequest.url, '/v1/messages');
+        assert.equal(lastRequest.headers['x-api-key'], 'test-key');
+        assert.equal(data.experience[0].company, 'Acme');
+        assert.equal(metadata.provider, 'anthropic');
+        assert.deepEqual(metadata.changedFields, ['experience.0.company']);
+    });
+
+    test('falls back to the rule-based data when the reply fails validation', async () => {
+        reply = (req, res) => sendJSON(res, { choices: [{ message: { content: JSON.stringify({ ...corrected, name: '', skills: 'none' }) } }] });
+
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, config('openai'));
+
+        assert.equal(data, portfolioData);
+        assert.equal(metadata.applied, false);
+        assert.match(metadata.error, /failed validation/);
+    });
+
+    test('falls back when the provider responds with an error', async () => {
+        reply = (req, res) => sendJSON(res, { error: 'overloaded' }, 503);
+
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, config('openai'));
+
+        assert.equal(data, portfolioData);
+        assert.match(metadata.error, /responded with 503/);
+    });
+
+    test('falls back when the provider times out', async () => {
+        reply = (req, res) => setTimeout(() => sendJSON(res, {}), 500);
+
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, config('openai', { timeoutMs: 50 }));
+
+        assert.equal(data, portfolioData);
+        assert.equal(metadata.error, 'AI refinement timed out after 50ms');
+    });
+
+    test('is skipped when no provider is configured', async () => {
+        const { data, metadata } = await refinePortfolio(portfolioData, resumeText, null);
+
+        assert.equal(data, portfolioData);
+        assert.equal(metadata.applied, false);
+    });
+});
@@ -0,0 +1,57 @@
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { collectImages } = require('../services/themes/images');
+
+mock.method(console, 'warn', () => {});
+
+/**
+ * Data URI of a width x height PNG, red on the left half and blue on the right
+ */
+function pngDataUri(width, height) {
+    const png = new PNG({ width, height });
+    for (let i = 0; i < width * height; i++) {
+        png.data.set(i % width < width / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    return `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+}
+
+/**
+ * Images of an .ico file, as { size, image } with the decoded PNG
+ */
+function readIco(ico) {
+    return Array.from({ length: ico.readUInt16LE(4) }, (_, i) => {
+        const entry = 6 + 16 * i;
+        const png = ico.subarray(ico.readUInt32LE(entry + 12), ico.readUInt32LE(entry + 12) + ico.readUInt32LE(entry + 8));
+        return { size: ico.readUInt8(entry), image: PNG.sync.read(png) };
+    });
+}
+
+const favicon = portfolio => collectImages(portfolio).files.find(file => file.name === 'favicon.ico');
+
+describe('favicon', () => {
+    test('resizes the profile picture to 32 and 48 pixels', () => {
+        const images = readIco(favicon({ profilePicture: pngDataUri(600, 400) }).content);
+
+        assert.deepEqual(images.map(({ size, image }) => [size, image.width, image.height]), [[32, 32, 32], [48, 48, 48]]);
+        // The centered square keeps both halves of the picture
+        assert.deepEqual([...images[0].image.data.subarray(0, 4)], [255, 0, 0, 255]);
+        assert.deepEqual([...images[0].image.data.subarray(31 * 4, 32 * 4)], [0, 0, 255, 255]);
+    });
+
+    test('is made once per portfolio version', () => {
+        const portfolio = { _id: 'portfolio-1', updatedAt: new Date('2024-01-01'), profilePicture: pngDataUri(64, 64) };
+        const first = favicon(portfolio).content;
+
+        assert.equal(favicon(portfolio).content, first);
+        assert.notEqual(favicon({ ...portfolio, updatedAt: new Date('2024-01-02') }).content, first);
+    });
+
+    test('links a PNG that cannot be decoded as it is', () => {
+        const broken = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32)]);
+        const { favicon: link, files } = collectImages({ profilePicture: `data:image/png;base64,${broken.toString('base64')}` });
+
+        assert.deepEqual(link, { href: 'images/profile.png', type: 'image/png' });
+        assert.deepEqual(files.map(file => file.name), ['images/profile.png']);
+    });
+});
@@ -0,0 +1,129 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Portfolio = require('../models/Portfolio');
+const { fromJSONResume, toJSONResume, validateJSONResume } = require('../services/jsonResumeService');
+
+describe('validateJSONResume', () => {
+    const cases = [
+        [{ work: [null] }, 'work[0] must be an object'],
+        [{ education: ['x'] }, 'education[0] must be an object'],
+        [{ work: [{ position: 'Dev' }, { position: 5 }] }, 'work[1].position must be a string'],
+        [{ work: [{ highlights: ['ok', 3] }] }, 'work[0].highlights must be a list of strings'],
+        [{ basics: { name: ['Ann'] } }, 'basics.name must be a string'],
+        [{ basics: { profiles: [null] } }, 'basics.profiles[0] must be an object'],
+        [{ skills: {} }, 'skills must be an array']
+    ];
+
+    for (const [resume, message] of cases) {
+        test(`rejects ${JSON.stringify(resume)}`, () => {
+            assert.equal(validateJSONResume(resume), message);
+        });
+    }
+
+    test('accepts a valid resume and imports it', () => {
+        const resume = {
+            basics: { name: 'Ann Lee', label: 'Engineer', profiles: [{ network: 'GitHub', url: 'https://github.com/ann' }] },
+            work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-03', highlights: ['Shipped'] }]
+        };
+
+        assert.equal(validateJSONResume(resume), null);
+
+        const portfolio = fromJSONResume(resume);
+        assert.equal(portfolio.headline, 'Engineer');
+        assert.equal(portfolio.links.github, 'https://github.com/ann');
+        assert.equal(portfolio.experience[0].isCurrent, true);
+    });
+});
+
+describe('toJSONResume', () => {
+    test('exports award, certificate and publication dates as ISO 8601', () => {
+        const resume = toJSONResume({
+            name: 'Ann Lee',
+            awards: [{ title: 'Employee of the Year', date: '2020' }],
+            certifications: [{ name: 'AWS', date: 'Mar 2021' }, { name: 'CKA', date: '2022-05-10' }],
+            publications: [{ title: 'Scaling Node', date: 'sometime' }]
+        });
+
+        assert.equal(resume.awards[0].date, '2020');
+        assert.equal(resume.certificates[0].date, '2021-03');
+        assert.equal(resume.certificates[1].date, '2022-05-10');
+        assert.equal(resume.publications[0].releaseDate, undefined);
+    });
+});
+
+describe('JSON Resume round trip', () => {
+    const resume = {
+        basics: {
+            name: 'Ann Lee',
+            label: 'Staff Engineer',
+            image: 'https://example.com/ann.png',
+            email: 'ann@example.com',
+            phone: '+1 555 010 0100',
+            url: 'https://ann.example.com',
+            summary: 'Builds payment systems.',
+            location: { address: '1 Main St', postalCode: '94105', city: 'San Francisco', countryCode: 'US', region: 'California' },
+            profiles: [
+                { network: 'GitHub', username: 'annlee', url: 'https://github.com/annlee' },
+                { network: 'LinkedIn', username: 'ann-lee' },
+                { network: 'Twitter', username: 'annlee', url: 'https://twitter.com/annlee' }
+            ]
+        },
+        work: [
+            { name: 'Acme', position: 'Staff Engineer', startDate: '2019-04-15', summary: 'Payments.', highlights: ['Cut fees by 20%'] },
+            { name: 'Initech', position: 'Engineer', startDate: '2016-01', endDate: '2019-03-31', highlights: ['Shipped billing'] }
+        ],
+        volunteer: [
+            { organization: 'Code Club', position: 'Mentor', startDate: '2018', endDate: '2019', summary: 'Taught kids.' }
+        ],
+        education: [
+            { institution: 'State University', studyType: 'Bachelor', area: 'Computer Science', startDate: '2011-09', endDate: '2015-06-30', score: '3.8', courses: ['Compilers', 'Databases'] }
+        ],
+        awards: [{ title: 'Hackathon winner', date: '2017-11-04', awarder: 'Acme', summary: 'First place.' }],
+        certificates: [{ name: 'CKA', date: '2021-05', issuer: 'CNCF', url: 'https://cncf.io/cka' }],
+        publications: [{ name: 'Scaling Node', publisher: 'Blog', releaseDate: '2020-02-02', url: 'https://example.com/post' }],
+        skills: [
+            { name: 'Frontend', keywords: ['JS', 'ReactJS'] },
+            { name: 'Go-to-market', keywords: ['Positioning'] },
+            { name: 'Leadership' }
+        ],
+        languages: [{ language: 'English', fluency: 'Native' }],
+        projects: [
+            {
+                name: 'Ledger',
+                description: 'Double-entry bookkeeping library.',
+                highlights: ['1k stars'],
+                keywords: ['Go'],
+                startDate: '2020-02',
+                endDate: '2020-11-20',
+                url: 'https://github.com/annlee/ledger'
+            }
+        ]
+    };
+
+    test('exports an imported resume unchanged', () => {
+        assert.equal(validateJSONResume(resume), null);
+
+        const portfolio = new Portfolio({ sessionId: 'session-1', ...fromJSONResume(resume) });
+        const { $schema, meta, ...exported } = JSON.parse(JSON.stringify(toJSONResume(portfolio)));
+
+        assert.deepEqual(exported, resume);
+    });
+
+    test('imports profiles given by username as links and leaves out confidence scores', () => {
+        const portfolio = fromJSONResume(resume);
+
+        assert.equal(portfolio.links.linkedin, 'https://www.linkedin.com/in/ann-lee');
+        assert.equal(portfolio.fieldConfidence, undefined);
+    });
+
+    test('exports GitHub and LinkedIn links changed after the import', () => {
+        const portfolio = fromJSONResume(resume);
+        portfolio.links.github = 'https://github.com/ann';
+        portfolio.links.linkedin = null;
+
+        assert.deepEqual(toJSONResume(portfolio).basics.profiles, [
+            { network: 'GitHub', username: 'ann', url: 'https://github.com/ann' },
+            { network: 'Twitter', username: 'annlee', url: 'https://twitter.com/annlee' }
+        ]);
+    });
+});
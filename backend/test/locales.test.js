@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectSections } = require('../parsers/sectionDetector');
+
+const RESUMES = {
+    en: `Jane Doe
+jane@example.com
+Experience
+Software Engineer at Acme
+June 2019 - Present
+Built services
+Certifications
+AWS Certified Developer
+Publications
+Scaling Node
+Technologies
+Node, React`,
+
+    fr: `Marie Dupont
+marie@example.fr
+Profil
+Développeuse avec une expérience dans le développement web pour les entreprises.
+Expérience professionnelle
+Développeuse Full Stack chez Capgemini
+Janvier 2020 - Aujourd'hui
+Gestion des projets et développement des applications avec une équipe de cinq personnes.
+Formation
+Master Informatique
+Université de Lyon
+2015 - 2017
+Certifications
+AWS Certified Developer`,
+
+    es: `Carlos García
+carlos@example.es
+Experiencia
+Desarrollador Backend en Telefónica
+Enero 2019 - Actualidad
+Desarrollo de servicios para los clientes de la empresa con el equipo de producto.
+Formación
+Grado en Ingeniería Informática
+Universidad de Sevilla
+2014 - 2018`,
+
+    de: `Hans Müller
+hans@example.de
+Berufserfahrung
+Softwareentwickler bei SAP
+März 2018 - Aktuell
+Entwicklung von Diensten für die Kunden und mit dem Team der Abteilung.
+Ausbildung
+Bachelor of Science Informatik
+Technische Universität München
+2013 - 2017`,
+
+    'en-IN': `Priya Sharma
+priya@example.in
++91 98765 43210
+Experience
+Software Engineer at Infosys, Bengaluru
+June 2019 - Present
+Developed services for the payments team with a focus on performance.
+Education
+B.Tech in Computer Science
+IIT Delhi
+CGPA 8.5
+2015 - 2019`
+};
+
+describe('language detection', () => {
+    test('keeps English resumes with headers spelled the same in French as English', () => {
+        const sections = detectSections(RESUMES.en);
+
+        assert.equal(sections.detectedLanguage.language, 'en');
+        assert.equal(sections.certifications.length, 1);
+        assert.equal(sections.publications.length, 1);
+    });
+
+    for (const [language, text] of Object.entries(RESUMES).filter(([code]) => code !== 'en')) {
+        test(`detects ${language}`, () => {
+            assert.equal(detectSections(text).detectedLanguage.language, language);
+        });
+    }
+
+    test('uses the requested language instead of detecting it', () => {
+        assert.deepEqual(detectSections(RESUMES.en, { language: 'de' }).detectedLanguage, { language: 'de', confidence: 1 });
+    });
+});
+
+describe('localized dates and degrees', () => {
+    const cases = [
+        ['fr', '2020-01', 'Master Informatique', 'Université de Lyon'],
+        ['es', '2019-01', 'Grado en Ingeniería Informática', 'Universidad de Sevilla'],
+        ['de', '2018-03', 'Bachelor of Science Informatik', 'Technische Universität München']
+    ];
+
+    for (const [language, start, degree, institution] of cases) {
+        test(`reads ${language} date ranges, "present" words and degrees`, () => {
+            const { experience, education } = detectSections(RESUMES[language]);
+
+            assert.equal(experience[0].startDate.toISOString().slice(0, 7), start);
+            assert.equal(experience[0].isCurrent, true);
+            assert.equal(education[0].degree, degree);
+            assert.equal(education[0].institution, institution);
+        });
+    }
+});
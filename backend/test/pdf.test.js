@@ -0,0 +1,59 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const pdf = require('pdf-parse');
+const { generatePDF } = require('../services/pdfService');
+const { fontFamily, textRuns } = require('../services/pdfFonts');
+
+const portfolio = {
+    name: 'Łukasz Wiśniewski',
+    headline: 'Μηχανικός λογισμικού',
+    summary: 'Mieszka w Łodzi.',
+    theme: 'modern',
+    customizations: { fonts: { heading: 'Lato', body: 'Georgia' } },
+    links: { email: 'lukasz@example.com' },
+    experience: [{ role: 'Programista', company: 'Żabka', duration: '2019 - 2021', description: '', highlights: ['Сервисы платежей'] }],
+    projects: [],
+    skills: [{ category: 'Języki', items: ['JavaScript'] }],
+    education: []
+};
+
+function embeddedFonts(buffer) {
+    return [...new Set(buffer.toString('latin1').match(/\/BaseFont \/\w+\+[\w-]+/g).map(font => font.split('+')[1]))].sort();
+}
+
+describe('PDF fonts', () => {
+    test('keeps Latin Extended, Greek and Cyrillic text', async () => {
+        const { text } = await pdf(await generatePDF(portfolio));
+        const words = text.replace(/\s+/g, ' ');
+
+        ['Łukasz Wiśniewski', 'Μηχανικός λογισμικού', 'Łodzi', 'Żabka', 'Сервисы платежей', 'Języki'].forEach(word => {
+            assert.ok(words.includes(word), `missing "${word}"`);
+        });
+    });
+
+    test('embeds the chosen fonts, the closest bundled one for web-safe fonts, and Roboto for missing scripts', async () => {
+        assert.deepEqual(embeddedFonts(await generatePDF(portfolio)), [
+            'Lato-Bold',
+            'Merriweather-Bold',
+            'Merriweather-Italic',
+            'Merriweather-Regular',
+            'Roboto-Regular'
+        ]);
+    });
+
+    test('uses the theme fonts when none are chosen', async () => {
+        const fonts = embeddedFonts(await generatePDF({ ...portfolio, customizations: {} }));
+
+        assert.ok(fonts.every(font => font.startsWith('Inter')), fonts.join(', '));
+    });
+
+    test('splits text into runs by the first font with the glyphs', () => {
+        const runs = textRuns('Lato Ωμέγα ok', fontFamily('Lato').regular);
+
+        assert.deepEqual(runs.map(run => [run.file.key, run.text]), [
+            ['lato-latin-400-normal', 'Lato '],
+            ['roboto-greek-400-normal', 'Ωμέγα '],
+            ['lato-latin-400-normal', 'ok']
+        ]);
+    });
+});
@@ -0,0 +1,419 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Portfolio = require('../models/Portfolio');
+const Revision = require('../models/Revision');
+const RevisionBlob = require('../models/RevisionBlob');
+const Session = require('../models/Session');
+const Template = require('../models/Template');
+const portfolioRoutes = require('../routes/portfolioRoutes');
+const { issueSessionToken, issueShareToken, verifyToken } = require('../services/tokenService');
+const { detectSections } = require('../parsers/sectionDetector');
+const { createPortfolioSchema } = require('../parsers/normalizer');
+
+// In-memory portfolios and revisions instead of the database. Saves go through Mongoose
+// to a fake collection, so version checks work as they do with MongoDB.
+let portfolios;
+let revisions;
+let blobs;
+
+// Promise with the query methods the code chains onto model calls
+function query(result) {
+    const promise = Promise.resolve().then(result);
+    ['select', 'sort', 'skip', 'lean'].forEach(method => { promise[method] = () => promise; });
+    return promise;
+}
+
+function copy(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => {
+        if (object[key] === undefined) object[key] = {};
+        return object[key];
+    }, target);
+
+    if (value === undefined) delete parent[keys.at(-1)];
+    else parent[keys.at(-1)] = copy(value);
+}
+
+// Holds the first `count` callers until all of them have arrived, to run requests in lockstep
+function barrier(count) {
+    let release;
+    const arrivedAll = new Promise(resolve => { release = resolve; });
+    let arrived = 0;
+
+    return () => {
+        arrived++;
+        if (arrived === count) release();
+        return arrived <= count ? arrivedAll : Promise.resolve();
+    };
+}
+
+// Set by a test to pause before a save or before reading the latest revision
+let beforeSave = null;
+let beforeLatestRevision = null;
+
+Portfolio.findById = id => query(() => (portfolios.has(String(id)) ? Portfolio.hydrate(copy(portfolios.get(String(id)))) : null));
+Portfolio.collection.updateOne = async (filter, update) => {
+    if (beforeSave) await beforeSave();
+
+    const stored = portfolios.get(String(filter._id));
+    if (!stored || ('__v' in filter && stored.__v !== filter.__v)) {
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(stored, path, value));
+    Object.keys(update.$unset || {}).forEach(path => setPath(stored, path, undefined));
+    Object.entries(update.$inc || {}).forEach(([path, amount]) => { stored[path] = (stored[path] || 0) + amount; });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+};
+
+Revision.findOne = ({ portfolioId, number }) => query(async () => {
+    if (number !== undefined) {
+        const revision = revisions.find(r => String(r.portfolioId) === String(portfolioId) && r.number === number);
+        return revision ? copy(revision) : null;
+    }
+    if (beforeLatestRevision) await beforeLatestRevision();
+
+    const numbers = revisions.filter(r => String(r.portfolioId) === String(portfolioId)).map(r => r.number);
+    return numbers.length > 0 ? { number: Math.max(...numbers) } : null;
+});
+Revision.find = () => query(() => []);
+// Emulates the unique { portfolioId, number } index
+Revision.create = async data => {
+    if (revisions.some(r => String(r.portfolioId) === String(data.portfolioId) && r.number === data.number)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    revisions.push(data);
+    return data;
+};
+Revision.deleteMany = async () => ({ deletedCount: 0 });
+RevisionBlob.find = ({ portfolioId, hash }) => query(() => blobs.filter(b => String(b.portfolioId) === String(portfolioId) && hash.$in.includes(b.hash)));
+RevisionBlob.insertMany = async docs => { blobs.push(...docs); return docs; };
+RevisionBlob.deleteMany = async () => ({ deletedCount: 0 });
+Session.updateOne = async () => ({ modifiedCount: 0 });
+Template.exists = async () => false;
+
+// Request logs would mix with the test runner's output
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+mock.method(console, 'warn', () => {});
+
+const app = express()
+    .use(express.json({ type: ['application/json', 'application/json-patch+json'] }))
+    .use('/api/portfolio', portfolioRoutes);
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/portfolio`;
+});
+
+after(() => server.close());
+
+const owner = issueSessionToken('session-1').token;
+let id;
+
+beforeEach(() => {
+    const portfolio = new Portfolio({
+        sessionId: 'session-1',
+        name: 'Ann Lee',
+        headline: 'Engineer',
+        experience: [{ role: 'Engineer', company: 'Acme', highlights: ['Built the API', 'Ran the on-call'] }]
+    });
+
+    id = String(portfolio._id);
+    portfolios = new Map([[id, { ...copy(portfolio.toObject()), __v: 0 }]]);
+    revisions = [];
+    blobs = [];
+    beforeSave = null;
+    beforeLatestRevision = null;
+});
+
+// Stores a portfolio parsed from the sections fixture, as an upload would
+function storeParsedPortfolio(changes = {}) {
+    const resume = fs.readFileSync(path.join(__dirname, 'fixtures', 'sections.txt'), 'utf8');
+    const portfolio = new Portfolio({ ...createPortfolioSchema(detectSections(resume)), sessionId: 'session-1' });
+    const stored = { ...copy(portfolio.toObject()), __v: 0 };
+
+    Object.entries(changes).forEach(([field, value]) => setPath(stored, field, value));
+    portfolios.set(String(portfolio._id), stored);
+    return String(portfolio._id);
+}
+
+async function request(method, path, { token = owner, body, type = 'application/json' } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body !== undefined ? { 'Content-Type': type } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+describe('portfolio validation', () => {
+    test('rejects invalid fields with their editor paths', async () => {
+        const { status, body } = await request('PUT', `/${id}`, {
+            body: { links: { email: 'not-an-email' }, experience: [{ role: 7 }], nickname: 'Annie' }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid portfolio data');
+        assert.deepEqual(body.details, [
+            { field: 'experience[0].role', message: 'Must be text' },
+            { field: 'links.email', message: 'Enter a valid email address' },
+            { field: 'nickname', message: 'Unknown field' }
+        ]);
+    });
+
+    test('reports values the schema rejects on save like the other field errors', async () => {
+        // An ISO week date passes the ISO 8601 check but cannot be stored as a date
+        const { status, body } = await request('PUT', `/${id}`, {
+            body: { experience: [{ role: 'Engineer', startDate: '2021-W05' }] }
+        });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body, {
+            success: false,
+            error: 'Invalid portfolio data',
+            details: [{ field: 'experience[0].startDate', message: 'Must be a valid date' }]
+        });
+        assert.equal(portfolios.get(id).experience[0].startDate, undefined);
+    });
+
+    test('accepts a parsed portfolio sent back unchanged', async () => {
+        const parsed = storeParsedPortfolio();
+        const { body: loaded } = await request('GET', `/${parsed}`);
+        const { status, body } = await request('PUT', `/${parsed}`, { body: loaded.data });
+
+        assert.equal(status, 200, JSON.stringify(body.details));
+        assert.equal(body.revision, null);
+    });
+
+    test("reads the layout 'default' of older portfolios as the theme's layout", async () => {
+        const legacy = storeParsedPortfolio({ 'customizations.layout': 'default' });
+        const { body: loaded } = await request('GET', `/${legacy}`);
+        const { status } = await request('PUT', `/${legacy}`, { body: loaded.data });
+
+        assert.equal(status, 200);
+        assert.equal(portfolios.get(legacy).customizations.layout, null);
+    });
+
+    test('saves valid updates', async () => {
+        const { status, body } = await request('PUT', `/${id}`, { body: { headline: 'Staff Engineer' } });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.headline, 'Staff Engineer');
+        assert.equal(portfolios.get(id).headline, 'Staff Engineer');
+    });
+});
+
+describe('portfolio access', () => {
+    test('requires a token', async () => {
+        const { status, body } = await request('GET', `/${id}`, { token: null });
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'A session token is required');
+    });
+
+    test('rejects forged and expired tokens', async () => {
+        const [payload, signature] = owner.split('.');
+        const forged = `${Buffer.from(JSON.stringify({ type: 'session', sid: 'session-1', exp: Date.now() + 1000 })).toString('base64url')}.${signature}`;
+
+        assert.equal((await request('GET', `/${id}`, { token: `${payload}.x${signature.slice(1)}` })).status, 401);
+        assert.equal((await request('GET', `/${id}`, { token: forged })).status, 401);
+    });
+
+    test('only lets a session token open the portfolios of its session', async () => {
+        const other = issueSessionToken('session-2').token;
+
+        assert.equal((await request('GET', `/${id}`)).status, 200);
+        assert.equal((await request('GET', `/${id}`, { token: other })).status, 403);
+        assert.equal((await request('PUT', `/${id}`, { token: other, body: { headline: 'Hacked' } })).status, 403);
+        assert.equal(portfolios.get(id).headline, 'Engineer');
+    });
+
+    test('lets a share token read its portfolio but not change it', async () => {
+        const share = issueShareToken(id).token;
+
+        assert.equal((await request('GET', `/${id}`, { token: share })).status, 200);
+        assert.equal((await request('GET', `/${id}?token=${share}`, { token: null })).status, 200);
+        assert.equal((await request('PUT', `/${id}`, { token: share, body: { headline: 'Changed' } })).status, 403);
+        assert.equal((await request('PATCH', `/${id}`, {
+            token: share,
+            type: 'application/json-patch+json',
+            body: [{ op: 'replace', path: '/headline', value: 'Changed' }]
+        })).status, 403);
+        assert.equal((await request('POST', `/${id}/share`, { token: share })).status, 403);
+        assert.equal(portfolios.get(id).headline, 'Engineer');
+    });
+
+    test('does not accept a share token for another portfolio', async () => {
+        const { status } = await request('GET', `/${id}`, { token: issueShareToken('64b000000000000000000000').token });
+
+        assert.equal(status, 403);
+    });
+
+    test('sends a fresh session token once the token is a day old', async () => {
+        const now = Date.now();
+        const clock = mock.method(Date, 'now', () => now - 2 * 24 * 60 * 60 * 1000);
+        const old = issueSessionToken('session-1').token;
+        clock.mock.restore();
+
+        const fresh = await request('GET', `/${id}`);
+        const renewed = await request('GET', `/${id}`, { token: old });
+        const refreshed = renewed.headers.get('X-Session-Token');
+
+        assert.equal(fresh.headers.get('X-Session-Token'), null);
+        assert.equal(verifyToken(refreshed).sid, 'session-1');
+        assert.ok(verifyToken(refreshed).exp > verifyToken(old).exp);
+        assert.ok(new Date(renewed.headers.get('X-Session-Token-Expires-At')) > new Date(now + 29 * 24 * 60 * 60 * 1000));
+        assert.equal((await request('GET', `/${id}`, { token: issueShareToken(id).token })).headers.get('X-Session-Token'), null);
+    });
+
+    test('answers 404 for a missing portfolio', async () => {
+        assert.equal((await request('GET', '/64b000000000000000000000')).status, 404);
+    });
+});
+
+describe('portfolio revisions', () => {
+    test('number the revisions of concurrent saves one after another', async () => {
+        beforeLatestRevision = barrier(2);
+
+        const results = await Promise.all([
+            request('PUT', `/${id}`, { body: { headline: 'Staff Engineer' } }),
+            request('PUT', `/${id}`, { body: { summary: 'Builds APIs' } })
+        ]);
+
+        assert.deepEqual(results.map(result => result.status), [200, 200]);
+        assert.deepEqual(results.map(result => result.body.revision).sort(), [2, 3]);
+        assert.deepEqual(revisions.map(r => [r.number, r.source]), [[1, 'original'], [2, 'update'], [3, 'update']]);
+    });
+
+    test('store a picture once however many revisions hold it', async () => {
+        const picture = `data:image/png;base64,${Buffer.alloc(30 * 1024, 1).toString('base64')}`;
+
+        assert.equal((await request('PUT', `/${id}`, { body: { profilePicture: picture } })).status, 200);
+        assert.equal((await request('PUT', `/${id}`, { body: { headline: 'Staff Engineer' } })).status, 200);
+        assert.equal((await request('PUT', `/${id}`, { body: { profilePicture: null } })).status, 200);
+
+        assert.equal(blobs.length, 1);
+        assert.ok(revisions.every(r => JSON.stringify(r.snapshot).length < 5000));
+
+        const diff = await request('GET', `/${id}/revisions/diff?from=1&to=2`);
+        assert.deepEqual(diff.body.data.changes, [{ path: 'profilePicture', before: null, after: picture }]);
+
+        assert.equal((await request('POST', `/${id}/revisions/3/restore`)).status, 200);
+        assert.equal(portfolios.get(id).profilePicture, picture);
+        assert.equal(portfolios.get(id).headline, 'Staff Engineer');
+    });
+
+    test('still answer a save when its revision cannot be recorded', async () => {
+        const create = mock.method(Revision, 'create', async () => {
+            throw new Error('connection reset');
+        });
+
+        try {
+            const { status, body } = await request('PUT', `/${id}`, { body: { headline: 'Staff Engineer' } });
+
+            assert.equal(status, 200);
+            assert.equal(body.revision, null);
+            assert.equal(portfolios.get(id).headline, 'Staff Engineer');
+        } finally {
+            create.mock.restore();
+        }
+    });
+});
+
+describe('JSON Patch', () => {
+    const patch = (operations, token) => request('PATCH', `/${id}`, { token, type: 'application/json-patch+json', body: operations });
+    const entryId = () => portfolios.get(id).experience[0]._id;
+
+    test('addresses entries by their id', async () => {
+        const { status, body } = await patch([
+            { op: 'test', path: `/experience/@${entryId()}/role`, value: 'Engineer' },
+            { op: 'replace', path: `/experience/@${entryId()}/role`, value: 'Senior Engineer' },
+            { op: 'add', path: `/experience/@${entryId()}/highlights/-`, value: 'Led the billing rewrite' }
+        ]);
+
+        assert.equal(status, 200);
+        assert.equal(body.revision, 2);
+        assert.equal(portfolios.get(id).experience[0].role, 'Senior Engineer');
+        assert.deepEqual(portfolios.get(id).experience[0].highlights, ['Built the API', 'Ran the on-call', 'Led the billing rewrite']);
+    });
+
+    test('changes a customization of a parsed portfolio', async () => {
+        const parsed = storeParsedPortfolio();
+        const legacy = storeParsedPortfolio({ 'customizations.layout': 'default' });
+        const operations = [{ op: 'replace', path: '/customizations/colors/primary', value: '#0f766e' }];
+
+        for (const portfolioId of [parsed, legacy]) {
+            const { status, body } = await request('PATCH', `/${portfolioId}`, { type: 'application/json-patch+json', body: operations });
+
+            assert.equal(status, 200, JSON.stringify(body.details));
+            assert.equal(portfolios.get(portfolioId).customizations.colors.primary, '#0f766e');
+            assert.equal(portfolios.get(portfolioId).customizations.fonts.heading, 'Inter');
+            assert.equal(portfolios.get(portfolioId).customizations.layout, null);
+        }
+    });
+
+    test('answers 409 when a test operation fails', async () => {
+        const { status, body } = await patch([
+            { op: 'test', path: '/headline', value: 'Designer' },
+            { op: 'replace', path: '/headline', value: 'Staff Engineer' }
+        ]);
+
+        assert.equal(status, 409);
+        assert.deepEqual(body.details, [{ operation: 0, message: body.details[0].message }]);
+        assert.equal(portfolios.get(id).headline, 'Engineer');
+    });
+
+    test('rejects malformed patches and read-only fields', async () => {
+        const readOnly = await patch([{ op: 'replace', path: '/sessionId', value: 'session-2' }]);
+        const unsupported = await patch([{ op: 'copy', from: '/headline', path: '/summary' }]);
+        const missing = await patch([{ op: 'remove', path: '/experience/5' }]);
+
+        assert.equal(readOnly.status, 400);
+        assert.deepEqual(readOnly.body.details, [{ operation: 0, message: 'sessionId cannot be changed' }]);
+        assert.equal(unsupported.status, 400);
+        assert.equal(missing.status, 400);
+        assert.equal((await patch({ op: 'replace', path: '/headline', value: 'x' })).status, 400);
+        assert.equal(portfolios.get(id).sessionId, 'session-1');
+    });
+
+    test('validates the patched fields like an update', async () => {
+        const { status, body } = await patch([{ op: 'replace', path: '/links', value: { email: 'nope' } }]);
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, [{ field: 'links.email', message: 'Enter a valid email address' }]);
+    });
+
+    test('does not let concurrent patches to different highlights undo each other', async () => {
+        beforeSave = barrier(2);
+
+        const results = await Promise.all([
+            patch([{ op: 'replace', path: `/experience/@${entryId()}/highlights/0`, value: 'Designed the API' }]),
+            patch([{ op: 'replace', path: `/experience/@${entryId()}/highlights/1`, value: 'Led the on-call' }])
+        ]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+        assert.equal(results.find(result => result.status === 409).body.error, 'Portfolio has changed');
+        beforeSave = null;
+
+        // The losing tab reloads and sends its patch again
+        const retry = results[0].status === 409
+            ? [{ op: 'replace', path: `/experience/@${entryId()}/highlights/0`, value: 'Designed the API' }]
+            : [{ op: 'replace', path: `/experience/@${entryId()}/highlights/1`, value: 'Led the on-call' }];
+        assert.equal((await patch(retry)).status, 200);
+        assert.deepEqual(portfolios.get(id).experience[0].highlights, ['Designed the API', 'Led the on-call']);
+    });
+});
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectSections } = require('../parsers/sectionDetector');
+const { createPortfolioSchema } = require('../parsers/normalizer');
+const { generateHTML } = require('../services/themes');
+
+const resume = fs.readFileSync(path.join(__dirname, 'fixtures', 'sections.txt'), 'utf8');
+const portfolio = createPortfolioSchema(detectSections(resume));
+
+describe('section detection', () => {
+    test('keeps education to its own entries', () => {
+        assert.equal(portfolio.education.length, 1);
+        assert.equal(portfolio.education[0].degree, 'Bachelor of Science in Computer Science');
+        assert.equal(portfolio.education[0].institution, 'State University');
+        assert.equal(portfolio.education[0].details, '2012 - 2016');
+    });
+
+    test('detects certifications', () => {
+        assert.deepEqual(portfolio.certifications.map(({ name, issuer, date }) => ({ name, issuer, date })), [
+            { name: 'AWS Certified Solutions Architect', issuer: 'Amazon Web Services', date: '2021' }
+        ]);
+    });
+
+    test('detects awards', () => {
+        assert.deepEqual(portfolio.awards.map(({ title, issuer, date }) => ({ title, issuer, date })), [
+            { title: 'Employee of the Year', issuer: 'Acme Corp', date: '2020' }
+        ]);
+    });
+
+    test('detects publications', () => {
+        assert.deepEqual(portfolio.publications.map(({ title, publisher, date }) => ({ title, publisher, date })), [
+            { title: 'Scaling Node.js Services', publisher: 'ACM Queue', date: '2019' }
+        ]);
+    });
+
+    test('detects languages with their proficiency', () => {
+        assert.deepEqual(portfolio.languages, [
+            { language: 'English', proficiency: 'Native' },
+            { language: 'Spanish', proficiency: 'Professional working proficiency' }
+        ]);
+    });
+
+    test('detects volunteer work', () => {
+        assert.equal(portfolio.volunteer.length, 1);
+        assert.equal(portfolio.volunteer[0].role, 'Mentor');
+        assert.equal(portfolio.volunteer[0].organization, 'Code Club');
+        assert.deepEqual(portfolio.volunteer[0].highlights, ['Taught kids programming']);
+    });
+
+    test('renders every detected section', () => {
+        const html = generateHTML(portfolio);
+
+        ['certifications', 'awards', 'publications', 'languages', 'volunteer'].forEach(section => {
+            assert.match(html, new RegExp(`id="${section}"`));
+        });
+        assert.match(html, /Scaling Node\.js Services/);
+    });
+});
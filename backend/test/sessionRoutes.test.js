@@ -0,0 +1,59 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const Portfolio = require('../models/Portfolio');
+const Session = require('../models/Session');
+const sessionRoutes = require('../routes/sessionRoutes');
+const { issueSessionToken, verifyToken } = require('../services/tokenService');
+
+// One session with one portfolio instead of the database
+const portfolio = new Portfolio({ sessionId: 'session-1', name: 'Ann Lee', headline: 'Engineer' });
+
+Session.findOne = async ({ sessionId }) => (sessionId === 'session-1'
+    ? { sessionId, portfolioIds: [portfolio._id], expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+    : null);
+Session.updateOne = async () => ({ modifiedCount: 0 });
+Portfolio.find = () => ({ select: () => ({ sort: async () => [portfolio] }) });
+
+// Request logs would mix with the test runner's output
+mock.method(console, 'log', () => {});
+
+const app = express().use('/api/session', sessionRoutes);
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/session`;
+});
+
+after(() => server.close());
+
+const list = async token => {
+    const res = await fetch(`${baseUrl}/session-1/portfolios`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+describe('session portfolios', () => {
+    test('lists the portfolios of the session', async () => {
+        const { status, body } = await list(issueSessionToken('session-1').token);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.portfolios.map(p => [p.name, p.headline]), [['Ann Lee', 'Engineer']]);
+    });
+
+    test('sends a renewed session token in the header only', async () => {
+        const now = Date.now();
+        const clock = mock.method(Date, 'now', () => now - 2 * 24 * 60 * 60 * 1000);
+        const old = issueSessionToken('session-1').token;
+        clock.mock.restore();
+
+        const { headers, body } = await list(old);
+
+        assert.equal(verifyToken(headers.get('X-Session-Token')).sid, 'session-1');
+        assert.ok(headers.get('X-Session-Token-Expires-At'));
+        assert.equal(body.sessionToken, undefined);
+        assert.equal(body.sessionTokenExpiresAt, undefined);
+    });
+});
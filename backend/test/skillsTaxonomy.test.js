@@ -0,0 +1,56 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectSections } = require('../parsers/sectionDetector');
+const { createPortfolioSchema } = require('../parsers/normalizer');
+const { loadTaxonomy, categorizeSkills, resolveSkill } = require('../parsers/skillsTaxonomy');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+describe('skills taxonomy', () => {
+    const { skills } = createPortfolioSchema(detectSections(fs.readFileSync(fixture('skills.txt'), 'utf8')));
+    const category = name => (skills.find(group => group.items.includes(name)) || {}).category;
+
+    test('merges aliases into one canonical skill', () => {
+        const items = skills.flatMap(group => group.items);
+
+        assert.equal(items.filter(item => item === 'JavaScript').length, 1);
+        assert.equal(items.filter(item => item === 'React').length, 1);
+        assert.ok(!items.includes('JS') && !items.includes('ReactJS') && !items.includes('React.js'));
+    });
+
+    test('matches aliases as whole words only', () => {
+        assert.equal(category('Google Analytics'), 'Data & AI');
+        assert.equal(category('JavaScript'), 'Languages');
+        assert.equal(category('Java'), 'Languages');
+        assert.equal(resolveSkill('JavaScript').name, 'JavaScript');
+    });
+
+    test('keeps unknown skills and skills containing a known one under their own name', () => {
+        assert.equal(category('AWS Lambda'), 'DevOps');
+        assert.equal(category('Underwater Basket Weaving'), 'Other');
+    });
+
+    test('matches short aliases only as the whole skill', () => {
+        assert.equal(category('Go'), 'Languages');
+        ['Go-to-market strategy', 'go-getter attitude', 'ML-ready datasets', 'JS-free pages'].forEach(skill => {
+            assert.equal(resolveSkill(skill).category, 'Other', skill);
+        });
+    });
+
+    test('lets a deployment taxonomy add skills and move categories', () => {
+        const taxonomy = loadTaxonomy(fixture('skillsTaxonomy.json'));
+
+        assert.deepEqual(categorizeSkills(['k8s', 'Docker', 'Underwater Basket Weaving'], taxonomy), [
+            { category: 'Cloud', items: ['Kubernetes', 'Docker'] },
+            { category: 'Crafts', items: ['Basket Weaving'] }
+        ]);
+    });
+
+    test('falls back to the bundled taxonomy when the deployment file is missing', () => {
+        const taxonomy = loadTaxonomy(fixture('missing.json'));
+
+        assert.equal(resolveSkill('Kubernetes', taxonomy).category, 'DevOps');
+    });
+});
@@ -0,0 +1,164 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const JSZip = require('jszip');
+const Template = require('../models/Template');
+const Session = require('../models/Session');
+const templateRoutes = require('../routes/templateRoutes');
+const { readTemplatePackage } = require('../services/templates');
+const { issueSessionToken, issueShareToken } = require('../services/tokenService');
+
+// In-memory templates instead of the database
+let templates;
+
+Template.countDocuments = async ({ sessionId }) => templates.filter(t => t.sessionId === sessionId).length;
+Template.exists = async ({ sessionId, name }) => templates.some(t => t.sessionId === sessionId && t.name === name);
+Template.create = async data => {
+    const template = new Template(data);
+    await template.validate();
+    templates.push(template);
+    return template;
+};
+Template.find = ({ sessionId }) => ({ sort: async () => templates.filter(t => t.sessionId === sessionId) });
+Template.findOne = async ({ sessionId, name }) => templates.find(t => t.sessionId === sessionId && t.name === name) || null;
+Session.updateOne = async () => ({ modifiedCount: 0 });
+
+// Request logs would mix with the test runner's output
+mock.method(console, 'log', () => {});
+
+const app = express().use('/api/templates', templateRoutes);
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/templates`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    templates = [];
+});
+
+async function templatePackage(name) {
+    const zip = new JSZip();
+    zip.file('template.json', JSON.stringify({ name, label: name }));
+    zip.file('index.html', '<h1>{{name}}</h1>');
+    return zip.generateAsync({ type: 'uint8array' });
+}
+
+async function upload(name, token) {
+    const form = new FormData();
+    form.append('template', new Blob([await templatePackage(name)]), `${name}.zip`);
+
+    const res = await fetch(baseUrl, {
+        method: 'POST',
+        body: form,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+const alice = issueSessionToken('session-alice').token;
+const bob = issueSessionToken('session-bob').token;
+
+describe('template uploads', () => {
+    test('require a session token', async () => {
+        assert.equal((await upload('acme')).status, 401);
+        assert.equal((await upload('acme', issueShareToken('portfolio-1').token)).status, 401);
+        assert.equal(templates.length, 0);
+    });
+
+    test('belong to the session of the token', async () => {
+        const { status, body } = await upload('acme', alice);
+
+        assert.equal(status, 201);
+        assert.equal(body.data.name, 'acme');
+        assert.equal(templates[0].sessionId, 'session-alice');
+    });
+
+    test('scope names to the session', async () => {
+        assert.equal((await upload('acme', alice)).status, 201);
+        assert.equal((await upload('acme', alice)).status, 409);
+        assert.equal((await upload('acme', bob)).status, 201);
+    });
+
+    test('are capped per session', async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await upload(`site-${i}`, alice)).status, 201);
+        }
+
+        const { status, body } = await upload('one-more', alice);
+        assert.equal(status, 403);
+        assert.match(body.error, /at most 10 templates/);
+        assert.equal((await upload('one-more', bob)).status, 201);
+    });
+
+    test('are only listed and shown to their session', async () => {
+        await upload('acme', alice);
+        const get = (path, token) => fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+        assert.deepEqual((await (await get('', alice)).json()).data.map(t => t.name), ['acme']);
+        assert.deepEqual((await (await get('', bob)).json()).data, []);
+        assert.equal((await get('/acme', alice)).status, 200);
+        assert.equal((await get('/acme', bob)).status, 404);
+    });
+});
+
+/**
+ * Rewrites the uncompressed size a ZIP declares for one entry, in its local header and
+ * in the central directory, as a crafted archive would
+ */
+function forgeDeclaredSize(buffer, name, size) {
+    const zip = Buffer.from(buffer);
+    const headers = [
+        { signature: 0x04034b50, nameLength: 26, nameStart: 30, sizeAt: 22 },
+        { signature: 0x02014b50, nameLength: 28, nameStart: 46, sizeAt: 24 }
+    ];
+
+    for (let offset = 0; offset < zip.length - 4; offset++) {
+        const header = headers.find(h => zip.readUInt32LE(offset) === h.signature);
+        if (!header) continue;
+
+        const length = zip.readUInt16LE(offset + header.nameLength);
+        if (zip.toString('utf8', offset + header.nameStart, offset + header.nameStart + length) === name) {
+            zip.writeUInt32LE(size, offset + header.sizeAt);
+        }
+    }
+    return zip;
+}
+
+describe('template packages', () => {
+    async function packageWith(files) {
+        const zip = new JSZip();
+        zip.file('template.json', JSON.stringify({ name: 'acme', label: 'Acme' }));
+        zip.file('index.html', '<h1>{{name}}</h1>');
+        Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    test('reads a valid package', async () => {
+        const { template, errors } = await readTemplatePackage(await packageWith({ 'assets/logo.png': Buffer.alloc(100) }));
+
+        assert.deepEqual(errors, []);
+        assert.equal(template.assets[0].content.length, 100);
+    });
+
+    test('measures entries by what they expand to, not the size the archive declares', async () => {
+        // 3 MB of zeros compresses to a few KB; the archive claims 10 bytes
+        const zip = forgeDeclaredSize(await packageWith({ 'assets/bomb.png': Buffer.alloc(3 * 1024 * 1024) }), 'assets/bomb.png', 10);
+        const { template, errors } = await readTemplatePackage(zip);
+
+        assert.equal(template, undefined);
+        assert.deepEqual(errors, ['assets/bomb.png is larger than 2 MB']);
+    });
+
+    test('limits the total size of a package', async () => {
+        const assets = Object.fromEntries([1, 2, 3, 4, 5].map(i => [`assets/photo-${i}.png`, Buffer.alloc(1.9 * 1024 * 1024)]));
+        const { errors } = await readTemplatePackage(await packageWith(assets));
+
+        assert.deepEqual(errors, ['Template package is larger than 8 MB uncompressed']);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Safe HTML rendering for the exported site
+ * Templates are written with the html tag: every interpolated value is escaped
+ * unless it is itself the result of html, raw or join. URLs only reach an href
+ * through safeUrl, which allows http, https, mailto and tel.
+ */
+
+const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Text already rendered as HTML, inserted as-is by the html tag
+class SafeHTML {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escapes text for use in element content and quoted attributes
+ */
+function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, ch => ENTITIES[ch]);
+}
+
+/**
+ * Marks trusted markup so the html tag does not escape it
+ */
+function raw(value) {
+    return value instanceof SafeHTML ? value : new SafeHTML(value === null || value === undefined ? '' : String(value));
+}
+
+/**
+ * Renders an interpolated value: markup as-is, arrays item by item,
+ * null/undefined/false as nothing and everything else escaped
+ */
+function renderValue(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value
+ * @example html`<h1>${portfolio.name}</h1>`
+ */
+function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+        out += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHTML(out);
+}
+
+/**
+ * Joins rendered items with a text separator
+ */
+function join(items, separator = '') {
+    return new SafeHTML((items || []).filter(item => item !== null && item !== undefined && item !== false)
+        .map(renderValue)
+        .join(escapeHTML(separator)));
+}
+
+/**
+ * Validates a URL for use in an href
+ * Bare domains ("github.com/jane") are treated as https. Control characters and
+ * whitespace are removed first, as browsers ignore them inside a scheme.
+ * @param {string} value - URL as stored in the portfolio
+ * @param {string[]} protocols - Allowed protocols, including the colon
+ * @returns {string|null} Normalized URL, or null if it is unsafe or invalid
+ */
+function safeUrl(value, protocols = SAFE_PROTOCOLS) {
+    if (!value) return null;
+
+    const trimmed = String(value).replace(/[\u0000-\u0020\u007F]+/g, '');
+    let candidate = null;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+        candidate = trimmed;
+    } else if (/^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/|$)/i.test(trimmed)) {
+        candidate = `https://${trimmed}`;
+    }
+    if (!candidate) return null;
+
+    try {
+        const url = new URL(candidate);
+        return protocols.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Link opening in a new tab; renders the label alone when the URL is unsafe
+ * @param {string} url - Target URL
+ * @param {*} label - Link text or markup
+ * @param {string} className - Optional class attribute
+ */
+function link(url, label, className) {
+    const href = safeUrl(url);
+    if (!href) return html`${label}`;
+
+    return html`<a href="${href}"${className ? html` class="${className}"` : ''} target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * mailto: link; renders the label alone when the address is not usable
+ */
+function emailLink(email, label = email, className) {
+    const href = email ? safeUrl(`mailto:${String(email).trim()}`, ['mailto:']) : null;
+    if (!href) return html`${label}`;
+
+    return html`<a href="${href}"${className ? html` class="${className}"` : ''}>${label}</a>`;
+}
+
+/**
+ * tel: link; renders the number as text when it has no digits
+ */
+function phoneLink(phone, className) {
+    const digits = phone ? String(phone).replace(/[^\d+]/g, '') : '';
+    if (!/\d/.test(digits)) return html`${phone}`;
+
+    return html`<a href="${`tel:${digits}`}"${className ? html` class="${className}"` : ''}>${phone}</a>`;
+}
+
+module.exports = {
+    html,
+    raw,
+    join,
+    escapeHTML,
+    safeUrl,
+    link,
+    emailLink,
+    phoneLink,
+    SafeHTML,
+    SAFE_PROTOCOLS
+};
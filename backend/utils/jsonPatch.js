@@ -0,0 +1,162 @@
+/**
+ * JSON Patch (RFC 6902) on plain data objects
+ * Supports the add, remove, replace, move and test operations. Besides indexes and
+ * "-", array segments may be "@<id>" to address the entry whose id field has that
+ * value, e.g. "/experience/@65f0c2a1e4b0a1b2c3d4e5f6/highlights/0", so edits and
+ * moves still hit the right entry after the list was reordered elsewhere.
+ */
+
+const { toPlain } = require('./objectDiff');
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'test'];
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped segments
+ * @returns {string[]|null} null when the pointer is malformed
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) return null;
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
+
+/**
+ * Array index a segment points to
+ * @param {boolean} append - Whether "-" and the length (one past the end) are allowed
+ * @returns {number|null}
+ */
+function arrayIndex(array, segment, idKey, append) {
+    if (segment === '-') return append ? array.length : null;
+
+    if (segment.startsWith('@')) {
+        const index = array.findIndex(item => isContainer(item) && String(item[idKey]) === segment.slice(1));
+        return index === -1 ? null : index;
+    }
+
+    if (!/^(0|[1-9]\d*)$/.test(segment)) return null;
+    const index = Number(segment);
+    return index < array.length || (append && index === array.length) ? index : null;
+}
+
+/**
+ * Finds the container holding the pointer's target, and the target's key in it
+ * @returns {{parent: Object|Array, key: string|number}|null}
+ */
+function locate(document, segments, idKey, append) {
+    let parent = document;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+        const key = Array.isArray(parent) ? arrayIndex(parent, segments[i], idKey, false) : segments[i];
+        if (key === null || !isContainer(parent) || !Object.prototype.hasOwnProperty.call(parent, key)) return null;
+        parent = parent[key];
+    }
+
+    if (!isContainer(parent)) return null;
+
+    const last = segments[segments.length - 1];
+    const key = Array.isArray(parent) ? arrayIndex(parent, last, idKey, append) : last;
+    return key === null ? null : { parent, key };
+}
+
+function exists({ parent, key }) {
+    return Array.isArray(parent) ? key < parent.length : Object.prototype.hasOwnProperty.call(parent, key);
+}
+
+function insert({ parent, key }, value) {
+    if (Array.isArray(parent)) parent.splice(key, 0, value);
+    else parent[key] = value;
+}
+
+function removeAt({ parent, key }) {
+    const [value] = Array.isArray(parent) ? parent.splice(key, 1) : [parent[key]];
+    if (!Array.isArray(parent)) delete parent[key];
+    return value;
+}
+
+/**
+ * Applies one operation in place
+ * @returns {string|null} Error message, or null on success
+ */
+function applyOperation(document, operation, idKey) {
+    if (!isContainer(operation) || !OPERATIONS.includes(operation.op)) {
+        return `op must be one of: ${OPERATIONS.join(', ')}`;
+    }
+
+    const path = parsePointer(operation.path);
+    if (!path) return 'path must be a JSON Pointer such as /experience/0/role';
+    if (path.length === 0) return 'The whole document cannot be changed';
+
+    const needsValue = ['add', 'replace', 'test'].includes(operation.op);
+    if (needsValue && operation.value === undefined) return 'value is required';
+
+    if (operation.op === 'move') {
+        const from = parsePointer(operation.from);
+        if (!from || from.length === 0) return 'from must be a JSON Pointer such as /projects/2';
+
+        const source = locate(document, from, idKey, false);
+        if (!source || !exists(source)) return `${operation.from} does not exist`;
+
+        const sourceId = Array.isArray(source.parent) && isContainer(source.parent[source.key]) ? source.parent[source.key][idKey] : undefined;
+        const movingInto = path.slice(0, from.length);
+        if (path.length > from.length && movingInto.every((segment, i) => segment === from[i] || (sourceId !== undefined && segment === `@${sourceId}`))) {
+            return 'A value cannot be moved into itself';
+        }
+
+        const value = removeAt(source);
+        const target = locate(document, path, idKey, true);
+        if (!target) return `${operation.path} does not exist`;
+        insert(target, value);
+        return null;
+    }
+
+    const target = locate(document, path, idKey, operation.op === 'add');
+    if (!target || (operation.op !== 'add' && !exists(target))) return `${operation.path} does not exist`;
+
+    switch (operation.op) {
+    case 'add':
+        insert(target, toPlain(operation.value));
+        break;
+    case 'remove':
+        removeAt(target);
+        break;
+    case 'replace':
+        target.parent[target.key] = toPlain(operation.value);
+        break;
+    case 'test':
+        if (JSON.stringify(target.parent[target.key]) !== JSON.stringify(operation.value)) {
+            return `Test failed: ${operation.path} has changed`;
+        }
+        break;
+    }
+
+    return null;
+}
+
+/**
+ * Applies a JSON Patch; the document is only changed when every operation succeeds
+ * @param {Object} document - Plain JSON data
+ * @param {Array<Object>} operations - Patch operations
+ * @param {Object} [options]
+ * @param {string} [options.idKey='_id'] - Field of array entries matched by "@<id>" segments
+ * @returns {{document?: Object, error?: {index: number, message: string}}} The patched copy, or the first failure
+ */
+function applyPatch(document, operations, { idKey = '_id' } = {}) {
+    const patched = toPlain(document);
+
+    for (let index = 0; index < operations.length; index++) {
+        const message = applyOperation(patched, operations[index], idKey);
+        if (message) return { error: { index, message } };
+    }
+
+    return { document: patched };
+}
+
+module.exports = {
+    applyPatch,
+    parsePointer,
+    OPERATIONS
+};
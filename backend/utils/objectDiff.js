@@ -0,0 +1,69 @@
+/**
+ * Field-level comparison of plain data objects
+ * Produces dotted paths such as "summary" or "experience.0.company"
+ */
+
+/**
+ * Converts Mongoose documents, Dates and ObjectIds into plain JSON values
+ */
+function toPlain(value) {
+    if (value === undefined) return undefined;
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lists every changed leaf between two values
+ * Arrays of primitives (skill items, highlights) are compared as a whole.
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} prefix - Path of the values being compared
+ * @returns {Array<{path: string, before: *, after: *}>} Changes in document order
+ */
+function diffValues(before, after, prefix = '') {
+    const a = toPlain(before);
+    const b = toPlain(after);
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+        return keys.flatMap(key => diffValues(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+    }
+
+    const isObjectArray = value => Array.isArray(value) && value.some(item => item !== null && typeof item === 'object');
+
+    if (Array.isArray(a) && Array.isArray(b) && (isObjectArray(a) || isObjectArray(b))) {
+        const length = Math.max(a.length, b.length);
+        const changes = [];
+        for (let i = 0; i < length; i++) {
+            changes.push(...diffValues(a[i], b[i], prefix ? `${prefix}.${i}` : String(i)));
+        }
+        return changes;
+    }
+
+    // Treat missing, null and empty string as the same "no value"
+    const empty = value => value === undefined || value === null || value === '';
+    if (empty(a) && empty(b)) return [];
+
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+        return [{ path: prefix, before: a === undefined ? null : a, after: b === undefined ? null : b }];
+    }
+
+    return [];
+}
+
+/**
+ * Lists the paths of changed fields
+ * @returns {string[]} e.g. ['summary', 'experience.0.company']
+ */
+function changedPaths(before, after, prefix = '') {
+    return diffValues(before, after, prefix).map(change => change.path);
+}
+
+module.exports = {
+    diffValues,
+    changedPaths,
+    toPlain
+};